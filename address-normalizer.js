@@ -0,0 +1,63 @@
+// Address Normalization
+// Shared by the dashboard (app.js) and the admin importer (sales-record.js, admin.js) so that
+// "123 North Main Street" and "123 N Main St" produce the same sale key everywhere.
+const AddressNormalizer = (() => {
+    // USPS Publication 28 abbreviations for the suffixes we actually see in Faulkner County
+    const SUFFIXES = {
+        ALLEY: 'ALY', AVENUE: 'AVE', AV: 'AVE', BEND: 'BND', BOULEVARD: 'BLVD', CIRCLE: 'CIR',
+        CIRCLES: 'CIRS', COURT: 'CT', COURTS: 'CTS', COVE: 'CV', CREEK: 'CRK', CROSSING: 'XING',
+        DRIVE: 'DR', EXTENSION: 'EXT', GARDENS: 'GDNS', GLEN: 'GLN', HEIGHTS: 'HTS', HIGHWAY: 'HWY',
+        HILL: 'HL', HILLS: 'HLS', HOLLOW: 'HOLW', LAKE: 'LK', LANDING: 'LNDG', LANE: 'LN',
+        MEADOW: 'MDW', MEADOWS: 'MDWS', PARKWAY: 'PKWY', PASS: 'PASS', PLACE: 'PL', PLAZA: 'PLZ',
+        POINT: 'PT', RIDGE: 'RDG', ROAD: 'RD', SQUARE: 'SQ', STREET: 'ST', STR: 'ST',
+        TERRACE: 'TER', TRACE: 'TRCE', TRAIL: 'TRL', VIEW: 'VW', VILLAGE: 'VLG', VISTA: 'VIS'
+    };
+
+    const DIRECTIONALS = {
+        NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+        NORTHEAST: 'NE', NORTHWEST: 'NW', SOUTHEAST: 'SE', SOUTHWEST: 'SW'
+    };
+
+    // Every unit designator collapses to "UNIT" so "Apt 4", "#4" and "Suite 4" match
+    const UNIT_WORDS = new Set(['APARTMENT', 'APT', 'UNIT', 'SUITE', 'STE']);
+
+    // "123 n. main street, apt #4" -> "123 N MAIN ST UNIT 4"
+    function normalize(address) {
+        if (address == null) return '';
+        const tokens = String(address)
+            .toUpperCase()
+            .replace(/#/g, ' # ')
+            .replace(/[.,;]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+
+        const out = [];
+        for (let i = 0; i < tokens.length; i++) {
+            const t = tokens[i];
+            if (t === '#' || UNIT_WORDS.has(t)) {
+                // "#" / "APT" followed by its number; a stray "#" after "APT" is skipped
+                let next = tokens[i + 1];
+                if (next === '#') next = tokens[++i + 1];
+                if (next) {
+                    out.push('UNIT', next);
+                    i++;
+                } else if (t !== '#') {
+                    out.push(t);
+                }
+                continue;
+            }
+            out.push(DIRECTIONALS[t] || SUFFIXES[t] || t);
+        }
+        return out.join(' ');
+    }
+
+    // Lowercased normalized form, used inside sale keys and for grouping
+    const key = (address) => normalize(address).toLowerCase();
+
+    // Same Day + Same Address + Same Price identifies a sale (and is the sales_data doc ID)
+    const saleKey = (date, address, price) => `${date.getTime()}-${key(address)}-${price}`;
+
+    return { normalize, key, saleKey };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = AddressNormalizer;
@@ -4,15 +4,70 @@ const adminDashboard = document.getElementById('admin-dashboard');
 const loginForm = document.getElementById('login-form');
 const authError = document.getElementById('auth-error');
 const logoutBtn = document.getElementById('logout-btn');
+const pendingSection = document.getElementById('pending-section');
+const roleBadge = document.getElementById('role-badge');
 
-auth.onAuthStateChanged(user => {
-    if (user) {
-        authSection.classList.add('hidden');
-        adminDashboard.classList.remove('hidden');
-    } else {
+// Role from users/{uid}; firestore.rules enforce it, the UI just hides what the role can't do
+let currentRole = null;
+
+auth.onAuthStateChanged(async user => {
+    authSection.classList.add('hidden');
+    pendingSection.classList.add('hidden');
+    adminDashboard.classList.add('hidden');
+    currentRole = null;
+
+    if (!user) {
         authSection.classList.remove('hidden');
-        adminDashboard.classList.add('hidden');
+        return;
     }
+
+    try {
+        currentRole = await UserRoles.loadRole(db, firebase.firestore.FieldValue, user);
+    } catch (error) {
+        console.error('Role lookup failed:', error);
+    }
+
+    if (!UserRoles.can(currentRole, 'viewer')) {
+        document.getElementById('pending-email').innerText = user.email;
+        pendingSection.classList.remove('hidden');
+        return;
+    }
+
+    applyRoleVisibility();
+    adminDashboard.classList.remove('hidden');
+    loadImportHistory();
+});
+
+const canEdit = () => UserRoles.can(currentRole, 'editor');
+
+// Elements marked data-role="editor" / "admin" are hidden from lower roles
+function applyRoleVisibility() {
+    roleBadge.innerText = UserRoles.LABELS[currentRole];
+    document.querySelectorAll('[data-role]').forEach(el => {
+        el.classList.toggle('hidden', !UserRoles.can(currentRole, el.dataset.role));
+    });
+    const active = document.querySelector('.admin-tab.active');
+    if (!active || active.classList.contains('hidden')) switchTab('history');
+}
+
+// Recomputes the public market_aggregates months a change touched. A failure doesn't undo the change;
+// Rebuild Public Statistics on the Schema tab repairs any drift.
+const asDate = (val) => (val && typeof val.toDate === 'function' ? val.toDate() : new Date(val));
+
+async function refreshAggregates(dates) {
+    try {
+        await MarketAggregates.refreshMonths(db, firebase.firestore.FieldValue,
+            dates.filter(d => d && !isNaN(asDate(d).getTime())).map(asDate));
+    } catch (error) {
+        console.error('Aggregate refresh failed:', error);
+    }
+}
+
+// Who is making a change, for audit_log entries
+const currentActor = () => ({
+    uid: auth.currentUser ? auth.currentUser.uid : null,
+    email: auth.currentUser ? auth.currentUser.email : null,
+    via: 'admin'
 });
 
 loginForm.addEventListener('submit', (e) => {
@@ -30,6 +85,24 @@ loginForm.addEventListener('submit', (e) => {
 logoutBtn.addEventListener('click', () => {
     auth.signOut();
 });
+document.getElementById('pending-logout-btn').addEventListener('click', () => {
+    auth.signOut();
+});
+
+// Tabs
+const adminTabs = document.querySelectorAll('.admin-tab');
+
+adminTabs.forEach(tab => tab.addEventListener('click', () => switchTab(tab.dataset.tab)));
+
+function switchTab(name) {
+    adminTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.tab === name));
+    document.querySelectorAll('[data-panel]').forEach(panel => {
+        panel.classList.toggle('hidden', panel.dataset.panel !== name);
+    });
+    if (name === 'records' && !recordsCache) loadRecords();
+    if (name === 'users') loadUsers();
+    if (name === 'audit') loadAuditLog();
+}
 
 // Data Upload
 const fileInput = document.getElementById('file-input');
@@ -38,7 +111,52 @@ const statusMessage = document.getElementById('status-message');
 const progressBar = document.getElementById('progress-bar');
 const uploadResult = document.getElementById('upload-result');
 
+// Column Mapping
+const mappingSection = document.getElementById('mapping-section');
+const mappingTableBody = document.getElementById('mapping-table-body');
+const mappingWarning = document.getElementById('mapping-warning');
+const mappingFileLabel = document.getElementById('mapping-file');
+const profileSelect = document.getElementById('profile-select');
+const profileNameInput = document.getElementById('profile-name');
+const saveProfileBtn = document.getElementById('save-profile-btn');
+const importBtn = document.getElementById('import-btn');
+const cancelImportBtn = document.getElementById('cancel-import-btn');
+const sheetPicker = document.getElementById('sheet-picker');
+const sheetOptions = document.getElementById('sheet-options');
+
+// Dry-run Preview
+const previewSection = document.getElementById('preview-section');
+const previewRejectedBody = document.getElementById('preview-rejected-body');
+const previewRejectedNote = document.getElementById('preview-rejected-note');
+const downloadRejectedBtn = document.getElementById('download-rejected-btn');
+const backToMappingBtn = document.getElementById('back-to-mapping-btn');
+const confirmUploadBtn = document.getElementById('confirm-upload-btn');
+
+// The parsed file waiting on the mapping / preview screens
+let pendingImport = null;
+let importPlan = null;
+let mappingProfiles = [];
+
+fileInput.accept = ImportFormats.ACCEPT;
 fileInput.addEventListener('change', handleFileUpload);
+importBtn.addEventListener('click', runDryRun);
+cancelImportBtn.addEventListener('click', resetImport);
+backToMappingBtn.addEventListener('click', () => {
+    importPlan = null;
+    previewSection.classList.add('hidden');
+    mappingSection.classList.remove('hidden');
+});
+confirmUploadBtn.addEventListener('click', confirmImport);
+downloadRejectedBtn.addEventListener('click', downloadRejectedRows);
+saveProfileBtn.addEventListener('click', saveMappingProfile);
+profileSelect.addEventListener('change', () => {
+    const profile = mappingProfiles.find(p => p.id === profileSelect.value);
+    pendingImport.mapping = profile
+        ? { ...SalesRecord.autoMap([]), ...profile.mapping }
+        : SalesRecord.autoMap(pendingImport.headers);
+    if (profile) profileNameInput.value = profile.name;
+    renderMappingTable();
+});
 
 async function handleFileUpload(event) {
     const file = event.target.files[0];
@@ -47,6 +165,8 @@ async function handleFileUpload(event) {
     // Reset UI
     uploadStatus.classList.remove('hidden');
     uploadResult.classList.add('hidden');
+    mappingSection.classList.add('hidden');
+    previewSection.classList.add('hidden');
     progressBar.style.width = '0%';
     statusMessage.innerText = 'Reading file...';
 
@@ -54,16 +174,25 @@ async function handleFileUpload(event) {
     reader.onload = async (e) => {
         try {
             const data = new Uint8Array(e.target.result);
-            const workbook = XLSX.read(data, { type: 'array', cellDates: true });
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-            const jsonData = XLSX.utils.sheet_to_json(worksheet);
+            const { format, sources } = ImportFormats.readFile(file.name, data, XLSX);
+
+            statusMessage.innerText = 'Loading mapping profiles...';
+            mappingProfiles = await loadMappingProfiles();
 
-            statusMessage.innerText = `Processing ${jsonData.length} records...`;
-            await uploadDataToFirestore(jsonData);
+            // Workbooks default to their first sheet with data; the admin can add others
+            const firstWithRows = sources.find(s => s.rows.length) || sources[0];
+            pendingImport = {
+                fileName: file.name,
+                format: format,
+                sources: sources,
+                selectedSheets: firstWithRows ? [firstWithRows.name] : []
+            };
+
+            uploadStatus.classList.add('hidden');
+            selectSheets(pendingImport.selectedSheets);
 
         } catch (error) {
-            console.error('Error details:', error);
+            console.error('File read failed:', error);
             showResult(`Error processing file: ${error.message}`, 'text-red-400');
             uploadStatus.classList.add('hidden');
         }
@@ -71,124 +200,1383 @@ async function handleFileUpload(event) {
     reader.readAsArrayBuffer(file);
 }
 
-// Helper parsers (Same as app.js)
-const parsePrice = (val) => {
-    if (typeof val === 'number') return val;
-    if (typeof val === 'string') return parseFloat(val.replace(/[$,]/g, ''));
-    return 0;
-};
+// Combines the chosen sheets into one row list and re-detects headers and mapping
+function selectSheets(sheetNames) {
+    const chosen = pendingImport.sources.filter(s => sheetNames.includes(s.name));
+    const multi = chosen.length > 1;
 
-const parseDate = (val) => {
-    // Force a fresh native Date object to avoid "custom object" errors from libraries
-    if (val instanceof Date) return new Date(val.getTime());
-    if (typeof val === 'string' || typeof val === 'number') return new Date(val);
-    return new Date(NaN); // Invalid
-};
+    const rows = [];
+    const rowNumbers = [];
+    chosen.forEach(source => {
+        source.rows.forEach((row, i) => {
+            rows.push(row);
+            // Excel-style "Sheet!Row" references once rows come from more than one sheet
+            rowNumbers.push(multi ? `${source.name}!${source.rowNumbers[i]}` : source.rowNumbers[i]);
+        });
+    });
 
-const normalizeYesNo = (val) => {
-    if (!val) return 'No';
-    const s = String(val).trim().toUpperCase();
-    return (s === 'Y' || s === 'YES') ? 'Yes' : 'No';
-};
+    const headers = SalesRecord.detectHeaders(rows);
+    const profile = SalesRecord.pickProfile(mappingProfiles, headers);
+    Object.assign(pendingImport, {
+        selectedSheets: chosen.map(s => s.name),
+        rows: rows,
+        rowNumbers: rowNumbers,
+        headers: headers,
+        mapping: profile ? { ...SalesRecord.autoMap([]), ...profile.mapping } : SalesRecord.autoMap(headers)
+    });
+
+    showMappingScreen(profile);
+}
+
+function renderSheetPicker() {
+    const { sources, selectedSheets } = pendingImport;
+    sheetPicker.classList.toggle('hidden', sources.length < 2);
+    sheetOptions.innerHTML = '';
+    if (sources.length < 2) return;
+
+    sources.forEach(source => {
+        const label = document.createElement('label');
+        label.className = 'flex items-center gap-2 px-3 py-1 rounded border border-gray-700 cursor-pointer text-sm';
+        const cb = document.createElement('input');
+        cb.type = 'checkbox';
+        cb.checked = selectedSheets.includes(source.name);
+        cb.disabled = source.rows.length === 0;
+        cb.addEventListener('change', () => {
+            const names = [...sheetOptions.querySelectorAll('input')]
+                .map((input, i) => (input.checked ? sources[i].name : null))
+                .filter(Boolean);
+            selectSheets(names);
+        });
+        const text = document.createElement('span');
+        text.innerText = `${source.name} (${source.rows.length} rows)`;
+        label.appendChild(cb);
+        label.appendChild(text);
+        sheetOptions.appendChild(label);
+    });
+}
+
+// ------------------------------------------------------------------
+// COLUMN MAPPING
+// ------------------------------------------------------------------
+
+async function loadMappingProfiles() {
+    const snapshot = await db.collection('import_profiles').orderBy('name').get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+function showMappingScreen(profile) {
+    renderSheetPicker();
+    mappingFileLabel.innerText = `${pendingImport.fileName} (${pendingImport.rows.length} rows, ${pendingImport.headers.length} columns)`;
+
+    profileSelect.innerHTML = '<option value="">Auto-detect from headers</option>';
+    mappingProfiles.forEach(p => {
+        const opt = document.createElement('option');
+        opt.value = p.id;
+        opt.innerText = p.name;
+        profileSelect.appendChild(opt);
+    });
+    profileSelect.value = profile ? profile.id : '';
+    profileNameInput.value = profile ? profile.name : '';
+
+    if (profile) {
+        showResult(`Using saved mapping profile "${profile.name}".`, 'text-brand-500');
+    }
+
+    renderMappingTable();
+    mappingSection.classList.remove('hidden');
+}
+
+function renderMappingTable() {
+    const { headers, mapping } = pendingImport;
+    mappingTableBody.innerHTML = '';
+
+    SalesRecord.FIELDS.forEach(field => {
+        const tr = document.createElement('tr');
+        tr.className = 'border-b border-gray-800';
+
+        const labelCell = document.createElement('td');
+        labelCell.className = 'py-2 pr-4';
+        labelCell.innerText = field.label;
+        if (field.required) {
+            const star = document.createElement('span');
+            star.className = 'text-red-400 ml-1';
+            star.innerText = '*';
+            labelCell.appendChild(star);
+        }
+
+        const selectCell = document.createElement('td');
+        selectCell.className = 'py-2';
+        const select = document.createElement('select');
+        select.className = 'w-full p-2 rounded bg-dark-bg border border-gray-700 focus:border-brand-500 outline-none';
+        select.appendChild(new Option('— Not mapped —', ''));
+        headers.forEach(h => select.appendChild(new Option(h, h)));
+        select.value = headers.includes(mapping[field.key]) ? mapping[field.key] : '';
+        select.addEventListener('change', () => {
+            pendingImport.mapping[field.key] = select.value || null;
+            validateMapping();
+        });
+        selectCell.appendChild(select);
+
+        tr.appendChild(labelCell);
+        tr.appendChild(selectCell);
+        mappingTableBody.appendChild(tr);
+    });
+
+    validateMapping();
+}
+
+// Unmapped required fields block the upload
+function validateMapping() {
+    const missing = SalesRecord.missingRequired(pendingImport.mapping, pendingImport.headers);
+    importBtn.disabled = missing.length > 0;
+    if (missing.length) {
+        mappingWarning.innerText = `Map the required fields before uploading: ${missing.join(', ')}`;
+        mappingWarning.classList.remove('hidden');
+    } else {
+        mappingWarning.classList.add('hidden');
+    }
+}
+
+async function saveMappingProfile() {
+    const name = profileNameInput.value.trim();
+    if (!name) {
+        showResult('Enter a profile name to save this mapping.', 'text-red-400');
+        return;
+    }
+
+    // Only keep the fields that are actually mapped
+    const mapping = {};
+    Object.entries(pendingImport.mapping).forEach(([key, header]) => {
+        if (header) mapping[key] = header;
+    });
+
+    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    try {
+        await db.collection('import_profiles').doc(id).set({
+            name: name,
+            mapping: mapping,
+            headers: pendingImport.headers,
+            updatedBy: auth.currentUser ? auth.currentUser.email : null,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        mappingProfiles = await loadMappingProfiles();
+        showMappingScreen(mappingProfiles.find(p => p.id === id));
+        showResult(`Saved mapping profile "${name}".`, 'text-green-400');
+    } catch (error) {
+        console.error('Profile save failed:', error);
+        showResult(`Could not save profile: ${error.message}`, 'text-red-400');
+    }
+}
+
+// ------------------------------------------------------------------
+// DRY RUN
+// ------------------------------------------------------------------
+
+async function runDryRun() {
+    if (!pendingImport) return;
+    if (SalesRecord.missingRequired(pendingImport.mapping, pendingImport.headers).length) return;
+
+    mappingSection.classList.add('hidden');
+    uploadResult.classList.add('hidden');
+    uploadStatus.classList.remove('hidden');
+    progressBar.style.width = '0%';
+    statusMessage.innerText = `Checking ${pendingImport.rows.length} rows...`;
+
+    try {
+        importPlan = await SalesImport.buildImportPlan(db, pendingImport.rows, pendingImport.mapping, pendingImport.rowNumbers);
+        uploadStatus.classList.add('hidden');
+        showPreview(importPlan);
+    } catch (error) {
+        console.error('Import check failed:', error);
+        showResult(`Error checking file: ${error.message}`, 'text-red-400');
+        uploadStatus.classList.add('hidden');
+        mappingSection.classList.remove('hidden');
+    }
+}
+
+function showPreview(plan) {
+    document.getElementById('preview-new').innerText = plan.created.length.toLocaleString();
+    document.getElementById('preview-updated').innerText = plan.updated.length.toLocaleString();
+    document.getElementById('preview-unchanged').innerText = plan.unchanged.length.toLocaleString();
+    document.getElementById('preview-rejected').innerText = plan.rejected.length.toLocaleString();
+
+    // Rendering thousands of rejected rows locks the page, the download has all of them
+    const limit = 200;
+    previewRejectedBody.innerHTML = '';
+    plan.rejected.slice(0, limit).forEach(item => {
+        const tr = document.createElement('tr');
+        tr.className = 'border-b border-gray-800';
+        const cells = [
+            item.rowNumber,
+            item.reason,
+            pendingImport.mapping.address ? item.row[pendingImport.mapping.address] : '',
+            pendingImport.mapping.date ? item.row[pendingImport.mapping.date] : '',
+            pendingImport.mapping.price ? item.row[pendingImport.mapping.price] : ''
+        ];
+        cells.forEach((val, i) => {
+            const td = document.createElement('td');
+            td.className = i === 1 ? 'py-2 pr-4 text-red-400' : 'py-2 pr-4';
+            td.innerText = val instanceof Date ? val.toLocaleDateString('en-US') : (val == null ? '' : String(val));
+            tr.appendChild(td);
+        });
+        previewRejectedBody.appendChild(tr);
+    });
+
+    previewRejectedNote.innerText = plan.rejected.length > limit
+        ? `Showing first ${limit} of ${plan.rejected.length} rejected rows. Download the spreadsheet for the full list.`
+        : '';
+    downloadRejectedBtn.disabled = plan.rejected.length === 0;
+
+    const toWrite = plan.created.length + plan.updated.length;
+    confirmUploadBtn.disabled = toWrite === 0;
+    confirmUploadBtn.innerText = toWrite ? `Write ${toWrite.toLocaleString()} Records` : 'Nothing to Write';
+
+    previewSection.classList.remove('hidden');
+}
+
+function downloadRejectedRows() {
+    if (!importPlan || !importPlan.rejected.length) return;
+
+    const worksheet = XLSX.utils.json_to_sheet(SalesImport.rejectedSheetRows(importPlan));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Rejected');
+
+    const baseName = pendingImport.fileName.replace(/\.[^.]+$/, '');
+    XLSX.writeFile(workbook, `${baseName} - rejected rows.xlsx`);
+}
+
+async function confirmImport() {
+    if (!importPlan) return;
+
+    previewSection.classList.add('hidden');
+    uploadResult.classList.add('hidden');
+    uploadStatus.classList.remove('hidden');
+    progressBar.style.width = '0%';
+
+    try {
+        await uploadDataToFirestore(importPlan, pendingImport);
+        pendingImport = null;
+        importPlan = null;
+    } catch (error) {
+        console.error('Upload failed:', error);
+        showResult(`Error uploading file: ${error.message}`, 'text-red-400');
+        uploadStatus.classList.add('hidden');
+        previewSection.classList.remove('hidden');
+    }
+}
+
+function resetImport() {
+    pendingImport = null;
+    importPlan = null;
+    mappingSection.classList.add('hidden');
+    previewSection.classList.add('hidden');
+    uploadResult.classList.add('hidden');
+    fileInput.value = '';
+}
+
+// ------------------------------------------------------------------
+// FIRESTORE UPLOAD
+// ------------------------------------------------------------------
+
+async function uploadDataToFirestore(plan, source) {
+    const total = plan.created.length + plan.updated.length;
+
+    await SalesImport.writeImport(db, firebase.firestore.FieldValue, plan, {
+        fileName: source.fileName,
+        format: source.format,
+        sheets: source.selectedSheets,
+        uploadedBy: auth.currentUser ? auth.currentUser.email : null,
+        uid: auth.currentUser ? auth.currentUser.uid : null,
+        via: 'admin'
+    }, (written) => {
+        // Update Progress
+        progressBar.style.width = `${Math.round((written / total) * 100)}%`;
+        statusMessage.innerText = `Uploaded ${written} / ${total} records...`;
+    });
+
+    uploadStatus.classList.add('hidden');
+    showResult(`Success! Wrote ${plan.created.length} new and ${plan.updated.length} updated records ` +
+        `(${plan.unchanged.length} unchanged, ${plan.rejected.length} rejected).`, 'text-green-400');
+
+    // Clear input
+    fileInput.value = '';
+    loadImportHistory();
+}
+
+// ------------------------------------------------------------------
+// IMPORT HISTORY & ROLLBACK
+// ------------------------------------------------------------------
+
+const historyTableBody = document.getElementById('history-table-body');
+
+async function loadImportHistory() {
+    try {
+        const snapshot = await db.collection('import_batches').orderBy('uploadedAt', 'desc').limit(25).get();
+        renderImportHistory(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    } catch (error) {
+        console.error('History load failed:', error);
+        historyTableBody.innerHTML = `<tr><td colspan="6" class="py-4 text-center text-red-400">Could not load import history.</td></tr>`;
+    }
+}
+
+function renderImportHistory(imports) {
+    historyTableBody.innerHTML = '';
+    if (!imports.length) {
+        historyTableBody.innerHTML = `<tr><td colspan="6" class="py-4 text-center text-dark-muted">No imports yet.</td></tr>`;
+        return;
+    }
+
+    const statusLabels = {
+        in_progress: ['Incomplete', 'text-yellow-400'],
+        complete: ['Complete', 'text-green-400'],
+        rolled_back: ['Rolled Back', 'text-dark-muted']
+    };
+
+    imports.forEach(imp => {
+        const tr = document.createElement('tr');
+        tr.className = 'border-b border-gray-800';
+        const counts = imp.counts || {};
+        const when = imp.uploadedAt ? imp.uploadedAt.toDate().toLocaleString('en-US') : '';
+        const [statusText, statusClass] = statusLabels[imp.status] || [imp.status, ''];
+
+        const cells = [
+            [when, ''],
+            [imp.fileName || '', 'font-medium text-gray-200'],
+            [imp.uploadedBy || '', ''],
+            [`${counts.created || 0} new / ${counts.updated || 0} updated`, ''],
+            [statusText, statusClass]
+        ];
+        cells.forEach(([text, cls]) => {
+            const td = document.createElement('td');
+            td.className = `py-2 pr-4 ${cls}`;
+            td.innerText = text;
+            tr.appendChild(td);
+        });
+
+        const actionCell = document.createElement('td');
+        actionCell.className = 'py-2 text-right';
+        if (imp.status !== 'rolled_back' && canEdit()) {
+            const btn = document.createElement('button');
+            btn.className = 'text-xs px-3 py-1 border border-gray-700 rounded hover:bg-red-500/20 hover:text-red-300 transition';
+            btn.innerText = 'Roll Back';
+            btn.onclick = () => rollbackImport(imp);
+            actionCell.appendChild(btn);
+        }
+        tr.appendChild(actionCell);
+        historyTableBody.appendChild(tr);
+    });
+}
+
+// Deletes the documents an import created and restores the ones it overwrote (SalesImport.rollbackImport).
+// Documents a later import or a manual edit has changed since are left alone.
+async function rollbackImport(imp) {
+    if (!confirm(`Roll back "${imp.fileName}"? Records it created will be deleted and records it overwrote restored.`)) return;
+
+    uploadResult.classList.add('hidden');
+    uploadStatus.classList.remove('hidden');
+    progressBar.style.width = '0%';
+    statusMessage.innerText = `Rolling back ${imp.fileName}...`;
+
+    try {
+        const { restored, deleted, skipped } = await SalesImport.rollbackImport(db, firebase.firestore.FieldValue, imp,
+            currentActor(), (done, total) => { progressBar.style.width = `${Math.round((done / total) * 100)}%`; });
+
+        uploadStatus.classList.add('hidden');
+        let msg = `Rolled back ${imp.fileName}: ${deleted} deleted, ${restored} restored.`;
+        if (skipped) msg += ` ${skipped} records changed since by a later import or an edit were left alone.`;
+        showResult(msg, 'text-green-400');
+    } catch (error) {
+        console.error('Rollback failed:', error);
+        uploadStatus.classList.add('hidden');
+        showResult(`Rollback failed: ${error.message}`, 'text-red-400');
+    }
+
+    loadImportHistory();
+}
+
+// ------------------------------------------------------------------
+// RECORD BROWSER & EDITOR
+// ------------------------------------------------------------------
+
+const recordsSearch = document.getElementById('records-search');
+const recordsHead = document.getElementById('records-head');
+const recordsBody = document.getElementById('records-body');
+const recordsMessage = document.getElementById('records-message');
+const recordsPageInfo = document.getElementById('records-page-info');
+const recordsPrevBtn = document.getElementById('records-prev-btn');
+const recordsNextBtn = document.getElementById('records-next-btn');
+const recordsDeleteBtn = document.getElementById('records-delete-btn');
+
+const RECORDS_PAGE_SIZE = 50;
+
+const formatCurrency = (n) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(n);
+
+// Editable columns; `input` decides the editor used for the inline row
+const RECORD_COLUMNS = [
+    { key: 'date', label: 'Closed', input: 'date', format: (d) => d.toLocaleDateString('en-US') },
+    { key: 'address', label: 'Address', input: 'text' },
+    { key: 'city', label: 'City', input: 'text' },
+    { key: 'subdivision', label: 'Subdivision', input: 'text' },
+    { key: 'price', label: 'Price', input: 'number', format: formatCurrency },
+    { key: 'sqFt', label: 'SqFt', input: 'number' },
+    { key: 'beds', label: 'Beds', input: 'number' },
+    { key: 'baths', label: 'Baths', input: 'number' },
+    { key: 'daysOnMarket', label: 'DOM', input: 'number' },
+    { key: 'yearBuilt', label: 'Built', input: 'number' },
+    { key: 'newConstruction', label: 'New', input: 'select', options: ['Yes', 'No'] },
+    { key: 'insideCityLimits', label: 'In City', input: 'select', options: ['Yes', 'No', 'Unknown'] }
+];
+
+let recordsCache = null; // every sales_data document, newest first
+let recordsFiltered = [];
+let recordsPage = 0;
+let editingRecordId = null;
+const selectedRecordIds = new Set();
+
+recordsSearch.addEventListener('input', () => {
+    recordsPage = 0;
+    applyRecordSearch();
+});
+document.getElementById('records-refresh-btn').addEventListener('click', loadRecords);
+recordsPrevBtn.addEventListener('click', () => { recordsPage--; renderRecordsPage(); });
+recordsNextBtn.addEventListener('click', () => { recordsPage++; renderRecordsPage(); });
+recordsDeleteBtn.addEventListener('click', () => deleteRecords([...selectedRecordIds]));
+
+// Firestore has no text search, so the browser keeps the whole collection (a few thousand docs)
+async function loadRecords() {
+    recordsBody.innerHTML = `<tr><td colspan="${RECORD_COLUMNS.length + 2}" class="p-4 text-center text-dark-muted">Loading records...</td></tr>`;
+    try {
+        const snapshot = await db.collection('sales_data').orderBy('date', 'desc').get();
+        recordsCache = [];
+        snapshot.forEach(doc => {
+            const d = doc.data();
+            const date = d.date && typeof d.date.toDate === 'function' ? d.date.toDate() : new Date(d.date);
+            recordsCache.push({ ...d, id: doc.id, date: date });
+        });
+        selectedRecordIds.clear();
+        editingRecordId = null;
+        applyRecordSearch();
+    } catch (error) {
+        console.error('Records load failed:', error);
+        showRecordsMessage(`Could not load records: ${error.message}`, 'text-red-400');
+    }
+}
+
+function applyRecordSearch() {
+    if (!recordsCache) return;
+    const q = recordsSearch.value.trim().toLowerCase();
+    const qKey = AddressNormalizer.key(q);
+    recordsFiltered = !q ? recordsCache : recordsCache.filter(r =>
+        r.id === recordsSearch.value.trim() ||
+        String(r.address || '').toLowerCase().includes(q) ||
+        (qKey && AddressNormalizer.key(r.address).includes(qKey)) ||
+        String(r.city || '').toLowerCase().includes(q) ||
+        String(r.subdivision || '').toLowerCase().includes(q)
+    );
+    renderRecordsPage();
+}
+
+function renderRecordsPage() {
+    const pageCount = Math.max(1, Math.ceil(recordsFiltered.length / RECORDS_PAGE_SIZE));
+    recordsPage = Math.min(Math.max(recordsPage, 0), pageCount - 1);
+    const pageRows = recordsFiltered.slice(recordsPage * RECORDS_PAGE_SIZE, (recordsPage + 1) * RECORDS_PAGE_SIZE);
+
+    // Header with a select-all for the current page
+    recordsHead.innerHTML = '';
+    const selectAllTh = document.createElement('th');
+    selectAllTh.className = 'p-2';
+    const selectAll = document.createElement('input');
+    selectAll.type = 'checkbox';
+    selectAll.disabled = !canEdit();
+    selectAll.checked = pageRows.length > 0 && pageRows.every(r => selectedRecordIds.has(r.id));
+    selectAll.addEventListener('change', () => {
+        pageRows.forEach(r => (selectAll.checked ? selectedRecordIds.add(r.id) : selectedRecordIds.delete(r.id)));
+        renderRecordsPage();
+    });
+    selectAllTh.appendChild(selectAll);
+    recordsHead.appendChild(selectAllTh);
+    RECORD_COLUMNS.forEach(col => {
+        const th = document.createElement('th');
+        th.className = 'p-2 font-medium';
+        th.innerText = col.label;
+        recordsHead.appendChild(th);
+    });
+    recordsHead.appendChild(document.createElement('th'));
+
+    recordsBody.innerHTML = '';
+    if (!pageRows.length) {
+        recordsBody.innerHTML = `<tr><td colspan="${RECORD_COLUMNS.length + 2}" class="p-4 text-center text-dark-muted">No matching records.</td></tr>`;
+    }
+    pageRows.forEach(rec => {
+        recordsBody.appendChild(rec.id === editingRecordId ? buildEditRow(rec) : buildRecordRow(rec));
+    });
+
+    recordsPageInfo.innerText = `Page ${recordsPage + 1} of ${pageCount} · ${recordsFiltered.length.toLocaleString()} records`;
+    recordsPrevBtn.disabled = recordsPage === 0;
+    recordsNextBtn.disabled = recordsPage >= pageCount - 1;
+    recordsDeleteBtn.disabled = selectedRecordIds.size === 0;
+    recordsDeleteBtn.innerText = selectedRecordIds.size ? `Delete Selected (${selectedRecordIds.size})` : 'Delete Selected';
+}
+
+function buildRecordRow(rec) {
+    const tr = document.createElement('tr');
+    tr.className = 'hover:bg-white/5';
+    tr.dataset.id = rec.id;
+
+    const cbCell = document.createElement('td');
+    cbCell.className = 'p-2';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.disabled = !canEdit();
+    cb.checked = selectedRecordIds.has(rec.id);
+    cb.addEventListener('change', () => {
+        if (cb.checked) selectedRecordIds.add(rec.id);
+        else selectedRecordIds.delete(rec.id);
+        renderRecordsPage();
+    });
+    cbCell.appendChild(cb);
+    tr.appendChild(cbCell);
+
+    RECORD_COLUMNS.forEach(col => {
+        const td = document.createElement('td');
+        td.className = 'p-2';
+        const val = rec[col.key];
+        td.innerText = val == null || val === '' ? '' : (col.format ? col.format(val) : String(val));
+        tr.appendChild(td);
+    });
+
+    const actionCell = document.createElement('td');
+    actionCell.className = 'p-2 text-right';
+    tr.appendChild(actionCell);
+    if (!canEdit()) return tr;
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'text-xs px-2 py-1 border border-gray-700 rounded hover:bg-dark-card transition mr-1';
+    editBtn.innerHTML = '<i class="fa-solid fa-pen"></i>';
+    editBtn.title = 'Edit';
+    editBtn.onclick = () => {
+        editingRecordId = rec.id;
+        renderRecordsPage();
+    };
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'text-xs px-2 py-1 border border-gray-700 rounded hover:bg-red-500/20 hover:text-red-300 transition';
+    deleteBtn.innerHTML = '<i class="fa-solid fa-trash"></i>';
+    deleteBtn.title = 'Delete';
+    deleteBtn.onclick = () => deleteRecords([rec.id]);
+    actionCell.appendChild(editBtn);
+    actionCell.appendChild(deleteBtn);
+    return tr;
+}
 
-const normalizeCityLimits = (val) => {
-    if (!val) return 'Unknown';
-    const s = String(val).trim().toUpperCase();
-    if (s === 'Y' || s === 'YES') return 'Yes';
-    if (s === 'N' || s === 'NO') return 'No';
-    return 'Unknown';
+// yyyy-mm-dd in local time, which SalesRecord.parseDate reads back as a local date
+const toDateInputValue = (d) =>
+    `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+function buildEditRow(rec) {
+    const tr = document.createElement('tr');
+    tr.className = 'bg-brand-500/5';
+    tr.appendChild(document.createElement('td'));
+
+    const inputs = {};
+    RECORD_COLUMNS.forEach(col => {
+        const td = document.createElement('td');
+        td.className = 'p-1';
+        let input;
+        if (col.input === 'select') {
+            input = document.createElement('select');
+            col.options.forEach(opt => input.appendChild(new Option(opt, opt)));
+        } else {
+            input = document.createElement('input');
+            input.type = col.input;
+        }
+        input.className = 'record-input';
+        const val = rec[col.key];
+        input.value = col.input === 'date' ? toDateInputValue(val) : (val == null ? '' : val);
+        inputs[col.key] = input;
+        td.appendChild(input);
+        tr.appendChild(td);
+    });
+
+    const actionCell = document.createElement('td');
+    actionCell.className = 'p-2 text-right';
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'text-xs px-2 py-1 rounded bg-brand-500 text-dark-900 font-bold mr-1';
+    saveBtn.innerText = 'Save';
+    saveBtn.onclick = () => saveRecordEdit(rec, inputs);
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'text-xs px-2 py-1 border border-gray-700 rounded hover:bg-dark-card transition';
+    cancelBtn.innerText = 'Cancel';
+    cancelBtn.onclick = () => {
+        editingRecordId = null;
+        renderRecordsPage();
+    };
+    actionCell.appendChild(saveBtn);
+    actionCell.appendChild(cancelBtn);
+    tr.appendChild(actionCell);
+    return tr;
+}
+
+// Copy of a cached record without the browser-only `id`
+const storedData = (rec) => {
+    const { id, ...data } = rec;
+    return data;
 };
 
-async function uploadDataToFirestore(rawData) {
-    const batchSize = 400; // Firestore batch limit is 500
-    let addedCount = 0;
+// Appends an audit_log entry for a sales_data change to a write batch and returns its ID
+function addAuditEntry(batch, action, docId, before, after, extra) {
+    return AuditLog.append(db, batch, firebase.firestore.FieldValue, currentActor(), {
+        ...(extra || {}),
+        action: action,
+        collection: 'sales_data',
+        docId: docId,
+        before: before,
+        after: after
+    });
+}
+
+// Runs the edited values through the importer's buildRecord so edits obey the same rules
+async function saveRecordEdit(rec, inputs) {
+    const row = {};
+    Object.entries(inputs).forEach(([key, input]) => { row[key] = input.value.trim(); });
+    row.pricePerSqFt = rec.pricePerSqFt; // only used when sqFt is blank
+
+    const identity = {};
+    SalesRecord.FIELDS.forEach(f => { identity[f.key] = f.key; });
+    const { record, reason } = SalesRecord.buildRecord(row, identity);
+    const problems = reason ? [reason] : SalesRecord.checkSchema(record);
+    if (problems.length) {
+        showRecordsMessage(`Not saved: ${problems.join('; ')}`, 'text-red-400');
+        return;
+    }
 
-    // We need to sanitize the data into plain JS objects for Firestore
-    // This wrapper ensures no "custom objects" from XLSX leak through
+    const before = storedData(rec);
+    const after = SalesImport.editedData(before, record);
+    const changed = Object.keys(record).filter(key => !SalesRecord.sameRecord({ [key]: record[key] }, before));
+    if (!changed.length) {
+        editingRecordId = null;
+        renderRecordsPage();
+        return;
+    }
+
+    // Date, address or price changes move the sale to a new document ID
+    const newId = SalesRecord.docId(record);
     const collectionRef = db.collection('sales_data');
+    try {
+        const batch = db.batch();
+        if (newId !== rec.id) {
+            const clash = await collectionRef.doc(newId).get();
+            if (clash.exists) {
+                showRecordsMessage('Not saved: another record already has this closed date, address and price.', 'text-red-400');
+                return;
+            }
+        }
+        const auditId = addAuditEntry(batch, 'update', rec.id, before, after, { newDocId: newId !== rec.id ? newId : null, fields: changed });
+        batch.set(collectionRef.doc(newId), SalesSync.stamp(after, firebase.firestore.FieldValue, auditId));
+        if (newId !== rec.id) {
+            batch.delete(collectionRef.doc(rec.id));
+            SalesSync.markDeleted(db, batch, firebase.firestore.FieldValue, rec.id, auditId);
+        }
+        await batch.commit();
+        await refreshAggregates([rec.date, record.date]);
+
+        const idx = recordsCache.indexOf(rec);
+        recordsCache[idx] = { ...after, id: newId };
+        editingRecordId = null;
+        applyRecordSearch();
+        showRecordsMessage(`Saved changes to ${record.address} (${changed.join(', ')}).`, 'text-green-400');
+    } catch (error) {
+        console.error('Save failed:', error);
+        showRecordsMessage(`Not saved: ${error.message}`, 'text-red-400');
+    }
+}
+
+async function deleteRecords(ids) {
+    if (!ids.length) return;
+    if (!confirm(`Delete ${ids.length} record(s)? This is recorded in the audit log.`)) return;
+
+    const byId = {};
+    recordsCache.forEach(r => { byId[r.id] = r; });
+    const collectionRef = db.collection('sales_data');
+
+    try {
+        const chunkSize = AuditLog.RECORDS_PER_BATCH;
+        for (let i = 0; i < ids.length; i += chunkSize) {
+            const batch = db.batch();
+            ids.slice(i, i + chunkSize).forEach(id => {
+                const auditId = addAuditEntry(batch, 'delete', id, byId[id] ? storedData(byId[id]) : null, null);
+                batch.delete(collectionRef.doc(id));
+                SalesSync.markDeleted(db, batch, firebase.firestore.FieldValue, id, auditId);
+            });
+            await batch.commit();
+        }
+        await refreshAggregates(ids.map(id => byId[id] && byId[id].date));
+
+        const removed = new Set(ids);
+        recordsCache = recordsCache.filter(r => !removed.has(r.id));
+        ids.forEach(id => selectedRecordIds.delete(id));
+        applyRecordSearch();
+        showRecordsMessage(`Deleted ${ids.length} record(s).`, 'text-green-400');
+    } catch (error) {
+        console.error('Delete failed:', error);
+        showRecordsMessage(`Delete failed: ${error.message}`, 'text-red-400');
+    }
+}
+
+// Used by the Data Quality tab to jump straight to a flagged record
+function openRecordForEdit(id) {
+    switchTab('records');
+    recordsSearch.value = id;
+    recordsPage = 0;
+    editingRecordId = id;
+    applyRecordSearch();
+}
+
+function showRecordsMessage(msg, colorClass) {
+    recordsMessage.className = `text-sm mb-4 ${colorClass}`;
+    recordsMessage.innerText = msg;
+}
+
+// ------------------------------------------------------------------
+// DATA QUALITY
+// ------------------------------------------------------------------
+
+const runQualityBtn = document.getElementById('run-quality-btn');
+const qualitySummary = document.getElementById('quality-summary');
+const qualityFlagFilter = document.getElementById('quality-flag-filter');
+const qualityFlagsBody = document.getElementById('quality-flags-body');
+
+let qualityFlags = [];
+
+runQualityBtn.addEventListener('click', runQualityChecks);
+qualityFlagFilter.addEventListener('change', renderQualityFlags);
+
+async function runQualityChecks() {
+    runQualityBtn.disabled = true;
+    qualitySummary.innerText = 'Checking records...';
+
+    try {
+        if (!recordsCache) await loadRecords();
+        const importsSnap = await db.collection('import_batches').get();
+        const importNames = {};
+        importsSnap.forEach(doc => {
+            const d = doc.data();
+            const when = d.uploadedAt ? d.uploadedAt.toDate().toLocaleDateString('en-US') : '';
+            importNames[doc.id] = `${d.fileName || doc.id} ${when ? `(${when})` : ''}`.trim();
+        });
+
+        const records = recordsCache;
+        renderMissingTable('quality-city-table', 'City', DataQuality.missingBy(records, r => r.city || 'Unknown'));
+        renderMissingTable('quality-import-table', 'Import', DataQuality.missingBy(records,
+            r => (r.importId ? (importNames[r.importId] || r.importId) : 'Before import tracking')));
+
+        const outliers = DataQuality.findOutliers(records);
+        const mismatches = DataQuality.findPpsfMismatches(records);
+        qualityFlags = [
+            ...outliers.map(o => ({
+                kind: 'outlier',
+                record: o.record,
+                issue: `${o.label} outlier`,
+                value: formatQualityValue(o.field, o.value),
+                expected: `${formatQualityValue(o.field, o.low)} – ${formatQualityValue(o.field, o.high)}`
+            })),
+            ...mismatches.map(m => ({
+                kind: 'mismatch',
+                record: m.record,
+                issue: 'Stored $/SqFt ≠ price ÷ sqft',
+                value: formatQualityValue('pricePerSqFt', m.stored),
+                expected: formatQualityValue('pricePerSqFt', m.computed)
+            }))
+        ];
 
-    // 1. Process all records first
-    const cleanRecords = rawData.map((row, index) => {
-        let dimPrice = row['Price'];
-        if (typeof dimPrice === 'string') dimPrice = parseFloat(dimPrice.replace(/[$,]/g, ''));
-        if (dimPrice == null || isNaN(dimPrice)) dimPrice = 0;
+        const incomplete = records.filter(r => DataQuality.MISSING_CHECKS.some(c => c.isMissing(r))).length;
+        qualitySummary.innerText = `${records.length.toLocaleString()} records checked: ${incomplete.toLocaleString()} with missing fields, ` +
+            `${outliers.length} outlier values, ${mismatches.length} $/sqft mismatches.`;
+        renderQualityFlags();
+    } catch (error) {
+        console.error('Quality checks failed:', error);
+        qualitySummary.innerText = `Checks failed: ${error.message}`;
+    }
+
+    runQualityBtn.disabled = false;
+}
+
+function formatQualityValue(field, val) {
+    if (field === 'price') return formatCurrency(val);
+    if (field === 'pricePerSqFt') return `$${val.toFixed(2)}`;
+    return Math.round(val).toLocaleString();
+}
+
+function renderMissingTable(tableId, groupLabel, groups) {
+    const table = document.getElementById(tableId);
+    table.innerHTML = '';
+
+    const head = document.createElement('tr');
+    [groupLabel, 'Records', ...DataQuality.MISSING_CHECKS.map(c => c.label)].forEach((text, i) => {
+        const th = document.createElement('th');
+        th.className = `py-2 pr-4 font-medium text-dark-muted ${i > 0 ? 'text-right' : ''}`;
+        th.innerText = text;
+        head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    groups.forEach(g => {
+        const tr = document.createElement('tr');
+        tr.className = 'border-t border-gray-800';
+        const cells = [[g.group, ''], [g.total.toLocaleString(), 'text-right']];
+        DataQuality.MISSING_CHECKS.forEach(c => {
+            const n = g.missing[c.key];
+            const pct = n / g.total;
+            // Shade by share missing so the worst gaps stand out
+            const cls = pct > 0.25 ? 'text-red-400' : pct > 0.05 ? 'text-yellow-400' : 'text-dark-muted';
+            cells.push([n ? `${n} (${Math.round(pct * 100)}%)` : '–', `text-right ${cls}`]);
+        });
+        cells.forEach(([text, cls]) => {
+            const td = document.createElement('td');
+            td.className = `py-2 pr-4 ${cls}`;
+            td.innerText = text;
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+}
 
-        const dateObj = parseDate(row['Closed Date']);
+function renderQualityFlags() {
+    const kind = qualityFlagFilter.value;
+    const flags = qualityFlags.filter(f => kind === 'all' || f.kind === kind);
+    const limit = 200;
+    qualityFlagsBody.innerHTML = '';
 
-        // Debug: Log the first row's keys to help find column names if missing
-        if (index === 0) {
-            console.log("Diagnostic: Spreadsheet columns found:", Object.keys(row));
+    if (!flags.length) {
+        qualityFlagsBody.innerHTML = '<tr><td colspan="7" class="py-4 text-center text-dark-muted">Nothing flagged.</td></tr>';
+        return;
+    }
+
+    flags.slice(0, limit).forEach(f => {
+        const tr = document.createElement('tr');
+        tr.className = 'border-t border-gray-800';
+        [
+            [f.record.date.toLocaleDateString('en-US'), ''],
+            [f.record.address, 'font-medium text-gray-200'],
+            [f.record.city, ''],
+            [f.issue, f.kind === 'outlier' ? 'text-yellow-400' : 'text-red-400'],
+            [f.value, 'text-right'],
+            [f.expected, 'text-right text-dark-muted']
+        ].forEach(([text, cls]) => {
+            const td = document.createElement('td');
+            td.className = `py-2 pr-4 ${cls}`;
+            td.innerText = text;
+            tr.appendChild(td);
+        });
+
+        const actionCell = document.createElement('td');
+        actionCell.className = 'py-2 text-right';
+        if (canEdit()) {
+            const fixBtn = document.createElement('button');
+            fixBtn.className = 'text-xs px-3 py-1 border border-gray-700 rounded hover:bg-brand-500/20 hover:text-brand-500 transition';
+            fixBtn.innerText = 'Fix';
+            fixBtn.onclick = () => openRecordForEdit(f.record.id);
+            actionCell.appendChild(fixBtn);
         }
+        tr.appendChild(actionCell);
+        qualityFlagsBody.appendChild(tr);
+    });
+
+    if (flags.length > limit) {
+        qualityFlagsBody.insertAdjacentHTML('beforeend',
+            `<tr><td colspan="7" class="py-2 text-center text-xs text-dark-muted">Showing ${limit} of ${flags.length} flags.</td></tr>`);
+    }
+}
+
+// ------------------------------------------------------------------
+// DUPLICATE REVIEW
+// ------------------------------------------------------------------
+
+const scanDuplicatesBtn = document.getElementById('scan-duplicates-btn');
+const duplicateSummary = document.getElementById('duplicate-summary');
+const duplicateList = document.getElementById('duplicate-list');
+
+// Same normalized address plus a close date (a re-export) or a close price (a corrected date)
+const DUPLICATE_RULES = {
+    maxDaysApart: 45,
+    priceTolerance: 0.02,
+    priceMatchMaxDaysApart: 365
+};
+
+let duplicateClusters = [];
+
+scanDuplicatesBtn.addEventListener('click', scanForDuplicates);
+
+function isLikelyDuplicate(a, b) {
+    const daysApart = Math.abs(a.date - b.date) / 86400000;
+    if (daysApart <= DUPLICATE_RULES.maxDaysApart) return true;
+    const priceDiff = Math.abs(a.price - b.price) / Math.max(a.price, b.price);
+    return priceDiff <= DUPLICATE_RULES.priceTolerance && daysApart <= DUPLICATE_RULES.priceMatchMaxDaysApart;
+}
+
+// Groups records by normalized address, then links likely duplicates within each group
+function findDuplicateClusters(records) {
+    const byAddress = {};
+    records.forEach(r => {
+        const key = AddressNormalizer.key(r.address);
+        if (!key) return;
+        if (!byAddress[key]) byAddress[key] = [];
+        byAddress[key].push(r);
+    });
+
+    const clusters = [];
+    Object.values(byAddress).forEach(group => {
+        if (group.length < 2) return;
+        group.sort((a, b) => a.date - b.date);
+
+        // Union-find so A~B and B~C end up in one cluster
+        const parent = group.map((_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                if (isLikelyDuplicate(group[i], group[j])) parent[find(i)] = find(j);
+            }
+        }
+
+        const sets = {};
+        group.forEach((r, i) => {
+            const root = find(i);
+            if (!sets[root]) sets[root] = [];
+            sets[root].push(r);
+        });
+        Object.values(sets).filter(s => s.length > 1).forEach(s => clusters.push(s));
+    });
+    return clusters;
+}
+
+// Clusters are identified by their sorted document IDs
+const clusterKey = (cluster) => cluster.map(r => r.id).sort().join('|');
+
+function clusterDocId(cluster) {
+    const s = clusterKey(cluster);
+    let h = 5381;
+    for (let i = 0; i < s.length; i++) h = ((h << 5) + h + s.charCodeAt(i)) >>> 0;
+    return `dup-${h.toString(36)}-${cluster.length}`;
+}
+
+async function scanForDuplicates() {
+    scanDuplicatesBtn.disabled = true;
+    duplicateSummary.innerText = 'Scanning sales_data...';
+    duplicateList.innerHTML = '';
+
+    try {
+        const [salesSnap, dismissedSnap] = await Promise.all([
+            db.collection('sales_data').get(),
+            db.collection('duplicate_dismissals').get()
+        ]);
+
+        const records = [];
+        salesSnap.forEach(doc => {
+            const d = doc.data();
+            const date = d.date && typeof d.date.toDate === 'function' ? d.date.toDate() : new Date(d.date);
+            if (!isNaN(date.getTime())) records.push({ ...d, id: doc.id, date: date });
+        });
+
+        const dismissed = new Set();
+        dismissedSnap.forEach(doc => dismissed.add([...(doc.data().ids || [])].sort().join('|')));
 
-        // Skip invalid dates
-        if (isNaN(dateObj.getTime())) return null;
-
-        // Construct PLAIN OBJECT strictly
-        const record = {
-            address: String(row['Address'] || row['Street Name'] || row['Street Address'] || '').trim(),
-            date: dateObj, // Firestore likes native Date objects
-            price: Number(dimPrice),
-            pricePerSqFt: Number(parsePrice(row['Price Per SQFT']) || 0),
-            sqFt: Number(row['Apx SQFT'] || 0),
-            daysOnMarket: Number(row['Days On Market'] || 0),
-            city: String(row['City'] || 'Unknown').trim(),
-            subdivision: String(row['Subdivision'] || '').trim(),
-            beds: Number(row['Beds'] || 0),
-            baths: Number(row['Full Baths'] || 0),
-            year: Number(dateObj.getFullYear()),
-            newConstruction: normalizeYesNo(row['New Construction?']),
-            insideCityLimits: normalizeCityLimits(row['Inside City Limits'] || row['Inside City Limit']),
-            // Robust check for Year Built variations
-            yearBuilt: row['Apx YRB'] || row['Year Built'] || row['Yr Built'] || row['YearBuilt'] || row['ApxYRB'] || row['Apx Yrb'] || null,
-            uniqueKey: `${dateObj.getTime()}-${(row['Address'] || '').trim().toLowerCase()}-${dimPrice}`
-        };
-
-        // NUCLEAR SANITIZATION:
-        // Convert to JSON and back to remove ANY prototypes or hidden properties
-        // Date objects will become Strings strings during JSON.stringify, so we must restore them.
-        const plain = JSON.parse(JSON.stringify(record));
-        plain.date = new Date(record.date.getTime()); // Restore the Date object manually
-
-        return plain;
-
-    }).filter(d => d !== null && d.price > 0 && d.year > 2000);
-
-    // 2. Upload in batches
-    // Strategy: We can't easily check all 2000+ records one by one efficiently without many reads.
-    // Optimization: We will use the 'uniqueKey' as the Document ID. Firestore handles idempotency!
-    // If we try to write the same Doc ID, it will just overwrite (or validly 'update') the record.
-    // Since the content is the same, this is effectively an "Ignore Duplicate" or "Update to latest".
-
-    const total = cleanRecords.length;
-    console.log(`Ready to upload ${total} sanitized records.`);
-
-    for (let i = 0; i < total; i += batchSize) {
+        duplicateClusters = findDuplicateClusters(records).filter(c => !dismissed.has(clusterKey(c)));
+        renderDuplicateClusters();
+    } catch (error) {
+        console.error('Duplicate scan failed:', error);
+        duplicateSummary.innerText = `Scan failed: ${error.message}`;
+    }
+
+    scanDuplicatesBtn.disabled = false;
+}
+
+function renderDuplicateClusters() {
+    const limit = 25;
+    duplicateList.innerHTML = '';
+    duplicateSummary.innerText = duplicateClusters.length
+        ? `${duplicateClusters.length} likely duplicate groups found.` + (duplicateClusters.length > limit ? ` Showing the first ${limit}.` : '')
+        : 'No likely duplicates found.';
+
+    const formatCurrency = (n) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(n);
+
+    duplicateClusters.slice(0, limit).forEach(cluster => {
+        const card = document.createElement('div');
+        card.className = 'p-4 rounded bg-gray-800 mb-4';
+
+        const title = document.createElement('div');
+        title.className = 'flex justify-between items-center mb-2';
+        const heading = document.createElement('span');
+        heading.className = 'font-medium text-gray-200';
+        heading.innerText = `${AddressNormalizer.normalize(cluster[0].address)} (${cluster.length} records)`;
+        const dismissBtn = document.createElement('button');
+        dismissBtn.className = 'text-xs px-3 py-1 border border-gray-700 rounded hover:bg-dark-card transition';
+        dismissBtn.innerText = 'Not Duplicates';
+        dismissBtn.onclick = () => dismissDuplicateCluster(cluster);
+        title.appendChild(heading);
+        if (canEdit()) title.appendChild(dismissBtn);
+        card.appendChild(title);
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-left text-sm';
+        cluster.forEach(r => {
+            const tr = document.createElement('tr');
+            tr.className = 'border-t border-gray-700';
+            [
+                r.date.toLocaleDateString('en-US'),
+                r.address,
+                r.city,
+                formatCurrency(r.price),
+                r.sqFt ? `${r.sqFt.toLocaleString()} sqft` : ''
+            ].forEach(text => {
+                const td = document.createElement('td');
+                td.className = 'py-2 pr-4';
+                td.innerText = text;
+                tr.appendChild(td);
+            });
+
+            const actionCell = document.createElement('td');
+            actionCell.className = 'py-2 text-right';
+            const keepBtn = document.createElement('button');
+            keepBtn.className = 'text-xs px-3 py-1 border border-gray-700 rounded hover:bg-brand-500/20 hover:text-brand-500 transition';
+            keepBtn.innerText = 'Keep This';
+            keepBtn.onclick = () => mergeDuplicateCluster(cluster, r.id);
+            if (canEdit()) actionCell.appendChild(keepBtn);
+            tr.appendChild(actionCell);
+            table.appendChild(tr);
+        });
+        card.appendChild(table);
+        duplicateList.appendChild(card);
+    });
+}
+
+// A field counts as blank when the importer would have defaulted it
+const isBlankField = (key, val) =>
+    val == null || val === '' || val === 0 || ((key === 'city' || key === 'insideCityLimits') && val === 'Unknown');
+
+// Keeps one record, fills its blank fields from the others, and deletes the others
+async function mergeDuplicateCluster(cluster, keepId) {
+    const keep = cluster.find(r => r.id === keepId);
+    const others = cluster.filter(r => r.id !== keepId);
+    if (!confirm(`Keep the ${keep.date.toLocaleDateString('en-US')} record and delete ${others.length} other(s)?`)) return;
+
+    const fill = {};
+    SalesRecord.FIELDS.forEach(f => {
+        if (!isBlankField(f.key, keep[f.key])) return;
+        const donor = others.find(o => !isBlankField(f.key, o[f.key]));
+        if (donor) fill[f.key] = donor[f.key];
+    });
+    fill.mergedFrom = [...new Set([...(keep.mergedFrom || []), ...others.map(o => o.id)])];
+
+    try {
         const batch = db.batch();
-        const chunk = cleanRecords.slice(i, i + batchSize);
+        const collectionRef = db.collection('sales_data');
+        const before = storedData(keep);
+        const after = SalesImport.editedData(before, fill);
+        const auditId = addAuditEntry(batch, 'update', keepId, before, after, { fields: Object.keys(fill) });
+        batch.set(collectionRef.doc(keepId), SalesSync.stamp(after, firebase.firestore.FieldValue, auditId));
+        others.forEach(o => {
+            const deleteAuditId = addAuditEntry(batch, 'delete', o.id, storedData(o), null, { mergedInto: keepId });
+            batch.delete(collectionRef.doc(o.id));
+            SalesSync.markDeleted(db, batch, firebase.firestore.FieldValue, o.id, deleteAuditId);
+        });
+        await batch.commit();
+        await refreshAggregates(cluster.map(r => r.date));
 
-        chunk.forEach(record => {
-            // Ensure uniqueKey is safe for ID
-            const safeKey = record.uniqueKey.replace(/\//g, '_');
-            const docRef = collectionRef.doc(safeKey);
-            batch.set(docRef, record); // FIXED: Requires docRef as 1st arg
+        duplicateClusters = duplicateClusters.filter(c => c !== cluster);
+        renderDuplicateClusters();
+    } catch (error) {
+        console.error('Merge failed:', error);
+        duplicateSummary.innerText = `Merge failed: ${error.message}`;
+    }
+}
+
+async function dismissDuplicateCluster(cluster) {
+    try {
+        await db.collection('duplicate_dismissals').doc(clusterDocId(cluster)).set({
+            ids: cluster.map(r => r.id),
+            dismissedBy: auth.currentUser ? auth.currentUser.email : null,
+            dismissedAt: firebase.firestore.FieldValue.serverTimestamp()
         });
+        duplicateClusters = duplicateClusters.filter(c => c !== cluster);
+        renderDuplicateClusters();
+    } catch (error) {
+        console.error('Dismiss failed:', error);
+        duplicateSummary.innerText = `Could not dismiss: ${error.message}`;
+    }
+}
+
+// ------------------------------------------------------------------
+// SCHEMA MIGRATIONS
+// ------------------------------------------------------------------
+
+const checkMigrationBtn = document.getElementById('check-migration-btn');
+const runMigrationBtn = document.getElementById('run-migration-btn');
+const migrationSummary = document.getElementById('migration-summary');
+const migrationFailedBody = document.getElementById('migration-failed-body');
+
+document.getElementById('schema-version').innerText = `v${SalesRecord.SCHEMA_VERSION}`;
+checkMigrationBtn.addEventListener('click', () => migrateSalesData(true));
+runMigrationBtn.addEventListener('click', () => {
+    if (!confirm(`Upgrade all sales_data documents to schema v${SalesRecord.SCHEMA_VERSION}? Documents are rewritten in place.`)) return;
+    migrateSalesData(false);
+});
+
+async function migrateSalesData(dryRun) {
+    checkMigrationBtn.disabled = true;
+    runMigrationBtn.disabled = true;
+    migrationFailedBody.innerHTML = '';
+    migrationSummary.innerText = 'Scanning sales_data...';
+
+    try {
+        const report = await SalesMigrations.runMigrations(db, {
+            dryRun: dryRun,
+            FieldValue: firebase.firestore.FieldValue,
+            actor: currentActor(),
+            onProgress: (r) => { migrationSummary.innerText = `Scanned ${r.scanned} documents...`; }
+        });
+        if (!dryRun) {
+            await SalesMigrations.recordRun(db, firebase.firestore.FieldValue, report,
+                auth.currentUser ? auth.currentUser.email : null);
+            if (report.upgraded) await MarketAggregates.rebuildAll(db, firebase.firestore.FieldValue);
+        }
+
+        migrationSummary.innerText = `${dryRun ? 'Would upgrade' : 'Upgraded'} ${report.upgraded} of ${report.scanned} documents ` +
+            `(${report.current} already current, ${report.failed.length} failed).`;
+        report.failed.forEach(f => {
+            const tr = document.createElement('tr');
+            tr.className = 'border-b border-gray-800';
+            [[f.id, 'font-mono text-xs'], [`v${f.fromVersion}`, ''], [f.error, 'text-red-400']].forEach(([text, cls]) => {
+                const td = document.createElement('td');
+                td.className = `py-2 pr-4 ${cls}`;
+                td.innerText = text;
+                tr.appendChild(td);
+            });
+            migrationFailedBody.appendChild(tr);
+        });
+    } catch (error) {
+        console.error('Migration failed:', error);
+        migrationSummary.innerText = `Migration failed: ${error.message}`;
+    }
+
+    checkMigrationBtn.disabled = false;
+    runMigrationBtn.disabled = false;
+}
+
+// ------------------------------------------------------------------
+// USERS (admins only)
+// ------------------------------------------------------------------
+
+const usersTableBody = document.getElementById('users-table-body');
+const usersMessage = document.getElementById('users-message');
+
+document.getElementById('users-refresh-btn').addEventListener('click', loadUsers);
+
+async function loadUsers() {
+    usersTableBody.innerHTML = '<tr><td colspan="4" class="py-4 text-center text-dark-muted">Loading users...</td></tr>';
+    try {
+        const snapshot = await db.collection('users').get();
+        const users = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        // Pending requests first, then by email
+        users.sort((a, b) => (a.role === UserRoles.PENDING ? 0 : 1) - (b.role === UserRoles.PENDING ? 0 : 1) ||
+            String(a.email).localeCompare(String(b.email)));
+        renderUsers(users);
+    } catch (error) {
+        console.error('Users load failed:', error);
+        usersTableBody.innerHTML = '<tr><td colspan="4" class="py-4 text-center text-red-400">Could not load users.</td></tr>';
+    }
+}
 
+function renderUsers(users) {
+    usersTableBody.innerHTML = '';
+    users.forEach(user => {
+        const tr = document.createElement('tr');
+        tr.className = 'border-b border-gray-800';
+        const isSelf = auth.currentUser && user.id === auth.currentUser.uid;
+
+        const emailCell = document.createElement('td');
+        emailCell.className = 'py-2 pr-4 font-medium text-gray-200';
+        emailCell.innerText = isSelf ? `${user.email} (you)` : user.email;
+        tr.appendChild(emailCell);
+
+        const roleCell = document.createElement('td');
+        roleCell.className = 'py-2 pr-4';
+        // Admins can't change their own role, so there is always at least one admin
+        if (isSelf) {
+            roleCell.innerText = UserRoles.LABELS[user.role] || user.role;
+        } else {
+            const select = document.createElement('select');
+            select.className = 'p-1 rounded bg-dark-bg border border-gray-700 focus:border-brand-500 outline-none';
+            if (!UserRoles.isRole(user.role)) select.appendChild(new Option(UserRoles.LABELS.pending, user.role));
+            UserRoles.ROLES.forEach(role => select.appendChild(new Option(UserRoles.LABELS[role], role)));
+            select.value = user.role;
+            select.addEventListener('change', () => setUserRole(user, select.value));
+            roleCell.appendChild(select);
+        }
+        tr.appendChild(roleCell);
+
+        const changed = user.updatedAt || user.requestedAt;
+        const whenCell = document.createElement('td');
+        whenCell.className = 'py-2 pr-4 text-dark-muted';
+        whenCell.innerText = changed ? `${changed.toDate().toLocaleString('en-US')}${user.updatedBy ? ` by ${user.updatedBy}` : ''}` : '';
+        tr.appendChild(whenCell);
+
+        const actionCell = document.createElement('td');
+        actionCell.className = 'py-2 text-right';
+        if (!isSelf) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'text-xs px-3 py-1 border border-gray-700 rounded hover:bg-red-500/20 hover:text-red-300 transition';
+            removeBtn.innerText = 'Remove Access';
+            removeBtn.onclick = () => removeUser(user);
+            actionCell.appendChild(removeBtn);
+        }
+        tr.appendChild(actionCell);
+        usersTableBody.appendChild(tr);
+    });
+}
+
+async function setUserRole(user, role) {
+    try {
+        const batch = db.batch();
+        batch.update(db.collection('users').doc(user.id), {
+            role: role,
+            updatedBy: auth.currentUser.email,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        AuditLog.append(db, batch, firebase.firestore.FieldValue, currentActor(), {
+            action: 'update',
+            collection: 'users',
+            docId: user.id,
+            before: { email: user.email, role: user.role },
+            after: { email: user.email, role: role }
+        });
         await batch.commit();
-        addedCount += chunk.length;
+        showUsersMessage(`${user.email} is now ${UserRoles.LABELS[role]}.`, 'text-green-400');
+    } catch (error) {
+        console.error('Role change failed:', error);
+        showUsersMessage(`Could not change role: ${error.message}`, 'text-red-400');
+    }
+    loadUsers();
+}
 
-        // Update Progress
-        const percent = Math.round(((i + chunk.length) / total) * 100);
-        progressBar.style.width = `${percent}%`;
-        statusMessage.innerText = `Uploaded ${addedCount} / ${total} records...`;
+// Deletes the users doc; the account shows up as pending again if it signs in later
+async function removeUser(user) {
+    if (!confirm(`Remove access for ${user.email}?`)) return;
+    try {
+        const batch = db.batch();
+        batch.delete(db.collection('users').doc(user.id));
+        AuditLog.append(db, batch, firebase.firestore.FieldValue, currentActor(), {
+            action: 'delete',
+            collection: 'users',
+            docId: user.id,
+            before: { email: user.email, role: user.role },
+            after: null
+        });
+        await batch.commit();
+        showUsersMessage(`Removed access for ${user.email}.`, 'text-green-400');
+    } catch (error) {
+        console.error('Remove failed:', error);
+        showUsersMessage(`Could not remove user: ${error.message}`, 'text-red-400');
     }
+    loadUsers();
+}
 
-    uploadStatus.classList.add('hidden');
-    showResult(`Success! Processed ${total} records.`, 'text-green-400');
+function showUsersMessage(msg, colorClass) {
+    usersMessage.className = `text-sm mb-4 ${colorClass}`;
+    usersMessage.innerText = msg;
+}
 
-    // Clear input
-    fileInput.value = '';
+// ------------------------------------------------------------------
+// AUDIT LOG (admins only)
+// ------------------------------------------------------------------
+
+const auditTableBody = document.getElementById('audit-table-body');
+const auditMoreBtn = document.getElementById('audit-more-btn');
+const AUDIT_PAGE_SIZE = 50;
+
+let auditLastDoc = null;
+
+document.getElementById('audit-refresh-btn').addEventListener('click', () => loadAuditLog());
+auditMoreBtn.addEventListener('click', () => loadAuditLog(true));
+
+async function loadAuditLog(more) {
+    if (!more) {
+        auditLastDoc = null;
+        auditTableBody.innerHTML = '<tr><td colspan="5" class="py-4 text-center text-dark-muted">Loading audit log...</td></tr>';
+    }
+    try {
+        let query = db.collection(AuditLog.COLLECTION).orderBy('at', 'desc').limit(AUDIT_PAGE_SIZE);
+        if (auditLastDoc) query = query.startAfter(auditLastDoc);
+        const snapshot = await query.get();
+        if (!more) auditTableBody.innerHTML = '';
+        snapshot.docs.forEach(doc => auditTableBody.appendChild(buildAuditRow(doc.data())));
+        if (!more && snapshot.empty) {
+            auditTableBody.innerHTML = '<tr><td colspan="5" class="py-4 text-center text-dark-muted">No changes recorded yet.</td></tr>';
+        }
+        auditLastDoc = snapshot.docs[snapshot.docs.length - 1] || auditLastDoc;
+        auditMoreBtn.classList.toggle('hidden', snapshot.size < AUDIT_PAGE_SIZE);
+    } catch (error) {
+        console.error('Audit log load failed:', error);
+        auditTableBody.innerHTML = '<tr><td colspan="5" class="py-4 text-center text-red-400">Could not load the audit log.</td></tr>';
+    }
+}
+
+// One-line description of what an entry changed
+function describeAuditEntry(e) {
+    if (e.collection === 'users') {
+        return e.after ? `Role ${e.before ? e.before.role : 'none'} → ${e.after.role}` : `Removed ${e.before ? e.before.role : ''} access`;
+    }
+    if (e.rollbackOf) return `Rollback of import ${e.rollbackOf}`;
+    if (e.importId) return `Import ${e.importId}`;
+    if (e.migration) return `Schema v${e.migration} migration`;
+    if (e.mergedInto) return `Merged into ${e.mergedInto}`;
+    if (e.newDocId) return `Moved to ${e.newDocId}; ${(e.fields || []).join(', ')}`;
+    if (e.fields) return e.fields.join(', ');
+    return '';
 }
 
+function buildAuditRow(e) {
+    const tr = document.createElement('tr');
+    tr.className = 'border-b border-gray-800';
+    const actionClass = { create: 'text-green-400', update: 'text-yellow-400', delete: 'text-red-400' }[e.action] || '';
+    const address = (e.after && e.after.address) || (e.before && (e.before.address || e.before.email)) || '';
+    [
+        [e.at ? e.at.toDate().toLocaleString('en-US') : '', ''],
+        [`${e.by || ''}${e.via && e.via !== 'admin' ? ` (${e.via})` : ''}`, ''],
+        [e.action, actionClass],
+        [address ? `${e.collection}: ${address}` : `${e.collection}/${e.docId}`, 'text-gray-200'],
+        [describeAuditEntry(e), 'text-dark-muted']
+    ].forEach(([text, cls]) => {
+        const td = document.createElement('td');
+        td.className = `py-2 pr-4 ${cls}`;
+        td.innerText = text;
+        tr.appendChild(td);
+    });
+    tr.title = e.docId;
+    return tr;
+}
+
+// ------------------------------------------------------------------
+// PUBLIC STATISTICS
+// ------------------------------------------------------------------
+
+const rebuildAggregatesBtn = document.getElementById('rebuild-aggregates-btn');
+const aggregatesSummary = document.getElementById('aggregates-summary');
+
+rebuildAggregatesBtn.addEventListener('click', async () => {
+    rebuildAggregatesBtn.disabled = true;
+    aggregatesSummary.innerText = 'Reading sales_data...';
+    try {
+        const result = await MarketAggregates.rebuildAll(db, firebase.firestore.FieldValue, {
+            onProgress: (read) => { aggregatesSummary.innerText = `Read ${read} records...`; }
+        });
+        aggregatesSummary.innerText = `Rebuilt ${result.months} months of public statistics from ${result.sales.toLocaleString()} records` +
+            (result.removed ? ` and removed ${result.removed} empty months.` : '.');
+    } catch (error) {
+        console.error('Aggregate rebuild failed:', error);
+        aggregatesSummary.innerText = `Rebuild failed: ${error.message}`;
+    }
+    rebuildAggregatesBtn.disabled = false;
+});
+
 function showResult(msg, colorClass) {
     uploadResult.innerHTML = `<p class="${colorClass}">${msg}</p>`;
     uploadResult.classList.remove('hidden');
@@ -1,8 +1,16 @@
 
 // State
-let rawData = [];
+let rawData = []; // individual sales (members only)
+let salesById = new Map(); // the synced sales_data documents rawData is built from (members only)
+let syncCursor = 0; // updatedAt (ms) salesById is synced up to
+let aggregateCells = []; // market_aggregates cells (public mode)
+let publicMonths = []; // the market_aggregates documents aggregateCells came from
 let chartInstances = {};
 
+// 'member' once a signed-in user with a viewer role or above is confirmed; everyone else sees
+// public mode, built only from non-identifying market_aggregates (firestore.rules enforce the same split)
+let accessMode = 'public';
+
 // Color Palette
 const COLORS = {
     brand: '#bed600',
@@ -30,12 +38,30 @@ const filterState = {
     selectedYears: [],
     selectedCities: [],
     selectedNewConstruction: [],
-    selectedCityLimits: []
+    selectedCityLimits: [],
+    selectedSubdivisions: [],
+    ranges: {} // { field: { min, max } } from the range filters (members only)
 };
 
 // Init
+// Auth state decides what may be loaded; it fires once on page load and again on sign-in / sign-out
 document.addEventListener('DOMContentLoaded', () => {
-    fetchDataFromFirestore();
+    liveToggle.checked = localStorage.getItem(LIVE_UPDATES_KEY) !== 'off';
+    auth.onAuthStateChanged(async user => {
+        stopLiveUpdates();
+        accessMode = await resolveAccessMode(user);
+        if (accessMode === 'public') {
+            // Drop member data on sign-out, including the copy on this device
+            rawData = [];
+            salesById = new Map();
+            SalesCache.clearRecords().catch(err => console.warn("Could not clear local cache:", err));
+        }
+        renderMemberControls(user);
+        await loadSavedViews(user);
+        // A shared link wins over the user's default view; filters changed since load are in the URL too
+        startupView = FilterViews.fromQuery(location.search) || defaultView();
+        fetchDataFromFirestore();
+    });
 });
 
 // Close dropdowns when clicking outside
@@ -64,6 +90,8 @@ async function fetchDataFromFirestore() {
         return;
     }
 
+    if (loadingScreen) loadingScreen.style.display = '';
+    loadingText.classList.remove('text-red-500');
     loadingText.innerText = "Connecting to database (Timeout 20s)...";
 
     // Check if firebase is initialized
@@ -79,58 +107,231 @@ async function fetchDataFromFirestore() {
             setTimeout(() => reject(new Error("Connection timed out. Check firewall or internet.")), 20000)
         );
 
-        // Race the fetch against the timeout
-        // NO LIMIT: Fetching all records
-        const snapshot = await Promise.race([
-            db.collection('sales_data').orderBy('date', 'desc').get(),
-            timeout
-        ]);
-
-        if (snapshot.empty) {
-            loadingText.innerText = "Connected, but no data found. Please upload data via Admin Portal.";
-            statusText.innerText = "No Data";
-            statusText.classList.add('text-red-400');
-            return;
-        }
+        if (accessMode === 'public') await loadPublicData(timeout);
+        else await loadMemberData(timeout);
+        if (dataSource.state === 'live') startLiveUpdates();
 
-        loadingText.innerText = `Downloaded ${snapshot.size} records. Parsing...`;
+    } catch (error) {
+        console.error("Fetch Error:", error);
+        loadingText.innerHTML = `Error: ${error.message}<br><span class="text-sm text-gray-400">If this persists, check console logs (F12)</span>`;
+        loadingText.classList.add('text-red-500');
+        // We do NOT hide the loading screen so the user sees the error
+    }
+}
 
-        // Allow UI to update before heavy processing
-        await new Promise(r => setTimeout(r, 50));
+// Where the figures on screen came from: 'live' (just synced), 'cached' (from this device,
+// sync still running) or 'offline' (sync failed). asOf is when they were last synced.
+const dataSource = { state: 'live', asOf: null };
+
+// Public statistics are small, so they are re-downloaded whole; the cached copy covers offline visits
+async function loadPublicData(timeout) {
+    const cached = await SalesCache.loadAggregates().catch(readCacheFailed);
+    const shownFromCache = !!(cached && cached.months.length);
+    if (shownFromCache) {
+        publicMonths = cached.months;
+        aggregateCells = MarketAggregates.cellsFromMonths(cached.months);
+        Object.assign(dataSource, { state: 'cached', asOf: cached.checkedAt });
+        await buildDashboard();
+    }
 
-        const data = [];
-        snapshot.forEach(doc => {
-            try {
-                const d = doc.data();
-                if (data.length === 0) console.log("Debugging: First record from database:", d);
+    let months;
+    try {
+        const snapshot = await Promise.race([db.collection(MarketAggregates.COLLECTION).get(), timeout]);
+        months = snapshot.docs.map(toMonth);
+    } catch (error) {
+        if (!shownFromCache) throw error;
+        console.warn("Showing cached statistics:", error);
+        Object.assign(dataSource, { state: 'offline', asOf: cached.checkedAt });
+        renderDataStatus();
+        return;
+    }
+    SalesCache.saveAggregates(months).catch(err => console.warn("Could not update local cache:", err));
 
-                // Robust Date Parsing
-                let dateObj;
-                if (d.date && typeof d.date.toDate === 'function') {
-                    dateObj = d.date.toDate();
-                } else {
-                    dateObj = new Date(d.date);
-                }
+    if (!months.length) {
+        loadingText.innerText = "Connected, but no public statistics found yet.";
+        statusText.innerText = "No Data";
+        statusText.classList.add('text-red-400');
+        return;
+    }
+    publicMonths = months;
+    aggregateCells = MarketAggregates.cellsFromMonths(months);
+    Object.assign(dataSource, { state: 'live', asOf: Date.now() });
+    await buildDashboard({ keepFilters: shownFromCache });
+}
 
-                if (!isNaN(dateObj.getTime())) {
-                    data.push({ ...d, date: dateObj });
-                }
-            } catch (err) {
-                console.warn("Skipping record", doc.id, err);
-            }
-        });
+// A market_aggregates document as rendered and cached
+function toMonth(doc) {
+    const { updatedAt, ...month } = doc.data();
+    return month;
+}
 
-        await processData(data);
+const readCacheFailed = (err) => {
+    console.warn("Could not read local cache:", err);
+    return null;
+};
 
+// Cached shape of a sales_data document: its data with a JS Date and the doc id
+function toCachedRecord({ id, data }) {
+    // Robust Date Parsing
+    const dateObj = data.date && typeof data.date.toDate === 'function' ? data.date.toDate() : new Date(data.date);
+    if (isNaN(dateObj.getTime())) return null;
+    const { updatedAt, ...rest } = data;
+    return { ...rest, id: id, date: dateObj };
+}
+
+// Renders what this device already has, then fetches only what changed since its last sync
+async function loadMemberData(timeout) {
+    const uid = auth.currentUser.uid;
+    const cached = await SalesCache.loadRecords(uid).catch(readCacheFailed);
+    const byId = new Map((cached ? cached.records : []).map(r => [r.id, r]));
+    const shownFromCache = byId.size > 0;
+    salesById = byId;
+
+    if (shownFromCache) {
+        loadingText.innerText = `Loaded ${byId.size} records saved on this device...`;
+        Object.assign(dataSource, { state: 'cached', asOf: cached.checkedAt });
+        await processData([...byId.values()]);
+    }
+
+    let changes;
+    try {
+        changes = await Promise.race([SalesSync.fetchChanges(db, cached ? cached.syncedAt : 0), timeout]);
     } catch (error) {
-        console.error("Fetch Error:", error);
-        loadingText.innerHTML = `Error: ${error.message}<br><span class="text-sm text-gray-400">If this persists, check console logs (F12)</span>`;
-        loadingText.classList.add('text-red-500');
-        // We do NOT hide the loading screen so the user sees the error
+        if (!shownFromCache) throw error;
+        console.warn("Sync failed, showing cached records:", error);
+        Object.assign(dataSource, { state: 'offline', asOf: cached.checkedAt });
+        renderDataStatus();
+        return;
+    }
+
+    // Deletions first: a record deleted and re-created since the last sync is in both lists
+    if (changes.full) byId.clear();
+    changes.deletedIds.forEach(id => byId.delete(id));
+    const puts = changes.docs.map(toCachedRecord).filter(Boolean);
+    puts.forEach(r => byId.set(r.id, r));
+
+    syncCursor = changes.cursor;
+    SalesCache.saveRecords(uid, { puts, deletes: changes.deletedIds, replace: changes.full, syncedAt: changes.cursor })
+        .catch(err => console.warn("Could not update local cache:", err));
+
+    if (!byId.size) {
+        loadingText.innerText = "Connected, but no data found. Please upload data via Admin Portal.";
+        statusText.innerText = "No Data";
+        statusText.classList.add('text-red-400');
+        return;
+    }
+
+    Object.assign(dataSource, { state: 'live', asOf: Date.now() });
+    if (!shownFromCache || changes.full || puts.length || changes.deletedIds.length) {
+        await processData([...byId.values()], { keepFilters: shownFromCache });
+    } else {
+        renderDataStatus();
     }
 }
 
-async function processData(data) {
+function renderDataStatus() {
+    if (!statusText) return;
+    statusText.classList.remove('text-red-400');
+    if (dataSource.state === 'live') {
+        statusText.innerText = accessMode === 'member'
+            ? `Live Data (${rawData.length} records)`
+            : `Public Statistics (${aggregateCells.reduce((sum, c) => sum + c.count, 0).toLocaleString()} sales)`;
+        return;
+    }
+    const asOf = new Date(dataSource.asOf).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    statusText.innerText = `${dataSource.state === 'offline' ? 'Offline' : 'Updating'} · data as of ${asOf}`;
+}
+
+// ------------------------------------------------------------------
+// LIVE UPDATES
+// ------------------------------------------------------------------
+
+// Once loaded, the dashboard can listen for uploads and edits and merge them in as they land,
+// keeping the current filters. Members listen to sales_data changes since their sync cursor,
+// public visitors to market_aggregates. The choice is remembered on this device.
+const LIVE_UPDATES_KEY = 'liveUpdates';
+const liveToggle = document.getElementById('live-toggle');
+const updateNotice = document.getElementById('update-notice');
+
+let stopListening = null;
+let liveRender = Promise.resolve(); // snapshots can arrive while the previous one is still rendering
+let noticeTimer = null;
+
+function startLiveUpdates() {
+    stopLiveUpdates();
+    if (!liveToggle.checked) return;
+    const onError = (error) => {
+        console.warn("Live updates stopped:", error);
+        stopLiveUpdates();
+    };
+    stopListening = accessMode === 'member'
+        ? SalesSync.subscribe(db, syncCursor, (changes) => queueLiveRender(() => applySalesChanges(changes)), onError)
+        : listenToAggregates(onError);
+}
+
+function stopLiveUpdates() {
+    if (stopListening) stopListening();
+    stopListening = null;
+}
+
+const queueLiveRender = (fn) => {
+    liveRender = liveRender.then(fn).catch(err => console.error("Live update failed:", err));
+};
+
+// Merges written and deleted sales into the member dataset
+async function applySalesChanges(changes) {
+    if (accessMode !== 'member') return;
+    let added = 0;
+    changes.deletedIds.forEach(id => salesById.delete(id));
+    const puts = changes.docs.map(toCachedRecord).filter(Boolean);
+    puts.forEach(r => {
+        if (!salesById.has(r.id)) added++;
+        salesById.set(r.id, r);
+    });
+    syncCursor = Math.max(syncCursor, changes.cursor);
+    SalesCache.saveRecords(auth.currentUser.uid, { puts, deletes: changes.deletedIds, syncedAt: syncCursor })
+        .catch(err => console.warn("Could not update local cache:", err));
+
+    Object.assign(dataSource, { state: 'live', asOf: Date.now() });
+    await processData([...salesById.values()], { keepFilters: true });
+    if (added) showUpdateNotice(added);
+}
+
+// Re-renders the public statistics whenever a month document is written or removed
+function listenToAggregates(onError) {
+    return db.collection(MarketAggregates.COLLECTION).onSnapshot(snapshot => {
+        const all = snapshot.docs.map(toMonth);
+        // The first snapshot is usually exactly what loadPublicData just rendered
+        if (JSON.stringify(all) === JSON.stringify(publicMonths)) return;
+        queueLiveRender(async () => {
+            const before = aggregateCells.reduce((sum, c) => sum + c.count, 0);
+            publicMonths = all;
+            aggregateCells = MarketAggregates.cellsFromMonths(all);
+            SalesCache.saveAggregates(all).catch(err => console.warn("Could not update local cache:", err));
+            Object.assign(dataSource, { state: 'live', asOf: Date.now() });
+            await buildDashboard({ keepFilters: true });
+            const added = aggregateCells.reduce((sum, c) => sum + c.count, 0) - before;
+            if (added > 0) showUpdateNotice(added);
+        });
+    }, onError);
+}
+
+function showUpdateNotice(count) {
+    document.getElementById('update-notice-text').innerText = `${count.toLocaleString()} new ${count === 1 ? 'sale' : 'sales'} added`;
+    updateNotice.classList.remove('hidden');
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => updateNotice.classList.add('hidden'), 8000);
+}
+
+document.getElementById('update-notice-close').addEventListener('click', () => updateNotice.classList.add('hidden'));
+
+liveToggle.addEventListener('change', () => {
+    localStorage.setItem(LIVE_UPDATES_KEY, liveToggle.checked ? 'on' : 'off');
+    if (liveToggle.checked && dataSource.state === 'live') startLiveUpdates();
+    else stopLiveUpdates();
+});
+
+async function processData(data, options) {
     loadingText.innerText = "Normalizing data types...";
     await new Promise(r => setTimeout(r, 10));
 
@@ -156,6 +357,7 @@ async function processData(data) {
         }
 
         return {
+            id: row['id'],
             address: row['address'] || '',
             date: row['date'],
             price: dimPrice,
@@ -176,11 +378,11 @@ async function processData(data) {
     loadingText.innerText = `Checking for duplicates in ${rawData.length} records...`;
     await new Promise(r => setTimeout(r, 10));
 
-    // Filter Duplicates (Same Day + Same Address + Same Price)
+    // Filter Duplicates (Same Day + Same Normalized Address + Same Price)
     const seen = new Set();
     const initialCount = rawData.length;
     rawData = rawData.filter(d => {
-        const key = `${d.date.getTime()}-${d.address.trim().toLowerCase()}-${d.price}`;
+        const key = AddressNormalizer.saleKey(d.date, d.address, d.price);
 
         if (seen.has(key)) return false;
         seen.add(key);
@@ -188,49 +390,63 @@ async function processData(data) {
     });
     console.log(`Processed ${rawData.length} valid records.`);
 
+    await buildDashboard(options);
+}
+
+// Rows the filters apply to: individual sales for members, aggregate cells in public mode.
+// Both carry year, city, newConstruction and insideCityLimits.
+const activeRows = () => (accessMode === 'member' ? rawData : aggregateCells);
+
+// options.keepFilters: re-render after a sync without resetting the user's filter selections
+async function buildDashboard(options) {
+    const { keepFilters = false } = options || {};
+    const rows = activeRows();
+    applyAccessMode();
+
     try {
         loadingText.innerText = "Building: Filters...";
         await new Promise(r => setTimeout(r, 10));
 
-        // Init Defaults (All Selected)
-        let years = [...new Set(rawData.map(d => d.year))];
-        if (!years.includes(2026)) years.push(2026);
-        filterState.selectedYears = years;
-
-        filterState.selectedCities = [...new Set(rawData.map(d => d.city))];
-        filterState.selectedNewConstruction = ['Yes', 'No'];
-        // Include ALL City Limits options (including 'Unknown') by default
-        filterState.selectedCityLimits = [...new Set(rawData.map(d => d.insideCityLimits))];
-
+        initFilterState(rows, keepFilters);
         populateFilters();
+        loadAnalytics(accessMode, rows);
 
         // Initial Rendering Loop (Granular)
         loadingText.innerText = "Building: KPIs...";
-        await new Promise(r => setTimeout(r, 10));
-        updateKPIs(rawData);
+        const result = await queryAnalytics(currentFilters());
+        // null: filters changed while this was computing, and updateDashboard renders the newer result
+        if (!result) throw new Error("superseded");
+        const { stats, matching } = result;
+        updateKPIs(stats);
 
         loadingText.innerText = "Rendering: Trend Chart...";
         await new Promise(r => setTimeout(r, 10));
-        try { renderTrendChart(rawData); } catch (e) { console.error("Trend Chart Failed", e); }
+        try { renderTrendChart(stats.series); } catch (e) { console.error("Trend Chart Failed", e); }
 
         loadingText.innerText = "Rendering: Distribution Chart...";
         await new Promise(r => setTimeout(r, 10));
-        try { renderDistChart(rawData); } catch (e) { console.error("Dist Chart Failed", e); }
+        try { renderDistChart(stats.priceBins); } catch (e) { console.error("Dist Chart Failed", e); }
 
         loadingText.innerText = "Rendering: City Chart...";
         await new Promise(r => setTimeout(r, 10));
-        try { renderCityChart(rawData); } catch (e) { console.error("City Chart Failed", e); }
-
-        loadingText.innerText = "Building: Property List...";
-        await new Promise(r => setTimeout(r, 10));
-        try { renderPropertyTable(rawData); } catch (e) { console.error("Table Build Failed", e); }
+        try { renderCityChart(stats.cityMedians); } catch (e) { console.error("City Chart Failed", e); }
+
+        if (accessMode === 'member') {
+            loadingText.innerText = "Building: Property List...";
+            await new Promise(r => setTimeout(r, 10));
+            try { renderSubdivisionLeaderboard(stats.subdivisions); } catch (e) { console.error("Leaderboard Build Failed", e); }
+            try { renderPriceIndexChart(stats.priceIndex); } catch (e) { console.error("Price Index Failed", e); }
+            try { renderPropertyTable(matching); } catch (e) { console.error("Table Build Failed", e); }
+            matchingSales = matching;
+            try { runEstimate(); } catch (e) { console.error("Estimate Failed", e); }
+        }
 
         loadingText.innerText = "Rendering: Advanced Analysis...";
         await new Promise(r => setTimeout(r, 10));
-        try { renderBubbleChart(rawData); } catch (e) { console.error("Bubble Chart Failed", e); }
+        try { renderBubbleChart(stats.bubbles); } catch (e) { console.error("Bubble Chart Failed", e); }
 
     } catch (err) {
-        console.error("Dashboard Build Error:", err);
+        if (err.message !== "superseded") console.error("Dashboard Build Error:", err);
         // Continue to show dashboard anyway
     }
 
@@ -242,19 +458,66 @@ async function processData(data) {
     if (loadingScreen) loadingScreen.style.display = 'none';
 
     if (dashboard) dashboard.classList.remove('hidden');
-    if (statusText) statusText.innerText = `Live Data (${rawData.length} records)`;
+    renderDataStatus();
+}
+
+// Options offered by each filter, from the data last rendered
+let filterOptions = null;
+
+function initFilterState(rows, keepFilters) {
+    const options = {
+        selectedYears: [...new Set(rows.map(d => d.year))],
+        selectedCities: [...new Set(rows.map(d => d.city))],
+        selectedNewConstruction: [...new Set(rows.map(d => d.newConstruction))],
+        // Include ALL City Limits options (including 'Unknown') by default
+        selectedCityLimits: [...new Set(rows.map(d => d.insideCityLimits))],
+        // Individual sales only; aggregate cells have no subdivision
+        selectedSubdivisions: [...new Set(rows.map(d => d.subdivision))]
+    };
+
+    // Init Defaults (All Selected). When keeping filters, values that are new since the
+    // last render start out selected, like everything does on first load.
+    Object.keys(options).forEach(key => {
+        if (!keepFilters || !filterOptions) {
+            filterState[key] = [...options[key]];
+        } else {
+            const added = options[key].filter(v => !filterOptions[key].includes(v));
+            filterState[key] = [...filterState[key], ...added];
+        }
+    });
+    filterOptions = options;
+    // Range filters only exist over individual sales
+    if (!keepFilters || accessMode !== 'member') filterState.ranges = {};
+    if (!keepFilters) {
+        chartSelections.clear();
+        lassoIds = null;
+    }
+    if (!keepFilters && startupView) Object.assign(filterState, FilterViews.apply(startupView, options, accessMode === 'member'));
 }
 
 function populateFilters() {
-    let years = [...new Set(rawData.map(d => d.year))];
-    if (!years.includes(2026)) years.push(2026);
-    renderMultiSelect('year-options', years, 'selectedYears', 'year-label', 'Year');
-    renderMultiSelect('city-options', [...new Set(rawData.map(d => d.city))], 'selectedCities', 'city-label', 'City');
-    renderMultiSelect('new-construction-options', [...new Set(rawData.map(d => d.newConstruction))], 'selectedNewConstruction', 'new-construction-label', 'New Construction');
-    renderMultiSelect('city-limits-options', [...new Set(rawData.map(d => d.insideCityLimits))], 'selectedCityLimits', 'city-limits-label', 'Inside City Limits');
+    renderMultiSelect('year-options', [...filterOptions.selectedYears], 'selectedYears', 'year-label', 'Year');
+    renderMultiSelect('city-options', [...filterOptions.selectedCities], 'selectedCities', 'city-label', 'City');
+    renderMultiSelect('new-construction-options', [...filterOptions.selectedNewConstruction], 'selectedNewConstruction', 'new-construction-label', 'New Construction');
+    renderMultiSelect('city-limits-options', [...filterOptions.selectedCityLimits], 'selectedCityLimits', 'city-limits-label', 'Inside City Limits');
+    renderSubdivisionFilter();
+    renderRangeFilters(activeRows());
+    renderSelectionChips();
+    renderEstimatorOptions();
+}
+
+// Hundreds of values, so it gets a search box; sales without one are listed as "(None)"
+function renderSubdivisionFilter() {
+    renderMultiSelect('subdivision-options', [...filterOptions.selectedSubdivisions], 'selectedSubdivisions', 'subdivision-label', 'Subdivision',
+        { searchable: true, display: (v) => v || '(None)' });
 }
 
-function renderMultiSelect(containerId, options, stateKey, labelId, labelSuffix) {
+// Free-text values (subdivisions, addresses) go into markup through this
+const escapeHtml = (str) => String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// extra: { searchable, display(value) -> label }
+function renderMultiSelect(containerId, options, stateKey, labelId, labelSuffix, extra) {
+    const { searchable = false, display = (v) => v } = extra || {};
     const container = document.getElementById(containerId);
     if (!container) return;
     container.innerHTML = '';
@@ -263,18 +526,33 @@ function renderMultiSelect(containerId, options, stateKey, labelId, labelSuffix)
     options.sort();
     if (typeof options[0] === 'number') options.sort((a, b) => b - a); // Years desc
 
-    // Header actions (Clear All)
+    // Header actions (Clear All), with a search box for long lists
     const header = document.createElement('div');
-    header.className = 'flex justify-end px-4 py-2 text-xs text-brand-500 border-b border-gray-700 mb-1';
+    header.className = 'flex justify-end items-center gap-3 px-4 py-2 text-xs text-brand-500 border-b border-gray-700 mb-1';
     header.innerHTML = `<span class="cursor-pointer hover:text-brand-300 transition-colors" onclick="clearFilter(event, '${containerId}', '${stateKey}', '${labelId}', '${labelSuffix}')">Clear All</span>`;
+    if (searchable) {
+        header.classList.add('sticky', 'top-0', 'bg-dark-card');
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.placeholder = 'Search...';
+        search.className = 'range-input flex-1 text-white';
+        search.oninput = () => {
+            const q = search.value.trim().toLowerCase();
+            container.querySelectorAll('.checkbox-item').forEach(item => {
+                item.style.display = item.dataset.label.includes(q) ? '' : 'none';
+            });
+        };
+        header.prepend(search);
+    }
     container.appendChild(header);
 
     options.forEach(opt => {
         const div = document.createElement('div');
         div.className = 'checkbox-item';
+        div.dataset.label = String(display(opt)).toLowerCase();
         div.innerHTML = `
-            <input type="checkbox" value="${opt}" checked>
-            <span class="text-sm">${opt}</span>
+            <input type="checkbox" value="${escapeHtml(opt)}" ${filterState[stateKey].includes(opt) ? 'checked' : ''}>
+            <span class="text-sm">${escapeHtml(display(opt))}</span>
         `;
         div.onclick = (e) => {
             if (e.target.tagName !== 'INPUT') {
@@ -304,7 +582,7 @@ function handleFilterChange(checkbox, stateKey, labelId, labelSuffix) {
         filterState[stateKey] = filterState[stateKey].filter(item => item !== val);
     }
     updateLabel(stateKey, labelId, labelSuffix);
-    updateDashboard(); // Re-render logic is below
+    scheduleUpdate(); // Re-render logic is below
 }
 
 function updateLabel(stateKey, labelId, labelSuffix) {
@@ -326,130 +604,750 @@ window.clearFilter = (e, containerId, stateKey, labelId, labelSuffix) => {
 
     // 3. Update Dashboard
     updateLabel(stateKey, labelId, labelSuffix);
-    updateDashboard();
+    scheduleUpdate();
 };
 
 // ------------------------------------------------------------------
-// DASHBOARD LOGIC (Re-render)
+// RANGE FILTERS (members)
 // ------------------------------------------------------------------
 
-function updateDashboard() {
-    // Filter Data
-    const filteredData = rawData.filter(d => {
-        const yearMatch = filterState.selectedYears.includes(d.year);
-        const cityMatch = filterState.selectedCities.includes(d.city);
-        const ncMatch = filterState.selectedNewConstruction.includes(d.newConstruction);
-        const iclMatch = filterState.selectedCityLimits.includes(d.insideCityLimits);
-        return yearMatch && cityMatch && ncMatch && iclMatch;
+// Numeric and closing-date bounds on individual sales. Each field gets a dropdown with a histogram
+// of its values, a dual slider and min/max inputs; the slider's far ends mean "no limit".
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTOGRAM_BINS = 24;
+const compactNumber = new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 });
+const formatDay = (ms) => new Date(ms).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const RANGE_FILTERS = [
+    { key: 'price', label: 'Price', step: 5000, format: (n) => `$${compactNumber.format(n)}` },
+    { key: 'sqFt', label: 'Sq Ft', step: 50, format: (n) => n.toLocaleString() },
+    { key: 'beds', label: 'Beds', step: 1, format: String },
+    { key: 'baths', label: 'Baths', step: 0.5, format: String },
+    { key: 'daysOnMarket', label: 'Days on Market', step: 1, format: String },
+    { key: 'yearBuilt', label: 'Year Built', step: 1, format: String },
+    { key: 'date', label: 'Closed', step: DAY_MS, isDate: true, format: formatDay }
+];
+
+// Slider bounds and histogram counts per field, for the data last rendered
+let rangeDomains = {};
+
+// Local midnight of the day nearest to ms (slider steps drift by an hour across DST changes)
+const nearestDay = (ms) => {
+    const d = new Date(ms + DAY_MS / 2);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+};
+
+// Closing dates are stored at midnight; a max date should include that whole day
+const toRangeMax = (def, v) => (v != null && def.isDate ? v + DAY_MS - 1 : v);
+const fromRangeMax = (def, v) => (v != null && def.isDate ? nearestDay(v - DAY_MS + 1) : v);
+
+function renderRangeFilters(rows) {
+    const container = document.getElementById('range-filters');
+    if (!container) return;
+    container.innerHTML = '';
+    rangeDomains = {};
+    if (accessMode !== 'member') return;
+
+    RANGE_FILTERS.forEach(def => {
+        const values = rows.map(r => SalesAnalytics.rangeValue(r, def.key)).filter(v => v > 0).sort((a, b) => a - b);
+        if (values.length < 2) return;
+
+        // The top 1% shares the last bin, so a few outliers don't flatten the histogram
+        const snap = (v, round) => (def.isDate ? nearestDay(v) : round(v / def.step) * def.step);
+        const lo = snap(values[0], Math.floor);
+        const hi = Math.max(snap(values[Math.floor((values.length - 1) * 0.99)], Math.ceil), lo + def.step);
+        const width = (hi - lo) / HISTOGRAM_BINS;
+        const bins = new Array(HISTOGRAM_BINS).fill(0);
+        values.forEach(v => { bins[Math.min(HISTOGRAM_BINS - 1, Math.floor((v - lo) / width))]++; });
+        rangeDomains[def.key] = { def, lo, hi, width, bins };
+
+        const id = `range-${def.key}`;
+        const inputType = def.isDate ? 'date' : 'number';
+        const tallest = Math.max(...bins);
+        const el = document.createElement('div');
+        el.className = 'custom-dropdown';
+        el.id = id;
+        el.innerHTML = `
+            <div class="custom-dropdown-btn" onclick="toggleDropdown('${id}')">
+                <span id="${id}-label">${def.label}</span>
+                <i class="fa-solid fa-chevron-down text-xs text-brand-500"></i>
+            </div>
+            <div class="custom-dropdown-content range-panel">
+                <div class="range-histogram">${bins.map(n => `<div style="height: ${Math.max(2, (n / tallest) * 100)}%"></div>`).join('')}</div>
+                <div class="range-sliders">
+                    <input type="range" min="${lo}" max="${hi}" step="${def.step}">
+                    <input type="range" min="${lo}" max="${hi}" step="${def.step}">
+                </div>
+                <div class="flex gap-2 items-center">
+                    <input type="${inputType}" class="range-input" placeholder="Min">
+                    <span class="text-dark-muted">–</span>
+                    <input type="${inputType}" class="range-input" placeholder="Max">
+                </div>
+                <div class="flex justify-end mt-3 text-xs text-brand-500">
+                    <span class="cursor-pointer hover:text-brand-300 transition-colors" data-clear>Clear</span>
+                </div>
+            </div>
+        `;
+        container.appendChild(el);
+        wireRangeFilter(el, def.key);
+    });
+}
+
+function wireRangeFilter(el, key) {
+    const { def, lo, hi } = rangeDomains[key];
+    const [minSlider, maxSlider] = el.querySelectorAll('input[type="range"]');
+    const [minInput, maxInput] = el.querySelectorAll('.range-input');
+
+    const fromSliders = (moved) => {
+        let min = Number(minSlider.value);
+        let max = Number(maxSlider.value);
+        // The thumbs can't cross: the one being dragged stops at the other
+        if (min > max) {
+            if (moved === minSlider) min = max;
+            else max = min;
+        }
+        if (def.isDate) {
+            min = nearestDay(min);
+            max = nearestDay(max);
+        }
+        setRange(key, min <= lo ? null : min, max >= hi ? null : toRangeMax(def, max));
+    };
+    minSlider.addEventListener('input', () => fromSliders(minSlider));
+    maxSlider.addEventListener('input', () => fromSliders(maxSlider));
+
+    const parse = (input) => {
+        if (input.value === '') return null;
+        if (def.isDate) {
+            const [y, m, d] = input.value.split('-').map(Number);
+            return new Date(y, m - 1, d).getTime();
+        }
+        const n = Number(input.value);
+        return isNaN(n) ? null : n;
+    };
+    const fromInputs = () => setRange(key, parse(minInput), toRangeMax(def, parse(maxInput)));
+    minInput.addEventListener('change', fromInputs);
+    maxInput.addEventListener('change', fromInputs);
+
+    el.querySelector('[data-clear]').addEventListener('click', () => setRange(key, null, null));
+    syncRangeFilter(key);
+}
+
+// null min / max leave that end open; a range with neither is removed
+function setRange(key, min, max) {
+    if (min == null && max == null) delete filterState.ranges[key];
+    else filterState.ranges[key] = { min, max };
+    syncRangeFilter(key);
+    scheduleUpdate();
+}
+
+// min / max as shown (a max date is that day's midnight)
+function rangeLabel(def, min, max) {
+    if (min != null && max != null) return `${def.label}: ${def.format(min)}–${def.format(max)}`;
+    if (min != null) return `${def.label}: ≥ ${def.format(min)}`;
+    if (max != null) return `${def.label}: ≤ ${def.format(max)}`;
+    return def.label;
+}
+
+// Puts the sliders, inputs, label and histogram highlight in line with filterState.ranges[key]
+function syncRangeFilter(key) {
+    const el = document.getElementById(`range-${key}`);
+    if (!el) return;
+    const { def, lo, hi, width } = rangeDomains[key];
+    const range = filterState.ranges[key] || {};
+    const min = range.min == null ? null : range.min;
+    const max = fromRangeMax(def, range.max == null ? null : range.max);
+
+    const [minSlider, maxSlider] = el.querySelectorAll('input[type="range"]');
+    const [minInput, maxInput] = el.querySelectorAll('.range-input');
+    minSlider.value = min == null ? lo : min;
+    maxSlider.value = max == null ? hi : max;
+    const toInput = (v) => {
+        if (v == null) return '';
+        if (!def.isDate) return String(v);
+        const d = new Date(v);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    };
+    minInput.value = toInput(min);
+    maxInput.value = toInput(max);
+
+    document.getElementById(`range-${key}-label`).innerText = rangeLabel(def, min, max);
+
+    el.querySelectorAll('.range-histogram div').forEach((bar, i) => {
+        const start = lo + i * width;
+        const inRange = (min == null || start + width > min) && (max == null || start <= max);
+        bar.classList.toggle('in-range', inRange);
     });
+}
 
-    updateKPIs(filteredData);
+// ------------------------------------------------------------------
+// SHARED LINKS & SAVED VIEWS
+// ------------------------------------------------------------------
+
+// The filters are mirrored into the query string as they change, so the address bar is always a
+// link to what's on screen. Signed-in users can also name and save views (filter-views.js).
+let startupView = null; // applied whenever filters are set up from scratch (first load, sign-in)
+let savedViews = [];
+
+const viewsDropdown = document.getElementById('views-dropdown');
+const viewsList = document.getElementById('views-list');
+const viewsMessage = document.getElementById('views-message');
+
+function syncViewToUrl() {
+    const query = FilterViews.toQuery(FilterViews.capture(filterState, filterOptions));
+    history.replaceState(null, '', query ? `?${query}` : location.pathname);
+}
+
+const defaultView = () => {
+    const view = savedViews.find(v => v.isDefault);
+    return view ? view.filters : null;
+};
+
+async function loadSavedViews(user) {
+    savedViews = [];
+    viewsDropdown.classList.toggle('hidden', !user);
+    if (user) {
+        try {
+            savedViews = await FilterViews.list(db, user.uid);
+        } catch (error) {
+            console.warn("Could not load saved views:", error);
+        }
+    }
+    renderSavedViews();
+}
+
+function renderSavedViews() {
+    viewsList.innerHTML = savedViews.length
+        ? savedViews.map(v => `
+            <div class="checkbox-item justify-between gap-2" data-view="${v.id}">
+                <span class="text-sm truncate" data-action="open">${escapeHtml(v.name)}</span>
+                <span class="flex gap-3 text-xs">
+                    <i class="fa-${v.isDefault ? 'solid' : 'regular'} fa-star text-brand-500" data-action="default"
+                        title="${v.isDefault ? 'Default view (click to unset)' : 'Open this view at startup'}"></i>
+                    <i class="fa-solid fa-trash text-dark-muted hover:text-red-400" data-action="delete" title="Delete"></i>
+                </span>
+            </div>
+        `).join('')
+        : '<p class="px-4 py-3 text-sm text-dark-muted">No saved views yet.</p>';
+}
+
+function showViewsMessage(msg) {
+    viewsMessage.innerText = msg;
+}
+
+viewsList.addEventListener('click', async (e) => {
+    const item = e.target.closest('[data-view]');
+    const action = e.target.closest('[data-action]');
+    if (!item || !action) return;
+    const view = savedViews.find(v => v.id === item.dataset.view);
+    const uid = auth.currentUser.uid;
+
+    try {
+        if (action.dataset.action === 'open') {
+            Object.assign(filterState, FilterViews.apply(view.filters, filterOptions, accessMode === 'member'));
+            populateFilters();
+            scheduleUpdate();
+            showViewsMessage(`Showing "${view.name}".`);
+        } else if (action.dataset.action === 'default') {
+            await FilterViews.setDefault(db, firebase.firestore.FieldValue, uid, view.isDefault ? null : view.id);
+            savedViews = await FilterViews.list(db, uid);
+            renderSavedViews();
+            showViewsMessage(view.isDefault ? 'No default view.' : `"${view.name}" opens at startup.`);
+        } else if (action.dataset.action === 'delete') {
+            if (!confirm(`Delete the view "${view.name}"?`)) return;
+            await FilterViews.remove(db, uid, view.id);
+            savedViews = savedViews.filter(v => v.id !== view.id);
+            renderSavedViews();
+            showViewsMessage(`Deleted "${view.name}".`);
+        }
+    } catch (error) {
+        console.error("Saved view action failed:", error);
+        showViewsMessage(`Failed: ${error.message}`);
+    }
+});
+
+document.getElementById('view-save-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('view-name');
+    const name = input.value.trim();
+    if (!name) return;
+    try {
+        const uid = auth.currentUser.uid;
+        await FilterViews.save(db, firebase.firestore.FieldValue, uid, name, FilterViews.capture(filterState, filterOptions));
+        savedViews = await FilterViews.list(db, uid);
+        renderSavedViews();
+        input.value = '';
+        showViewsMessage(`Saved "${name}".`);
+    } catch (error) {
+        console.error("Saving view failed:", error);
+        showViewsMessage(`Failed: ${error.message}`);
+    }
+});
+
+document.getElementById('share-view-btn').addEventListener('click', async () => {
+    const btn = document.getElementById('share-view-btn');
+    try {
+        await navigator.clipboard.writeText(location.href);
+        btn.innerHTML = '<i class="fa-solid fa-check text-brand-500"></i> Link Copied';
+    } catch (error) {
+        // Clipboard access can be blocked; the address bar has the same link
+        btn.innerHTML = '<i class="fa-solid fa-link text-brand-500"></i> Copy it from the address bar';
+    }
+    setTimeout(() => { btn.innerHTML = '<i class="fa-solid fa-link text-brand-500"></i> Copy Link'; }, 2500);
+});
+
+// ------------------------------------------------------------------
+// DASHBOARD LOGIC (Re-render)
+// ------------------------------------------------------------------
+
+// Clicks within this window are rendered once, with the last selection
+const FILTER_DEBOUNCE_MS = 150;
+let updateTimer = null;
+
+function scheduleUpdate() {
+    syncViewToUrl();
+    renderSelectionChips();
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(updateDashboard, FILTER_DEBOUNCE_MS);
+}
+
+async function updateDashboard() {
+    // Filtered and summarized in the worker; null if a newer filter change overtook this one
+    const result = await queryAnalytics(currentFilters());
+    if (!result) return;
+    const { stats, matching } = result;
+
+    updateKPIs(stats);
 
     // We do NOT assume granular steps here for performance on filter change
     // But we wrap in try/catch to be safe
-    try { renderTrendChart(filteredData); } catch (e) { }
-    try { renderDistChart(filteredData); } catch (e) { }
-    try { renderCityChart(filteredData); } catch (e) { }
-    try { renderPropertyTable(filteredData); } catch (e) { }
-    try { renderBubbleChart(filteredData); } catch (e) { }
+    try { renderTrendChart(stats.series); } catch (e) { }
+    try { renderDistChart(stats.priceBins); } catch (e) { }
+    try { renderCityChart(stats.cityMedians); } catch (e) { }
+    if (accessMode === 'member') {
+        try { renderSubdivisionLeaderboard(stats.subdivisions); } catch (e) { }
+        try { renderPriceIndexChart(stats.priceIndex); } catch (e) { }
+        try { renderPropertyTable(matching); } catch (e) { }
+        matchingSales = matching;
+        try { runEstimate(); } catch (e) { }
+    }
+    try { renderBubbleChart(stats.bubbles); } catch (e) { }
+}
+
+// ------------------------------------------------------------------
+// ANALYTICS (WEB WORKER)
+// ------------------------------------------------------------------
+
+// Filtering, medians and bins run in dashboard-worker.js against per-field indexes it builds once
+// per dataset. Where workers are unavailable (e.g. the page opened from file://) the same
+// SalesAnalytics code runs here instead.
+let analyticsWorker = null;
+try {
+    analyticsWorker = new Worker('dashboard-worker.js');
+} catch (error) {
+    console.warn("Analytics worker unavailable, filtering on the main thread:", error);
 }
 
-function updateKPIs(data) {
+const analytics = {
+    mode: 'public',
+    rows: [],           // the dataset last loaded, which result indices refer to
+    indexes: null,      // built here only when there is no worker
+    queryId: 0,
+    resolve: null       // settles the one query still wanted
+};
+
+function loadAnalytics(mode, rows) {
+    Object.assign(analytics, { mode, rows, indexes: null });
+    settleQuery(null); // results for the previous dataset are stale
+    analytics.queryId++;
+    if (analyticsWorker) analyticsWorker.postMessage({ type: 'load', mode, rows });
+}
+
+// Resolves { stats, matching } for filters, or null if a newer query or dataset replaced it
+function queryAnalytics(filters) {
+    settleQuery(null);
+    const id = ++analytics.queryId;
+    return new Promise(resolve => {
+        analytics.resolve = resolve;
+        if (analyticsWorker) {
+            analyticsWorker.postMessage({ type: 'query', id, filters: { ...filters } });
+        } else {
+            setTimeout(() => { if (id === analytics.queryId) queryLocally(filters); }, 0);
+        }
+    });
+}
+
+function settleQuery(result) {
+    const resolve = analytics.resolve;
+    analytics.resolve = null;
+    if (resolve) resolve(result);
+}
+
+function queryLocally(filters) {
+    if (!analytics.indexes) analytics.indexes = SalesAnalytics.buildIndexes(analytics.rows);
+    const { stats, indices } = SalesAnalytics.query(analytics.mode, analytics.rows, analytics.indexes, filters);
+    settleQuery({ stats, matching: Array.from(indices, i => analytics.rows[i]) });
+}
+
+if (analyticsWorker) {
+    analyticsWorker.onmessage = (e) => {
+        const { id, stats, indices } = e.data;
+        if (id !== analytics.queryId) return;
+        settleQuery({ stats, matching: Array.from(indices, i => analytics.rows[i]) });
+    };
+    // A worker that fails to load (or crashes) hands over to the main thread, including the query in flight
+    analyticsWorker.onerror = (e) => {
+        console.warn("Analytics worker failed, filtering on the main thread:", e.message);
+        analyticsWorker = null;
+        if (analytics.resolve) queryLocally(currentFilters());
+    };
+}
+
+function updateKPIs(stats) {
     // Helpers
     const formatCurrency = (n) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(n);
-    const median = (arr) => {
-        if (!arr.length) return 0;
-        const sorted = [...arr].sort((a, b) => a - b);
-        const mid = Math.floor(sorted.length / 2);
-        return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
-    };
 
-    const totalVolume = data.reduce((sum, d) => sum + d.price, 0);
-    const medianPrice = median(data.map(d => d.price));
-    const medianPpsf = median(data.map(d => d.pricePerSqFt));
-    const homesSold = data.length;
+    // When comparing, the cards show the base period and how it changed from the other one
+    const shown = stats.comparison ? stats.comparison.base : stats;
+    document.getElementById('kpi-count').innerText = shown.count.toLocaleString();
+    document.getElementById('kpi-volume').innerText = formatCurrency(shown.volume);
+    document.getElementById('kpi-price').innerText = formatCurrency(shown.medianPrice);
+    document.getElementById('kpi-ppsf').innerText = `$${shown.medianPpsf.toFixed(2)}`;
+
+    const [p25, p75] = shown.priceQuartiles;
+    document.getElementById('kpi-price-range').innerText = shown.count ? `Middle 50%: ${formatCurrency(p25)} – ${formatCurrency(p75)}` : '';
+    document.getElementById('kpi-dom').innerText = shown.medianDaysOnMarket
+        ? `Median ${Math.round(shown.medianDaysOnMarket)} days on market`
+        : '';
+
+    renderKpiChanges(stats.comparison, {
+        count: (n) => Math.round(n).toLocaleString(),
+        volume: formatCurrency,
+        medianPrice: formatCurrency,
+        medianPpsf: (n) => `$${n.toFixed(2)}`
+    });
+}
+
+// ------------------------------------------------------------------
+// PERIOD COMPARISON
+// ------------------------------------------------------------------
+
+// 'yoy' compares the chosen months with the same months a year earlier, 'custom' compares any two
+// month ranges. Periods are { from, to } in 'YYYY-MM', inclusive, and replace the year and
+// closing-date filters for the KPI cards only; the charts keep showing the filtered data.
+const comparison = {
+    mode: 'off',
+    base: null,
+    previous: null // custom mode only
+};
+
+const shiftYear = (month, years) => `${Number(month.slice(0, 4)) + years}${month.slice(4)}`;
+const formatMonth = (month) => {
+    const [y, m] = month.split('-').map(Number);
+    return new Date(y, m - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+};
+const formatPeriod = ({ from, to }) => (from === to ? formatMonth(from) : `${formatMonth(from)} – ${formatMonth(to)}`);
+
+// The periods sent with each query, or undefined when comparison is off
+function comparisonPeriods() {
+    if (comparison.mode === 'off' || !comparison.base) return undefined;
+    const previous = comparison.mode === 'yoy'
+        ? { from: shiftYear(comparison.base.from, -1), to: shiftYear(comparison.base.to, -1) }
+        : comparison.previous;
+    return { base: { ...comparison.base }, previous: { ...previous } };
+}
+
+const currentFilters = () => ({ ...filterState, periods: comparisonPeriods(), trend: { ...trendOptions } });
 
-    document.getElementById('kpi-count').innerText = homesSold.toLocaleString();
-    document.getElementById('kpi-volume').innerText = formatCurrency(totalVolume);
-    document.getElementById('kpi-price').innerText = formatCurrency(medianPrice);
-    document.getElementById('kpi-ppsf').innerText = `$${medianPpsf.toFixed(2)}`;
+// KPI field -> change indicator element
+const KPI_CHANGES = {
+    count: 'kpi-count-change',
+    volume: 'kpi-volume-change',
+    medianPrice: 'kpi-price-change',
+    medianPpsf: 'kpi-ppsf-change'
+};
+
+// result: stats.comparison (undefined when off); formats: KPI field -> value formatter
+function renderKpiChanges(result, formats) {
+    document.getElementById('compare-caption').innerText = result
+        ? `${formatPeriod(result.periods.base)} vs ${formatPeriod(result.periods.previous)}`
+        : '';
+
+    Object.entries(KPI_CHANGES).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (!result) {
+            el.className = 'hidden';
+            return;
+        }
+        const now = result.base[key];
+        const before = result.previous[key];
+        const diff = now - before;
+        const sign = diff > 0 ? '+' : diff < 0 ? '−' : '';
+        const percent = before ? ` (${sign}${Math.abs((diff / before) * 100).toFixed(1)}%)` : '';
+        const look = diff > 0
+            ? { color: 'text-green-400', icon: 'fa-arrow-trend-up' }
+            : diff < 0
+                ? { color: 'text-red-400', icon: 'fa-arrow-trend-down' }
+                : { color: 'text-dark-muted', icon: 'fa-minus' };
+        el.className = `mt-2 text-xs flex items-center gap-1 ${look.color}`;
+        el.innerHTML = `<i class="fa-solid ${look.icon}"></i><span>${sign}${formats[key](Math.abs(diff))}${percent} vs ${formatPeriod(result.periods.previous)}</span>`;
+    });
+}
+
+// Newest month in the loaded data, which the default periods end at
+function latestMonth() {
+    return activeRows().reduce((latest, row) => {
+        const month = SalesAnalytics.rowMonth(row);
+        return month > latest ? month : latest;
+    }, '');
 }
 
+const compareMode = document.getElementById('compare-mode');
+const compareInputs = {
+    base: [document.getElementById('compare-base-from'), document.getElementById('compare-base-to')],
+    previous: [document.getElementById('compare-previous-from'), document.getElementById('compare-previous-to')]
+};
+
+function syncCompareControls() {
+    compareMode.value = comparison.mode;
+    document.getElementById('compare-base').classList.toggle('hidden', comparison.mode === 'off');
+    document.getElementById('compare-previous').classList.toggle('hidden', comparison.mode !== 'custom');
+    ['base', 'previous'].forEach(name => {
+        const period = comparison[name];
+        compareInputs[name][0].value = period ? period.from : '';
+        compareInputs[name][1].value = period ? period.to : '';
+    });
+}
+
+compareMode.addEventListener('change', () => {
+    comparison.mode = compareMode.value;
+    // Starts from the year to date of the newest data, against the same months a year before
+    if (comparison.mode !== 'off' && !comparison.base) {
+        const latest = latestMonth();
+        if (latest) comparison.base = { from: `${latest.slice(0, 4)}-01`, to: latest };
+    }
+    if (comparison.mode === 'custom' && !comparison.previous && comparison.base) {
+        comparison.previous = { from: shiftYear(comparison.base.from, -1), to: shiftYear(comparison.base.to, -1) };
+    }
+    syncCompareControls();
+    scheduleUpdate();
+});
+
+Object.entries(compareInputs).forEach(([name, [fromInput, toInput]]) => {
+    const onChange = () => {
+        if (!fromInput.value || !toInput.value) return;
+        // Months compare correctly as strings; a reversed range is read the right way round
+        const [from, to] = [fromInput.value, toInput.value].sort();
+        comparison[name] = { from, to };
+        syncCompareControls();
+        scheduleUpdate();
+    };
+    fromInput.addEventListener('change', onChange);
+    toInput.addEventListener('change', onChange);
+});
+
 // ------------------------------------------------------------------
 // CHARTS
 // ------------------------------------------------------------------
 
-function renderTrendChart(data) {
-    const ctx = document.getElementById('trendChart').getContext('2d');
+// Creates the chart on first render; afterwards swaps in the new labels and datasets so Chart.js
+// animates from the old values instead of rebuilding the canvas. Options are kept from creation.
+function drawChart(key, canvas, config) {
+    const chart = chartInstances[key];
+    if (!chart) {
+        chartInstances[key] = new Chart(canvas, config);
+        return;
+    }
+    if (config.data.labels) chart.data.labels = config.data.labels;
+    config.data.datasets.forEach((dataset, i) => {
+        if (chart.data.datasets[i]) Object.assign(chart.data.datasets[i], dataset);
+        else chart.data.datasets.push(dataset);
+    });
+    chart.data.datasets.length = config.data.datasets.length;
+    chart.update();
+}
 
-    // Helper
-    const median = (arr) => {
-        if (!arr.length) return 0;
-        const sorted = [...arr].sort((a, b) => a - b);
-        const mid = Math.floor(sorted.length / 2);
-        return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
-    };
+// Line colours for the by-year overlay, newest year first
+const YEAR_COLORS = [COLORS.brand, '#38bdf8', '#f472b6', '#fbbf24', '#a78bfa', '#4ade80', '#fb923c', COLORS.text];
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// What the trend chart plots; sent with each query as filters.trend (see SalesAnalytics.trendSeries)
+const trendOptions = { metric: 'medianPrice', granularity: 'month', smoothing: 0 };
+
+const formatWhole = (n) => Math.round(n).toLocaleString();
+const TREND_METRICS = {
+    medianPrice: { label: 'Median Sale Price', format: (n) => formatTableCurrency(n) },
+    medianPpsf: { label: 'Median $/SqFt', format: (n) => `$${n.toFixed(0)}` },
+    count: { label: 'Sales', format: formatWhole },
+    volume: { label: 'Sales Volume', format: (n) => `$${compactNumber.format(n)}` },
+    medianDaysOnMarket: { label: 'Median Days on Market', format: formatWhole },
+    newShare: { label: 'New Construction Share', format: (n) => `${(n * 100).toFixed(0)}%` }
+};
+
+// Per granularity: point label, and for the by-year overlay the slot labels and a point's slot
+const GRANULARITIES = {
+    week: {
+        label: 'Week',
+        format: (ms) => `Wk of ${new Date(ms).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`,
+        slots: Array.from({ length: 53 }, (_, i) => `W${i + 1}`),
+        slot: (ms) => Math.floor((ms - new Date(new Date(ms).getFullYear(), 0, 1).getTime()) / (7 * DAY_MS))
+    },
+    month: {
+        label: 'Month',
+        format: (ms) => MarketAggregates.monthKey(new Date(ms)),
+        slots: MONTH_LABELS,
+        slot: (ms) => new Date(ms).getMonth()
+    },
+    quarter: {
+        label: 'Quarter',
+        format: (ms) => `Q${Math.floor(new Date(ms).getMonth() / 3) + 1} ${new Date(ms).getFullYear()}`,
+        slots: ['Q1', 'Q2', 'Q3', 'Q4'],
+        slot: (ms) => Math.floor(new Date(ms).getMonth() / 3)
+    },
+    year: { label: 'Year', format: (ms) => String(new Date(ms).getFullYear()) }
+};
+
+const trendByYear = document.getElementById('trend-by-year');
+const trendControls = {
+    metric: document.getElementById('trend-metric'),
+    granularity: document.getElementById('trend-granularity'),
+    smoothing: document.getElementById('trend-smoothing')
+};
+let lastSeries = { metric: 'medianPrice', granularity: 'month', smoothing: 0, points: [] };
+
+// Aggregate cells are monthly, so weeks are for members only; yearly points have nothing to overlay
+function syncTrendControls() {
+    const weekOption = trendControls.granularity.querySelector('option[value="week"]');
+    weekOption.disabled = accessMode !== 'member';
+    if (weekOption.disabled && trendOptions.granularity === 'week') trendOptions.granularity = 'month';
+    Object.entries(trendControls).forEach(([key, select]) => { select.value = String(trendOptions[key]); });
+    trendByYear.disabled = trendOptions.granularity === 'year';
+    if (trendByYear.disabled) trendByYear.checked = false;
+}
 
-    // Group by Month (YYYY-MM)
-    const grouped = {};
-    data.forEach(d => {
-        const key = d.date.toISOString().slice(0, 7); // 2021-02
-        if (!grouped[key]) grouped[key] = [];
-        grouped[key].push(d.price);
+Object.entries(trendControls).forEach(([key, select]) => {
+    select.addEventListener('change', () => {
+        trendOptions[key] = key === 'smoothing' ? Number(select.value) : select.value;
+        syncTrendControls();
+        scheduleUpdate();
     });
+});
 
-    const sortedKeys = Object.keys(grouped).sort();
-    const labels = sortedKeys;
-    const values = sortedKeys.map(k => median(grouped[k]));
+// series: stats.series. Low-sample points are drawn hollow, joined by dashed lines. With "Compare
+// years" on, each year is its own line over a shared Jan–Dec (or Q1–Q4, W1–W53) axis.
+function renderTrendChart(series) {
+    if (series) lastSeries = series;
+    const { metric, granularity, smoothing, points } = lastSeries;
+    const ctx = document.getElementById('trendChart').getContext('2d');
+    const gran = GRANULARITIES[granularity];
+    const byYear = trendByYear.checked && !!gran.slots;
+
+    document.getElementById('trend-title').innerText = `${TREND_METRICS[metric].label} by ${gran.label}`
+        + (smoothing ? ` (${smoothing}-month rolling)` : '')
+        + (byYear ? ', by Year' : '');
+
+    // The two layouts have different datasets and legends, so switching rebuilds the chart
+    const existing = chartInstances.trend;
+    if (existing && existing.$byYear !== byYear) {
+        existing.destroy();
+        delete chartInstances.trend;
+    }
 
-    if (chartInstances.trend) chartInstances.trend.destroy();
+    const lineStyle = (color) => ({
+        borderColor: color,
+        tension: 0.4,
+        spanGaps: true,
+        pointRadius: (c) => (c.dataset.samples[c.dataIndex] && c.dataset.samples[c.dataIndex].lowSample ? 4 : 2),
+        pointBackgroundColor: (c) => (c.dataset.samples[c.dataIndex] && c.dataset.samples[c.dataIndex].lowSample ? 'transparent' : color),
+        pointBorderColor: color,
+        segment: {
+            borderDash: (c) => {
+                const samples = c.chart.data.datasets[c.datasetIndex].samples;
+                const low = (i) => samples[i] && samples[i].lowSample;
+                return low(c.p0DataIndex) || low(c.p1DataIndex) ? [4, 4] : undefined;
+            }
+        }
+    });
 
-    chartInstances.trend = new Chart(ctx, {
+    let labels = points.map(p => gran.format(p.start));
+    let datasets = [{
+        label: TREND_METRICS[metric].label,
+        data: points.map(p => p.value),
+        samples: points,
+        backgroundColor: 'rgba(14, 165, 233, 0.1)',
+        fill: true,
+        ...lineStyle(COLORS.brand)
+    }];
+    if (byYear) {
+        const years = [...new Set(points.map(p => new Date(p.start).getFullYear()))].reverse();
+        labels = gran.slots;
+        datasets = years.map((year, i) => {
+            const samples = new Array(gran.slots.length).fill(null);
+            points.filter(p => new Date(p.start).getFullYear() === year).forEach(p => { samples[gran.slot(p.start)] = p; });
+            const color = YEAR_COLORS[i % YEAR_COLORS.length];
+            return {
+                label: String(year),
+                data: samples.map(p => (p ? p.value : null)),
+                samples: samples,
+                backgroundColor: color,
+                fill: false,
+                ...lineStyle(color)
+            };
+        });
+    }
+
+    drawChart('trend', ctx, {
         type: 'line',
         data: {
             labels: labels,
-            datasets: [{
-                label: 'Median Price',
-                data: values,
-                borderColor: COLORS.brand,
-                backgroundColor: 'rgba(14, 165, 233, 0.1)',
-                fill: true,
-                tension: 0.4,
-                pointRadius: 2
-            }]
+            datasets: datasets
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
-            plugins: { legend: { display: false }, tooltip: { mode: 'index', intersect: false } },
+            plugins: {
+                legend: { display: byYear },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: (c) => {
+                            const p = c.dataset.samples[c.dataIndex];
+                            const value = `${c.dataset.label}: ${TREND_METRICS[lastSeries.metric].format(c.raw)}`;
+                            return p && p.lowSample ? `${value} (only ${p.n} sale${p.n === 1 ? '' : 's'})` : value;
+                        }
+                    }
+                }
+            },
             scales: {
-                y: { beginAtZero: false, grid: { color: COLORS.grid } },
+                y: {
+                    beginAtZero: false,
+                    grid: { color: COLORS.grid },
+                    ticks: { callback: (v) => TREND_METRICS[lastSeries.metric].format(v) }
+                },
                 x: { grid: { display: false } }
             }
-        }
+        },
+        plugins: [selectionOverlay]
     });
+    chartInstances.trend.$byYear = byYear;
 }
 
-function renderDistChart(data) {
+trendByYear.addEventListener('change', () => renderTrendChart());
+
+// priceBins: { binStart: count } in $50k steps
+function renderDistChart(priceBins) {
     const ctx = document.getElementById('distChart').getContext('2d');
 
-    // Create bins ($50k steps)
+    const step = MarketAggregates.PRICE_BIN;
     const bins = {};
-    data.forEach(d => {
-        const bin = Math.floor(d.price / 50000) * 50000;
-        const key = `${bin / 1000}k-${(bin + 50000) / 1000}k`;
-        bins[key] = (bins[key] || 0) + 1;
-    });
-
-    const sortedKeys = Object.keys(bins).sort((a, b) => {
-        const valA = parseInt(a.split('k')[0]);
-        const valB = parseInt(b.split('k')[0]);
-        return valA - valB;
+    Object.keys(priceBins).map(Number).sort((a, b) => a - b).forEach(bin => {
+        bins[`${bin / 1000}k-${(bin + step) / 1000}k`] = priceBins[bin];
     });
+    const sortedKeys = Object.keys(bins);
+    distBins = Object.keys(priceBins).map(Number).sort((a, b) => a - b);
 
-    if (chartInstances.dist) chartInstances.dist.destroy();
-
-    chartInstances.dist = new Chart(ctx, {
+    drawChart('dist', ctx, {
         type: 'bar',
         data: {
             labels: sortedKeys,
@@ -463,6 +1361,13 @@ function renderDistChart(data) {
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            // Members: a bin filters to that price range
+            onClick: (event, elements) => {
+                if (elements.length) togglePriceBin(distBins[elements[0].index]);
+            },
+            onHover: (event, elements, chart) => {
+                chart.canvas.style.cursor = elements.length && accessMode === 'member' ? 'pointer' : 'default';
+            },
             plugins: { legend: { display: false } },
             scales: {
                 y: { grid: { color: COLORS.grid } },
@@ -472,29 +1377,14 @@ function renderDistChart(data) {
     });
 }
 
-function renderCityChart(data) {
+// cityMedians: { city: median price }
+function renderCityChart(cityMedians) {
     const ctx = document.getElementById('cityChart').getContext('2d');
 
-    const byCity = {};
-    data.forEach(d => {
-        if (!byCity[d.city]) byCity[d.city] = [];
-        byCity[d.city].push(d.price);
-    });
-
-    // Helper
-    const median = (arr) => {
-        if (!arr.length) return 0;
-        const sorted = [...arr].sort((a, b) => a - b);
-        const mid = Math.floor(sorted.length / 2);
-        return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
-    };
-
-    const labels = Object.keys(byCity);
-    const values = labels.map(c => median(byCity[c]));
-
-    if (chartInstances.city) chartInstances.city.destroy();
+    const labels = Object.keys(cityMedians);
+    const values = labels.map(c => cityMedians[c]);
 
-    chartInstances.city = new Chart(ctx, {
+    drawChart('city', ctx, {
         type: 'bar',
         data: {
             labels: labels,
@@ -509,6 +1399,12 @@ function renderCityChart(data) {
             responsive: true,
             maintainAspectRatio: false,
             indexAxis: 'y', // Horizontal bar
+            onClick: (event, elements, chart) => {
+                if (elements.length) toggleChartCity(chart.data.labels[elements[0].index], isOnlyClick(event.native));
+            },
+            onHover: (event, elements, chart) => {
+                chart.canvas.style.cursor = elements.length ? 'pointer' : 'default';
+            },
             plugins: { legend: { display: false } },
             scales: {
                 x: { grid: { color: COLORS.grid } },
@@ -518,80 +1414,584 @@ function renderCityChart(data) {
     });
 }
 
+// Month the price index is rebased to (100); falls back to the first month when it leaves the data
+let indexBase = null;
+let lastPriceIndex = null;
+
+// priceIndex: stats.priceIndex (PriceIndex.hedonic, null with too little data). The index and the raw
+// monthly median are both rebased to 100 at indexBase; months with few sales are drawn hollow.
+function renderPriceIndexChart(priceIndex) {
+    if (priceIndex !== undefined) lastPriceIndex = priceIndex;
+    const ctx = document.getElementById('indexChart').getContext('2d');
+    const months = lastPriceIndex ? lastPriceIndex.months : [];
+
+    if (!months.some(m => m.month === indexBase)) indexBase = months.length ? months[0].month : null;
+    document.getElementById('index-base').innerHTML = months
+        .map(m => `<option value="${m.month}" ${m.month === indexBase ? 'selected' : ''}>${formatMonth(m.month)}</option>`)
+        .join('');
+
+    const base = months.find(m => m.month === indexBase);
+    const lowSample = (c) => months[c.dataIndex] && months[c.dataIndex].n < SalesAnalytics.LOW_SAMPLE;
+    const line = (label, color, data) => ({
+        label: label,
+        data: data,
+        borderColor: color,
+        backgroundColor: color,
+        tension: 0.3,
+        pointRadius: (c) => (lowSample(c) ? 4 : 2),
+        pointBackgroundColor: (c) => (lowSample(c) ? 'transparent' : color)
+    });
+
+    drawChart('index', ctx, {
+        type: 'line',
+        data: {
+            labels: months.map(m => m.month),
+            datasets: [
+                line('Constant-quality index', COLORS.brand, months.map(m => Math.exp(m.level - base.level) * 100)),
+                line('Raw median', COLORS.text, months.map(m => (m.medianPrice / base.medianPrice) * 100))
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: true },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: (c) => `${c.dataset.label}: ${c.raw.toFixed(1)}`,
+                        footer: (items) => {
+                            const m = items.length && lastPriceIndex.months[items[0].dataIndex];
+                            return m ? `${m.n.toLocaleString()} sale${m.n === 1 ? '' : 's'} this month` : '';
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: { grid: { color: COLORS.grid } },
+                x: { grid: { display: false } }
+            }
+        }
+    });
+
+    const method = document.getElementById('index-method');
+    const summary = document.getElementById('index-summary');
+    if (!lastPriceIndex) {
+        method.title = '';
+        summary.innerText = 'Not enough sales with square footage in the current filters to build the index.';
+        return;
+    }
+    const { sales, excluded, locations, r2 } = lastPriceIndex;
+    const plural = (n, word) => `${n.toLocaleString()} ${word}${n === 1 ? '' : 's'}`;
+    method.title = 'Hedonic time-dummy regression: the log of each sale price is modelled from its closing month, '
+        + 'log square footage, beds, baths, home age and location (subdivisions with '
+        + `${PriceIndex.MIN_SUBDIVISION_SALES}+ sales, otherwise the city). Each month's effect is the price of a `
+        + 'home with fixed characteristics in that month, so the index is not moved by the mix of homes that closed. '
+        + `Fit on ${plural(sales, 'sale')} in ${plural(locations, 'location')} (R² ${r2.toFixed(2)})`
+        + (excluded ? `; ${plural(excluded, 'sale')} without square footage left out.` : '.')
+        + ' The raw median is the plain monthly median, rebased the same way.';
+    summary.innerText = `${plural(sales, 'sale')} · ${plural(locations, 'location')} · R² ${r2.toFixed(2)}`
+        + ` · hollow points: fewer than ${SalesAnalytics.LOW_SAMPLE} sales that month`;
+}
+
+document.getElementById('index-base').addEventListener('change', (e) => {
+    indexBase = e.target.value;
+    renderPriceIndexChart();
+});
+
 // ------------------------------------------------------------------
-// TABLE RENDERER
+// CHART SELECTIONS (cross-filtering)
 // ------------------------------------------------------------------
 
-function renderPropertyTable(data) {
-    const tbody = document.getElementById('property-table-body');
-    const countLabel = document.getElementById('table-count');
+// Charts double as filter inputs: a city bar toggles that city, a price bin sets the price range,
+// dragging across the trend sets the closing-date range and a lasso on the bubble chart narrows
+// the property list. Selections made this way are listed as chips in the filter bar.
+const chartSelections = new Set(); // 'city', 'price', 'date' while set from a chart
+let lassoIds = null;               // Set of sale ids inside the bubble lasso
+let distBins = [];                 // bin start of each price distribution bar
+
+// Clicks and drags shorter than this (px) are clicks
+const DRAG_THRESHOLD = 4;
+
+// Draws the brush or lasso in progress (chart.$selection) over a chart
+const selectionOverlay = {
+    id: 'selectionOverlay',
+    afterDatasetsDraw(chart) {
+        const sel = chart.$selection;
+        if (!sel) return;
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        ctx.fillStyle = 'rgba(190, 214, 0, 0.15)';
+        ctx.strokeStyle = COLORS.brand;
+        ctx.lineWidth = 1;
+        if (sel.type === 'brush') {
+            const x0 = Math.max(chartArea.left, Math.min(sel.x0, sel.x1));
+            const x1 = Math.min(chartArea.right, Math.max(sel.x0, sel.x1));
+            ctx.fillRect(x0, chartArea.top, x1 - x0, chartArea.bottom - chartArea.top);
+        } else {
+            ctx.beginPath();
+            sel.points.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+            ctx.closePath();
+            ctx.fill();
+            ctx.setLineDash([4, 4]);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+};
 
-    if (!tbody) return;
+// Selected bubbles get a bright outline
+const lassoBorder = (ctx) => (lassoIds && ctx.raw && lassoIds.has(ctx.raw.id) ? '#ffffff' : 'rgba(255,255,255,0.2)');
+const lassoBorderWidth = (ctx) => (lassoIds && ctx.raw && lassoIds.has(ctx.raw.id) ? 2 : 1);
+
+// Mouse drags on a member's chart: handlers.move(chart, points) while dragging and
+// handlers.end(chart, points) on release, with points in canvas pixels
+function onChartDrag(canvasId, key, handlers) {
+    const canvas = document.getElementById(canvasId);
+    let points = null;
+    canvas.addEventListener('mousedown', (e) => {
+        const chart = chartInstances[key];
+        if (accessMode !== 'member' || !chart) return;
+        chart.$lassoed = false;
+        points = [{ x: e.offsetX, y: e.offsetY }];
+    });
+    canvas.addEventListener('mousemove', (e) => {
+        if (!points) return;
+        points.push({ x: e.offsetX, y: e.offsetY });
+        handlers.move(chartInstances[key], points);
+    });
+    // On the window, so a drag released outside the chart still ends
+    window.addEventListener('mouseup', () => {
+        if (!points) return;
+        const done = points;
+        points = null;
+        handlers.end(chartInstances[key], done);
+    });
+}
+
+const dragDistance = (points) => Math.max(...points.map(p => Math.hypot(p.x - points[0].x, p.y - points[0].y)));
+
+// The by-year overlay's Jan–Dec axis spans every year, so it can't be brushed
+onChartDrag('trendChart', 'trend', {
+    move(chart, points) {
+        if (chart.$byYear) return;
+        chart.$selection = { type: 'brush', x0: points[0].x, x1: points[points.length - 1].x };
+        chart.draw();
+    },
+    // Selects the periods brushed over, or the one clicked
+    end(chart, points) {
+        if (chart.$byYear) return;
+        chart.$selection = null;
+        chart.draw();
+        const buckets = lastSeries.points;
+        if (!buckets.length) return;
+        const indexAt = (x) => Math.max(0, Math.min(buckets.length - 1, Math.round(chart.scales.x.getValueForPixel(x))));
+        const [from, to] = [indexAt(points[0].x), indexAt(points[points.length - 1].x)].sort((a, b) => a - b);
+        chartSelections.add('date');
+        setRange('date', buckets[from].start, buckets[to].end);
+    }
+});
+
+onChartDrag('bubbleChart', 'bubble', {
+    move(chart, points) {
+        chart.$selection = { type: 'lasso', points: points };
+        chart.draw();
+    },
+    end(chart, points) {
+        chart.$selection = null;
+        if (dragDistance(points) < DRAG_THRESHOLD) {
+            chart.draw();
+            return; // a click, which opens the property under it
+        }
+        chart.$lassoed = true;
+        const ids = new Set();
+        chart.data.datasets.forEach((dataset, i) => {
+            chart.getDatasetMeta(i).data.forEach((el, j) => {
+                if (insidePolygon(el, points)) ids.add(dataset.data[j].id);
+            });
+        });
+        setLasso(ids.size ? ids : null);
+    }
+});
+
+// Ray casting: whether point { x, y } is inside the polygon
+function insidePolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+}
+
+function setLasso(ids) {
+    lassoIds = ids;
+    if (chartInstances.bubble) chartInstances.bubble.update();
+    renderPropertyTable(tableState.matching);
+    renderSelectionChips();
+}
+
+// Shift-, Ctrl- or Cmd-click on a chart narrows to the clicked item instead of toggling it
+const isOnlyClick = (e) => !!e && (e.shiftKey || e.ctrlKey || e.metaKey);
+
+// Adds the city to the selection or takes it out; an empty selection brings back all of them.
+// With only, filters to just the city (or back to all of them if it already was the only one).
+function toggleChartCity(city, only) {
+    const all = [...filterOptions.selectedCities];
+    const selected = filterState.selectedCities;
+    let next;
+    if (only) next = selected.length === 1 && selected[0] === city ? all : [city];
+    else next = selected.includes(city) ? selected.filter(c => c !== city) : [...selected, city];
+    filterState.selectedCities = next.length ? next : all;
+    chartSelections.add('city');
+    renderMultiSelect('city-options', all, 'selectedCities', 'city-label', 'City');
+    scheduleUpdate();
+}
+
+// Price bins are [start, start + PRICE_BIN); clicking the selected bin again clears the range
+function togglePriceBin(start) {
+    if (accessMode !== 'member' || start == null) return;
+    const max = start + MarketAggregates.PRICE_BIN - 1;
+    const current = filterState.ranges.price;
+    chartSelections.add('price');
+    if (current && current.min === start && current.max === max) setRange('price', null, null);
+    else setRange('price', start, max);
+}
+
+function renderSelectionChips() {
+    const container = document.getElementById('selection-chips');
+    if (!container) return;
+    const chips = [];
+
+    // Selections undone elsewhere (dropdowns, range sliders) drop their chip
+    if (chartSelections.has('city')) {
+        const all = filterOptions.selectedCities.every(c => filterState.selectedCities.includes(c));
+        if (all) chartSelections.delete('city');
+        else chips.push({ key: 'city', label: `City: ${filterState.selectedCities.join(', ') || 'none'}` });
+    }
+    ['price', 'date'].forEach(key => {
+        if (!chartSelections.has(key)) return;
+        const range = filterState.ranges[key];
+        const def = RANGE_FILTERS.find(d => d.key === key);
+        if (!range) chartSelections.delete(key);
+        else chips.push({ key: key, label: rangeLabel(def, range.min, fromRangeMax(def, range.max)) });
+    });
+    if (lassoIds) chips.push({ key: 'lasso', label: `${lassoIds.size.toLocaleString()} selected on chart` });
+
+    container.innerHTML = chips.map(c => `
+        <span class="selection-chip">${escapeHtml(c.label)}
+            <button data-chip="${c.key}" title="Remove"><i class="fa-solid fa-xmark"></i></button>
+        </span>
+    `).join('');
+    container.classList.toggle('hidden', !chips.length);
+}
+
+document.getElementById('selection-chips').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-chip]');
+    if (!btn) return;
+    const key = btn.dataset.chip;
+    chartSelections.delete(key);
+    if (key === 'lasso') {
+        setLasso(null);
+    } else if (key === 'city') {
+        filterState.selectedCities = [...filterOptions.selectedCities];
+        renderMultiSelect('city-options', [...filterOptions.selectedCities], 'selectedCities', 'city-label', 'City');
+        scheduleUpdate();
+    } else {
+        setRange(key, null, null);
+    }
+});
+
+// ------------------------------------------------------------------
+// SUBDIVISION LEADERBOARD (members)
+// ------------------------------------------------------------------
 
-    // Update count
-    if (countLabel) countLabel.innerText = `(${data.length.toLocaleString()} records)`;
+// Rows from SalesAnalytics.subdivisionStats for the current filters (other than subdivision)
+let leaderboardRows = [];
+const leaderboardSort = { key: 'count', dir: -1 };
 
-    // Clear existing
-    tbody.innerHTML = '';
+function renderSubdivisionLeaderboard(rows) {
+    if (rows) leaderboardRows = rows;
+    const tbody = document.getElementById('subdivision-table-body');
+    if (!tbody) return;
+    document.getElementById('subdivision-count').innerText = `(${leaderboardRows.length.toLocaleString()} subdivisions)`;
 
-    // Optimization: Render only top 200 rows if dataset is huge, 
-    // or render all if reasonable. For 8,000, rendering all strings is fine 
-    // but might be sluggish. Let's start with a safe limit or render all.
-    // Given the request is "Scrollable list", user likely wants ALL.
-    // We will render chunks or just render all since 8k text rows is manageable in modern browsers 
-    // but better to cap at 1000 for DOM performance unless user scrolls.
-    // For now, let's render top 1000 to keep it snappy.
+    const { key, dir } = leaderboardSort;
+    const sorted = [...leaderboardRows].sort((a, b) => {
+        // Missing values (no YoY figure) stay at the bottom either way
+        if (a[key] == null || b[key] == null) return (a[key] == null) - (b[key] == null);
+        return typeof a[key] === 'string' ? dir * a[key].localeCompare(b[key]) : dir * (a[key] - b[key]);
+    });
 
-    const limit = 2000;
-    const displayData = data.slice(0, limit);
+    document.querySelectorAll('#subdivision-table th[data-sort]').forEach(th => {
+        const icon = th.querySelector('i');
+        icon.className = th.dataset.sort === key
+            ? `fa-solid ${dir > 0 ? 'fa-sort-up' : 'fa-sort-down'} ml-1 text-brand-500`
+            : 'fa-solid fa-sort ml-1 text-gray-600';
+    });
 
     const formatCurrency = (n) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(n);
-    const formatDate = (d) => d.toLocaleDateString('en-US');
-
-    let html = '';
-    displayData.forEach(row => {
-        html += `
-            <tr class="hover:bg-white/5 transition-colors">
-                <td class="p-3">${formatDate(row.date)}</td>
-                <td class="p-3 font-medium text-gray-200">${row.address}</td>
-                <td class="p-3">${row.city}</td>
-                <td class="p-3 text-right text-brand-500">${formatCurrency(row.price)}</td>
-                <td class="p-3 text-right">${row.sqFt.toLocaleString()}</td>
-                <td class="p-3 text-right">$${row.pricePerSqFt.toFixed(0)}</td>
-            </tr>
-        `;
+    const picked = filterState.selectedSubdivisions.length < filterOptions.selectedSubdivisions.length
+        ? new Set(filterState.selectedSubdivisions)
+        : new Set();
+    const yoy = (v) => {
+        if (v == null) return '<span class="text-gray-600">–</span>';
+        const pct = `${v >= 0 ? '+' : ''}${(v * 100).toFixed(1)}%`;
+        return `<span class="${v >= 0 ? 'text-green-400' : 'text-red-400'}">${pct}</span>`;
+    };
+
+    tbody.innerHTML = sorted.map(r => `
+        <tr class="cursor-pointer transition-colors ${picked.has(r.subdivision) ? 'bg-brand-500/10' : 'hover:bg-white/5'}" data-subdivision="${escapeHtml(r.subdivision)}">
+            <td class="p-3 font-medium text-gray-200">${escapeHtml(r.subdivision)}</td>
+            <td class="p-3 text-right">${r.count.toLocaleString()}</td>
+            <td class="p-3 text-right text-brand-500">${formatCurrency(r.medianPrice)}</td>
+            <td class="p-3 text-right">${r.medianPpsf ? `$${r.medianPpsf.toFixed(0)}` : '–'}</td>
+            <td class="p-3 text-right">${r.medianDaysOnMarket ? Math.round(r.medianDaysOnMarket) : '–'}</td>
+            <td class="p-3 text-right">${Math.round(r.newShare * 100)}%</td>
+            <td class="p-3 text-right">${yoy(r.yoyChange)}</td>
+        </tr>
+    `).join('');
+}
+
+document.querySelectorAll('#subdivision-table th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => {
+        const key = th.dataset.sort;
+        // Names start A-Z, numbers largest first
+        if (leaderboardSort.key === key) leaderboardSort.dir *= -1;
+        else Object.assign(leaderboardSort, { key, dir: key === 'subdivision' ? 1 : -1 });
+        renderSubdivisionLeaderboard();
     });
+});
+
+// Clicking a subdivision filters the dashboard to it; clicking it again brings back all of them
+document.getElementById('subdivision-table-body').addEventListener('click', (e) => {
+    const row = e.target.closest('tr[data-subdivision]');
+    if (!row) return;
+    const name = row.dataset.subdivision;
+    const selected = filterState.selectedSubdivisions;
+    const alone = selected.length === 1 && selected[0] === name;
+    filterState.selectedSubdivisions = alone ? [...filterOptions.selectedSubdivisions] : [name];
+    renderSubdivisionFilter();
+    scheduleUpdate();
+});
 
-    if (data.length > limit) {
-        html += `<tr><td colspan="6" class="p-4 text-center text-xs text-brand-500 italic">Showing top ${limit} results of ${data.length}...</td></tr>`;
+// ------------------------------------------------------------------
+// TABLE RENDERER
+// ------------------------------------------------------------------
+
+// Every filtered sale is listed: only the rows scrolled into view (plus some slack) are in the DOM,
+// with spacer rows standing in for the rest. Search and sort apply to the table only.
+const TABLE_ROW_HEIGHT = 45; // until a rendered row has been measured
+const TABLE_OVERSCAN = 20;
+const TABLE_COLUMNS_KEY = 'propertyTableColumns';
+
+const formatTableCurrency = (n) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(n);
+const blankIfZero = (n) => (n ? n.toLocaleString() : '');
+
+// optional: off until picked in the column chooser
+const TABLE_COLUMNS = [
+    { key: 'date', label: 'Date', format: (r) => r.date.toLocaleDateString('en-US') },
+    { key: 'address', label: 'Address', className: 'font-medium text-gray-200' },
+    { key: 'city', label: 'City' },
+    { key: 'subdivision', label: 'Subdivision', optional: true },
+    { key: 'price', label: 'Price', right: true, className: 'text-brand-500', format: (r) => formatTableCurrency(r.price) },
+    { key: 'sqFt', label: 'SqFt', right: true, format: (r) => blankIfZero(r.sqFt) },
+    { key: 'pricePerSqFt', label: '$/SqFt', right: true, format: (r) => (r.pricePerSqFt ? `$${r.pricePerSqFt.toFixed(0)}` : '') },
+    { key: 'beds', label: 'Beds', right: true, optional: true, format: (r) => blankIfZero(r.beds) },
+    { key: 'baths', label: 'Baths', right: true, optional: true, format: (r) => blankIfZero(r.baths) },
+    { key: 'daysOnMarket', label: 'DOM', right: true, optional: true, format: (r) => blankIfZero(r.daysOnMarket) },
+    { key: 'yearBuilt', label: 'Year Built', right: true, optional: true, format: (r) => r.yearBuilt || '' },
+    { key: 'newConstruction', label: 'New Const.', optional: true },
+    { key: 'insideCityLimits', label: 'City Limits', optional: true }
+];
+
+const tableState = {
+    matching: [],   // the filtered sales passed in
+    rows: [],       // those within the bubble lasso, if any
+    view: [],       // rows after search and sort
+    sort: { key: 'date', dir: -1 },
+    search: '',
+    columns: loadTableColumns(),
+    rowHeight: TABLE_ROW_HEIGHT,
+    measured: false,
+    window: ''      // rendered slice, to skip redundant scroll renders
+};
+
+function loadTableColumns() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TABLE_COLUMNS_KEY));
+        if (Array.isArray(saved)) return saved.filter(key => TABLE_COLUMNS.some(c => c.key === key));
+    } catch (e) { /* fall through to the defaults */ }
+    return TABLE_COLUMNS.filter(c => !c.optional).map(c => c.key);
+}
+
+const visibleColumns = () => TABLE_COLUMNS.filter(c => tableState.columns.includes(c.key));
+
+function renderPropertyTable(data) {
+    tableState.matching = data;
+    // A lasso on the bubble chart narrows the list further
+    tableState.rows = lassoIds ? data.filter(r => lassoIds.has(r.id)) : data;
+    document.getElementById('property-table-scroll').scrollTop = 0;
+    refreshTableView();
+}
+
+// Re-applies search and sort, then redraws the header and the visible rows
+function refreshTableView() {
+    const q = tableState.search.trim().toLowerCase();
+    let rows = q
+        ? tableState.rows.filter(r => r.address.toLowerCase().includes(q) || (r.subdivision || '').toLowerCase().includes(q))
+        : [...tableState.rows];
+
+    const { key, dir } = tableState.sort;
+    const value = (r) => (key === 'date' ? r.date.getTime() : r[key]);
+    rows.sort((a, b) => {
+        const va = value(a);
+        const vb = value(b);
+        // Blanks sort last either way
+        const blankA = va == null || va === '' || va === 0;
+        const blankB = vb == null || vb === '' || vb === 0;
+        if (blankA || blankB) return blankA - blankB;
+        return typeof va === 'string' ? dir * va.localeCompare(vb) : dir * (va - vb);
+    });
+    tableState.view = rows;
+
+    const countLabel = document.getElementById('table-count');
+    if (countLabel) {
+        countLabel.innerText = q
+            ? `(${rows.length.toLocaleString()} of ${tableState.rows.length.toLocaleString()} records)`
+            : `(${rows.length.toLocaleString()} records)`;
     }
+    renderTableHead();
+    tableState.window = '';
+    renderTableWindow();
+}
 
-    tbody.innerHTML = html;
+function renderTableHead() {
+    const { key, dir } = tableState.sort;
+    document.getElementById('property-table-head').innerHTML = visibleColumns().map(c => {
+        const icon = c.key === key
+            ? `fa-solid ${dir > 0 ? 'fa-sort-up' : 'fa-sort-down'} text-brand-500`
+            : 'fa-solid fa-sort text-gray-600';
+        return `<th class="p-3 font-medium cursor-pointer ${c.right ? 'text-right' : ''}" data-sort="${c.key}">${c.label}<i class="${icon} ml-1"></i></th>`;
+    }).join('');
 }
 
-function renderBubbleChart(data) {
+function renderTableWindow() {
+    const tbody = document.getElementById('property-table-body');
+    const scroller = document.getElementById('property-table-scroll');
+    if (!tbody || !scroller) return;
+
+    const rows = tableState.view;
+    const h = tableState.rowHeight;
+    const start = Math.max(0, Math.floor(scroller.scrollTop / h) - TABLE_OVERSCAN);
+    const end = Math.min(rows.length, Math.ceil((scroller.scrollTop + scroller.clientHeight) / h) + TABLE_OVERSCAN);
+    const windowKey = `${start}:${end}`;
+    if (windowKey === tableState.window) return;
+    tableState.window = windowKey;
+
+    const columns = visibleColumns();
+    const spacer = (height) => (height > 0
+        ? `<tr style="height: ${height}px" aria-hidden="true"><td colspan="${columns.length}"></td></tr>`
+        : '');
+    const cell = (c, r) => {
+        const text = c.format ? c.format(r) : r[c.key];
+        return `<td class="p-3 ${c.right ? 'text-right' : ''} ${c.className || ''}">${escapeHtml(text == null ? '' : text)}</td>`;
+    };
+
+    tbody.innerHTML = spacer(start * h)
+        + rows.slice(start, end).map((r, i) => `<tr class="hover:bg-white/5 transition-colors cursor-pointer" data-row="${start + i}">${columns.map(c => cell(c, r)).join('')}</tr>`).join('')
+        + spacer((rows.length - end) * h);
+
+    // Row height depends on fonts and zoom; measure once and lay out again with the real value
+    if (!tableState.measured && end > start) {
+        const first = tbody.querySelector('tr:not([aria-hidden])');
+        if (first && first.offsetHeight) {
+            tableState.measured = true;
+            if (first.offsetHeight !== h) {
+                tableState.rowHeight = first.offsetHeight;
+                tableState.window = '';
+                renderTableWindow();
+            }
+        }
+    }
+}
+
+function renderColumnChooser() {
+    const container = document.getElementById('table-columns-options');
+    container.innerHTML = TABLE_COLUMNS.map(c => `
+        <label class="checkbox-item">
+            <input type="checkbox" value="${c.key}" ${tableState.columns.includes(c.key) ? 'checked' : ''}>
+            <span class="text-sm">${c.label}</span>
+        </label>
+    `).join('');
+}
+
+let tableScrollFrame = null;
+document.getElementById('property-table-scroll').addEventListener('scroll', () => {
+    if (tableScrollFrame) return;
+    tableScrollFrame = requestAnimationFrame(() => {
+        tableScrollFrame = null;
+        renderTableWindow();
+    });
+});
+
+document.getElementById('property-table-head').addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-sort]');
+    if (!th) return;
+    const key = th.dataset.sort;
+    // Text columns start A-Z, numbers and dates newest / largest first
+    if (tableState.sort.key === key) tableState.sort.dir *= -1;
+    else tableState.sort = { key, dir: typeof tableState.rows[0]?.[key] === 'string' ? 1 : -1 };
+    refreshTableView();
+});
+
+document.getElementById('property-table-body').addEventListener('click', (e) => {
+    const tr = e.target.closest('tr[data-row]');
+    if (tr) openPropertyDrawer(tableState.view[Number(tr.dataset.row)]);
+});
+
+let tableSearchTimer = null;
+document.getElementById('table-search').addEventListener('input', (e) => {
+    clearTimeout(tableSearchTimer);
+    tableSearchTimer = setTimeout(() => {
+        tableState.search = e.target.value;
+        document.getElementById('property-table-scroll').scrollTop = 0;
+        refreshTableView();
+    }, FILTER_DEBOUNCE_MS);
+});
+
+document.getElementById('table-columns-options').addEventListener('change', (e) => {
+    const key = e.target.value;
+    tableState.columns = e.target.checked
+        ? TABLE_COLUMNS.map(c => c.key).filter(k => k === key || tableState.columns.includes(k))
+        : tableState.columns.filter(k => k !== key);
+    localStorage.setItem(TABLE_COLUMNS_KEY, JSON.stringify(tableState.columns));
+    refreshTableView();
+});
+
+renderColumnChooser();
+
+// points: one per sale for members ({ x, y, isNew, yearBuilt, address, city }), or one per grid
+// square in public mode ({ x, y, isNew, yearBuilt, count }) so no point identifies a sale
+function renderBubbleChart(points) {
     const ctx = document.getElementById('bubbleChart');
     if (!ctx) return;
 
     const currentYear = new Date().getFullYear();
 
     // Prepare bubble data
-    const bubblePoints = data.map(d => {
-        const age = d.yearBuilt ? (currentYear - d.yearBuilt) : 5; // Default age 5 if unknown
+    const bubblePoints = points.map(p => {
+        const age = p.yearBuilt ? (currentYear - p.yearBuilt) : 5; // Default age 5 if unknown
         return {
-            x: d.sqFt,
-            y: d.price / d.sqFt, // Price per SqFt
+            ...p,
             r: Math.max(3, Math.min(15, age / 2)), // Bubble radius based on age
-            isNew: d.newConstruction === 'Yes',
-            address: d.address,
-            city: d.city,
-            yrb: d.yearBuilt || 'Unknown'
+            yrb: p.yearBuilt || 'Unknown'
         };
-    }).filter(p => !isNaN(p.x) && !isNaN(p.y) && p.x > 0);
-
-    if (chartInstances.bubble) chartInstances.bubble.destroy();
+    });
 
-    chartInstances.bubble = new Chart(ctx, {
+    drawChart('bubble', ctx, {
         type: 'bubble',
         data: {
             datasets: [
@@ -599,27 +1999,42 @@ function renderBubbleChart(data) {
                     label: 'New Construction',
                     data: bubblePoints.filter(p => p.isNew),
                     backgroundColor: COLORS.brand,
-                    borderColor: 'rgba(255,255,255,0.2)',
-                    borderWidth: 1
+                    borderColor: lassoBorder,
+                    borderWidth: lassoBorderWidth
                 },
                 {
                     label: 'Existing Homes',
                     data: bubblePoints.filter(p => !p.isNew),
                     backgroundColor: COLORS.accent,
-                    borderColor: 'rgba(255,255,255,0.2)',
-                    borderWidth: 1
+                    borderColor: lassoBorder,
+                    borderWidth: lassoBorderWidth
                 }
             ]
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            // Individual sales (members) open in the detail drawer; public bubbles are groups of sales
+            onClick: (event, elements, chart) => {
+                // The click that ends a lasso isn't a click on a bubble
+                if (chart.$lassoed || !elements.length) return;
+                const p = chart.data.datasets[elements[0].datasetIndex].data[elements[0].index];
+                const sale = p.id && rawData.find(r => r.id === p.id);
+                if (sale) openPropertyDrawer(sale);
+            },
             plugins: {
                 legend: { display: false },
                 tooltip: {
                     callbacks: {
                         label: function (context) {
                             const p = context.raw;
+                            if (!p.address) {
+                                return [
+                                    `${p.count} sale${p.count === 1 ? '' : 's'} near ${p.x.toLocaleString()} sqft`,
+                                    `Price/SqFt: ~$${p.y.toFixed(0)}`,
+                                    `Avg YRB: ${p.yrb}`
+                                ];
+                            }
                             return [
                                 `${p.address} (${p.city})`,
                                 `Price/SqFt: $${p.y.toFixed(2)}`,
@@ -642,6 +2057,264 @@ function renderBubbleChart(data) {
                     max: 300
                 }
             }
-        }
+        },
+        plugins: [selectionOverlay]
     });
 }
+
+// ------------------------------------------------------------------
+// PROPERTY DRAWER & COMPS
+// ------------------------------------------------------------------
+
+const propertyDrawer = document.getElementById('property-drawer');
+let drawerComps = [];
+
+// Constant-quality index over every loaded sale, which moves comp prices to the valuation date.
+// Rebuilt when rawData is replaced; null with too little data (comps are then not time-adjusted).
+let compIndex = { data: null, index: null };
+function marketIndex() {
+    if (compIndex.data !== rawData) compIndex = { data: rawData, index: PriceIndex.hedonic(rawData) };
+    return compIndex.index;
+}
+
+// Stored fields in display order; anything else on the document is listed after these
+const DRAWER_FIELDS = [
+    ['date', 'Closed Date', (v) => v.toLocaleDateString('en-US')],
+    ['price', 'Sale Price', (v) => formatTableCurrency(v)],
+    ['pricePerSqFt', 'Price / SqFt', (v) => `$${Number(v).toFixed(0)}`],
+    ['sqFt', 'Square Feet', (v) => v.toLocaleString()],
+    ['beds', 'Beds'],
+    ['baths', 'Full Baths'],
+    ['yearBuilt', 'Year Built'],
+    ['daysOnMarket', 'Days On Market'],
+    ['address', 'Address'],
+    ['city', 'City'],
+    ['subdivision', 'Subdivision'],
+    ['newConstruction', 'New Construction'],
+    ['insideCityLimits', 'Inside City Limits'],
+    ['year', 'Sale Year'],
+    ['uniqueKey', 'Unique Key'],
+    ['schemaVersion', 'Schema Version']
+];
+
+// sale: a rawData row. Shows its sales_data document and its best comps among all loaded sales.
+function openPropertyDrawer(sale) {
+    if (!sale) return;
+    const stored = salesById.get(sale.id) || sale;
+
+    document.getElementById('drawer-address').innerText = sale.address;
+    document.getElementById('drawer-subtitle').innerText = [sale.subdivision, sale.city].filter(Boolean).join(', ');
+
+    const listed = new Set(DRAWER_FIELDS.map(([key]) => key));
+    const extra = Object.keys(stored).filter(key => !listed.has(key) && key !== 'id').sort().map(key => [key, key]);
+    document.getElementById('drawer-fields').innerHTML = [...DRAWER_FIELDS, ...extra]
+        .filter(([key]) => stored[key] != null && stored[key] !== '')
+        .map(([key, label, format]) => `
+            <dt class="text-dark-muted">${escapeHtml(label)}</dt>
+            <dd class="text-gray-200">${escapeHtml(format ? format(stored[key]) : stored[key])}</dd>
+        `).join('');
+
+    const index = marketIndex();
+    drawerComps = SalesComps.find(sale, rawData, { index: index });
+    const estimate = SalesComps.estimate(drawerComps);
+    document.getElementById('drawer-estimate').innerText = estimate
+        ? `Estimated value ${formatTableCurrency(estimate.value)} (range ${formatTableCurrency(estimate.low)} – ${formatTableCurrency(estimate.high)}) from ${estimate.count} comps; sold for ${formatTableCurrency(sale.price)}.`
+            + (index ? '' : ' Too few sales to adjust for market movement, so only comps within a year are used.')
+        : 'No comparable sales found nearby in size and time.';
+
+    renderCompRows('drawer-comps-body', drawerComps, sale);
+    propertyDrawer.classList.remove('hidden');
+}
+
+// Comps table rows; each row's data-comp is its position in comps
+function renderCompRows(tbodyId, comps, subject) {
+    document.getElementById(tbodyId).innerHTML = comps.map((c, i) => {
+        // Comps from outside the subject's subdivision say where they are
+        const where = subject.subdivision && c.sale.subdivision === subject.subdivision
+            ? ''
+            : `<div class="text-xs text-dark-muted">${escapeHtml(c.sale.subdivision || c.sale.city)}</div>`;
+        return `
+        <tr class="hover:bg-white/5 transition-colors cursor-pointer" data-comp="${i}">
+            <td class="p-3 font-medium text-gray-200">${escapeHtml(c.sale.address)}${where}</td>
+            <td class="p-3">${c.sale.date.toLocaleDateString('en-US')}</td>
+            <td class="p-3 text-right">${c.sale.sqFt.toLocaleString()}</td>
+            <td class="p-3 text-right">${c.sale.beds || '–'}/${c.sale.baths || '–'}</td>
+            <td class="p-3 text-right">${formatTableCurrency(c.sale.price)}</td>
+            <td class="p-3 text-right text-brand-500">${formatTableCurrency(c.adjustedPrice)}</td>
+            <td class="p-3 text-right">${c.score}</td>
+        </tr>`;
+    }).join('');
+}
+
+const closePropertyDrawer = () => propertyDrawer.classList.add('hidden');
+
+document.getElementById('property-drawer-close').addEventListener('click', closePropertyDrawer);
+document.getElementById('property-drawer-backdrop').addEventListener('click', closePropertyDrawer);
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closePropertyDrawer();
+});
+
+document.getElementById('drawer-comps-body').addEventListener('click', (e) => {
+    const tr = e.target.closest('tr[data-comp]');
+    if (tr) openPropertyDrawer(drawerComps[Number(tr.dataset.comp)].sale);
+});
+
+// ------------------------------------------------------------------
+// HOME VALUE ESTIMATOR (members)
+// ------------------------------------------------------------------
+
+// Values a described home from its comps (SalesComps) among the sales matching the current filters,
+// as of the newest of those sales. Once an estimate is showing it follows the filters.
+let matchingSales = [];
+let estimatorSubject = null;
+let estimatorComps = [];
+
+const estimatorCity = document.getElementById('estimator-city');
+const estimatorSubdivision = document.getElementById('estimator-subdivision');
+
+function renderEstimatorOptions() {
+    const current = estimatorCity.value;
+    const cities = [...filterOptions.selectedCities].sort();
+    estimatorCity.innerHTML = cities.map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('');
+    if (cities.includes(current)) estimatorCity.value = current;
+    document.getElementById('estimator-subdivisions').innerHTML = filterOptions.selectedSubdivisions
+        .filter(Boolean)
+        .sort()
+        .map(s => `<option value="${escapeHtml(s)}"></option>`)
+        .join('');
+}
+
+// Picking a subdivision selects the city most of its sales are in
+estimatorSubdivision.addEventListener('change', () => {
+    const name = estimatorSubdivision.value.trim();
+    const counts = {};
+    rawData.forEach(d => { if (d.subdivision === name) counts[d.city] = (counts[d.city] || 0) + 1; });
+    const city = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    if (city) estimatorCity.value = city;
+});
+
+document.getElementById('estimator-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const number = (id) => {
+        const n = Number(document.getElementById(id).value);
+        return n > 0 ? n : null;
+    };
+    estimatorSubject = {
+        city: estimatorCity.value,
+        subdivision: estimatorSubdivision.value.trim(),
+        sqFt: number('estimator-sqft'),
+        beds: number('estimator-beds'),
+        baths: number('estimator-baths'),
+        yearBuilt: number('estimator-year-built'),
+        newConstruction: document.getElementById('estimator-new').checked ? 'Yes' : 'No'
+    };
+    runEstimate();
+});
+
+function runEstimate() {
+    if (!estimatorSubject) return;
+    const result = document.getElementById('estimator-result');
+    const compsTable = document.getElementById('estimator-comps');
+
+    const asOf = matchingSales.reduce((latest, d) => Math.max(latest, d.date.getTime()), 0);
+    const index = marketIndex();
+    estimatorComps = asOf ? SalesComps.find(estimatorSubject, matchingSales, { asOf: asOf, limit: 8, index: index }) : [];
+    const estimate = SalesComps.estimate(estimatorComps, { residualSd: index ? index.residualSd : 0 });
+    if (!estimate) {
+        result.innerText = 'No comparable sales in the current filters: try the whole city, a wider set of filters or a more typical size.';
+        compsTable.classList.add('hidden');
+        return;
+    }
+
+    result.innerHTML = `
+        <p class="text-3xl font-bold text-white">${formatTableCurrency(estimate.value)}</p>
+        <p class="text-brand-500 font-medium">${estimate.bandLow == null
+            ? `Too few comps for a likely range (${SalesComps.MIN_BAND_COMPS} needed)`
+            : `Likely ${formatTableCurrency(estimate.bandLow)} – ${formatTableCurrency(estimate.bandHigh)}`}</p>
+        <p class="mt-1">From ${estimate.count} comparable sale${estimate.count === 1 ? '' : 's'} adjusted for
+            ${index ? 'market movement since they sold, ' : ''}size, beds, baths and age
+            (${formatTableCurrency(estimate.low)} – ${formatTableCurrency(estimate.high)}), valued as of ${formatDay(asOf)}.
+            The likely range is one standard deviation of the adjusted prices either side${index
+                ? ', widened by how far single sales stray from the price index model'
+                : ''}; a wide range means the comps disagree.</p>
+    `;
+    renderCompRows('estimator-comps-body', estimatorComps, estimatorSubject);
+    compsTable.classList.remove('hidden');
+}
+
+document.getElementById('estimator-comps-body').addEventListener('click', (e) => {
+    const tr = e.target.closest('tr[data-comp]');
+    if (tr) openPropertyDrawer(estimatorComps[Number(tr.dataset.comp)].sale);
+});
+
+// ------------------------------------------------------------------
+// MEMBER ACCESS
+// ------------------------------------------------------------------
+
+const memberBtn = document.getElementById('member-btn');
+const memberModal = document.getElementById('member-modal');
+const memberForm = document.getElementById('member-form');
+const memberError = document.getElementById('member-error');
+
+let memberNotice = ''; // shown in public mode when a signed-in account has no role yet
+
+// Members are signed-in users with a viewer role or above (see user-roles.js)
+async function resolveAccessMode(user) {
+    memberNotice = '';
+    if (!user) return 'public';
+    try {
+        const role = await UserRoles.loadRole(db, firebase.firestore.FieldValue, user);
+        if (UserRoles.can(role, 'viewer')) return 'member';
+        memberNotice = `${user.email} is waiting for an admin to grant access.`;
+    } catch (error) {
+        console.error("Role lookup failed:", error);
+        memberNotice = 'Could not check your membership.';
+    }
+    return 'public';
+}
+
+function renderMemberControls(user) {
+    memberBtn.innerHTML = user
+        ? '<i class="fa-solid fa-right-from-bracket mr-1"></i> Sign Out'
+        : '<i class="fa-solid fa-user-lock mr-1"></i> Member Sign In';
+    memberBtn.title = user ? user.email : '';
+}
+
+// Shows or hides the members-only parts of the page
+function applyAccessMode() {
+    const isMember = accessMode === 'member';
+    document.querySelectorAll('[data-members-only]').forEach(el => el.classList.toggle('hidden', !isMember));
+    document.querySelectorAll('[data-public-only]').forEach(el => el.classList.toggle('hidden', isMember));
+    syncTrendControls();
+    document.getElementById('member-notice').innerText = memberNotice;
+    document.getElementById('bubble-legend').innerText = isMember
+        ? 'Bubble Size = Home Age | X = Sq Ft | Y = Price Per Sq Ft'
+        : 'Sales grouped by size and price per sq ft | Bubble Size = Average Home Age';
+}
+
+memberBtn.addEventListener('click', () => {
+    if (auth.currentUser) {
+        auth.signOut();
+        return;
+    }
+    memberError.classList.add('hidden');
+    memberModal.classList.remove('hidden');
+});
+
+document.getElementById('member-cancel-btn').addEventListener('click', () => memberModal.classList.add('hidden'));
+
+memberForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const email = document.getElementById('member-email').value;
+    const password = document.getElementById('member-password').value;
+
+    auth.signInWithEmailAndPassword(email, password)
+        .then(() => {
+            memberModal.classList.add('hidden');
+            memberForm.reset();
+        })
+        .catch((error) => {
+            memberError.innerText = error.message;
+            memberError.classList.remove('hidden');
+        });
+});
@@ -0,0 +1,47 @@
+// Audit Log
+// Builds the audit_log entries that accompany every create, update and delete of a sales record
+// or user role. Entries are added to the same write batch as the change, so neither lands without
+// the other. firestore.rules makes the collection append-only, and only accepts a sales_data write
+// or delete whose batch also writes the entry named by its `auditId` (see sales-sync.js).
+const AuditLog = (() => {
+    const COLLECTION = 'audit_log';
+    const ACTIONS = ['create', 'update', 'delete'];
+
+    // firestore.rules looks up the audit entry of every sales_data write (and the tombstone of every
+    // delete), and one batch may make at most 20 such lookups, so a batch of audited changes holds at
+    // most this many records
+    const RECORDS_PER_BATCH = 9;
+
+    // Entry IDs name the changed document and the client time, so the change can point at its entry.
+    // The random suffix keeps two changes to one document in the same millisecond apart.
+    const entryId = (docId) => `${docId}@${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    // actor: { uid, email, via }. change: { action, collection, docId, before, after, ...extra }
+    function entry(FieldValue, actor, change) {
+        const { action, collection, docId, before, after, ...extra } = change;
+        if (!ACTIONS.includes(action)) throw new Error(`Unknown audit action "${action}"`);
+        return {
+            ...extra,
+            action: action,
+            collection: collection,
+            docId: docId,
+            before: before || null,
+            after: after || null,
+            by: (actor && actor.email) || null,
+            uid: (actor && actor.uid) || null,
+            via: (actor && actor.via) || 'admin',
+            at: FieldValue.serverTimestamp()
+        };
+    }
+
+    // Queues the entry on a write batch (compat SDK or firebase-admin) and returns its ID
+    function append(db, batch, FieldValue, actor, change) {
+        const id = entryId(change.docId);
+        batch.set(db.collection(COLLECTION).doc(id), entry(FieldValue, actor, change));
+        return id;
+    }
+
+    return { COLLECTION, ACTIONS, RECORDS_PER_BATCH, entryId, entry, append };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = AuditLog;
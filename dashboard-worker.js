@@ -0,0 +1,34 @@
+// Dashboard Worker
+// Runs the dashboard's filtering and aggregation (sales-analytics.js) off the main thread so the
+// page stays responsive while filters change. Protocol, all messages from app.js:
+//   { type: 'load', mode, rows }    replace the dataset and rebuild its per-field indexes
+//   { type: 'query', id, filters }  reply { type: 'result', id, stats, indices }
+// Only the newest query waiting to run is answered; app.js has already given up on older ones.
+importScripts('market-aggregates.js', 'price-index.js', 'sales-analytics.js');
+
+let mode = 'public';
+let rows = [];
+let indexes = SalesAnalytics.buildIndexes([]);
+let pending = null;
+
+function runPending() {
+    const msg = pending;
+    pending = null;
+    if (!msg) return;
+    const { stats, indices } = SalesAnalytics.query(mode, rows, indexes, msg.filters);
+    self.postMessage({ type: 'result', id: msg.id, stats, indices }, [indices.buffer]);
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === 'load') {
+        mode = msg.mode;
+        rows = msg.rows;
+        indexes = SalesAnalytics.buildIndexes(rows);
+        pending = null; // queries against the previous dataset are stale
+    } else if (msg.type === 'query') {
+        // Deferred so a burst of filter clicks already queued behind this one collapses to the last
+        if (!pending) setTimeout(runPending, 0);
+        pending = msg;
+    }
+};
@@ -0,0 +1,104 @@
+// Data Quality Checks
+// Pure functions behind the admin Data Quality tab: missing-field counts, statistical outliers and
+// stored-vs-computed price per square foot. Records are cached sales_data docs ({ id, ...data }).
+const DataQuality = (() => {
+    // What the importer stores when a column was empty
+    const MISSING_CHECKS = [
+        { key: 'sqFt', label: 'SqFt', isMissing: (r) => !(r.sqFt > 0) },
+        { key: 'beds', label: 'Beds', isMissing: (r) => !(r.beds > 0) },
+        { key: 'baths', label: 'Baths', isMissing: (r) => !(r.baths > 0) },
+        { key: 'yearBuilt', label: 'Year Built', isMissing: (r) => !r.yearBuilt },
+        { key: 'daysOnMarket', label: 'DOM', isMissing: (r) => !(r.daysOnMarket > 0) },
+        { key: 'subdivision', label: 'Subdivision', isMissing: (r) => !r.subdivision },
+        { key: 'city', label: 'City', isMissing: (r) => !r.city || r.city === 'Unknown' },
+        { key: 'insideCityLimits', label: 'City Limits', isMissing: (r) => !r.insideCityLimits || r.insideCityLimits === 'Unknown' }
+    ];
+
+    // Fields screened for outliers. Price per sqft is recomputed so a bad stored value can't hide one.
+    const OUTLIER_FIELDS = [
+        { key: 'price', label: 'Price', value: (r) => r.price },
+        { key: 'pricePerSqFt', label: 'Price / SqFt', value: (r) => (r.sqFt > 0 ? r.price / r.sqFt : null) },
+        { key: 'sqFt', label: 'SqFt', value: (r) => r.sqFt },
+        { key: 'daysOnMarket', label: 'Days On Market', value: (r) => r.daysOnMarket }
+    ];
+
+    // Tukey's "far out" fences: beyond 3 IQRs from the quartiles
+    const FENCE_IQRS = 3;
+    // Cities with fewer sales than this are compared against the whole county instead
+    const MIN_GROUP_SIZE = 20;
+    // Stored pricePerSqFt may differ from price / sqFt by rounding, not by more than this
+    const PPSF_TOLERANCE = 0.02;
+
+    const quantile = (sorted, q) => {
+        if (!sorted.length) return 0;
+        const pos = (sorted.length - 1) * q;
+        const lo = Math.floor(pos);
+        const hi = Math.ceil(pos);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    };
+
+    // Missing-field counts grouped by groupKey(record). Returns [{ group, total, missing: { key: count } }]
+    function missingBy(records, groupKey) {
+        const groups = {};
+        records.forEach(r => {
+            const g = groupKey(r);
+            if (!groups[g]) {
+                groups[g] = { group: g, total: 0, missing: {} };
+                MISSING_CHECKS.forEach(c => { groups[g].missing[c.key] = 0; });
+            }
+            groups[g].total++;
+            MISSING_CHECKS.forEach(c => {
+                if (c.isMissing(r)) groups[g].missing[c.key]++;
+            });
+        });
+        return Object.values(groups).sort((a, b) => b.total - a.total);
+    }
+
+    function fences(values) {
+        const sorted = values.filter(v => v != null && isFinite(v) && v > 0).sort((a, b) => a - b);
+        const q1 = quantile(sorted, 0.25);
+        const q3 = quantile(sorted, 0.75);
+        const iqr = q3 - q1;
+        return { n: sorted.length, low: q1 - FENCE_IQRS * iqr, high: q3 + FENCE_IQRS * iqr };
+    }
+
+    // Flags values outside their city's fences (or the county's, for small cities).
+    // Returns [{ record, field, label, value, low, high }]
+    function findOutliers(records) {
+        const byCity = {};
+        records.forEach(r => {
+            const c = r.city || 'Unknown';
+            if (!byCity[c]) byCity[c] = [];
+            byCity[c].push(r);
+        });
+
+        const flags = [];
+        OUTLIER_FIELDS.forEach(field => {
+            const county = fences(records.map(field.value));
+            Object.values(byCity).forEach(group => {
+                const local = group.length >= MIN_GROUP_SIZE ? fences(group.map(field.value)) : county;
+                if (local.n < 4) return;
+                group.forEach(r => {
+                    const v = field.value(r);
+                    if (v == null || !(v > 0)) return; // missing values are counted separately
+                    if (v < local.low || v > local.high) {
+                        flags.push({ record: r, field: field.key, label: field.label, value: v, low: Math.max(0, local.low), high: local.high });
+                    }
+                });
+            });
+        });
+        return flags;
+    }
+
+    // Records whose stored pricePerSqFt disagrees with price / sqFt
+    function findPpsfMismatches(records) {
+        return records
+            .filter(r => r.sqFt > 0 && r.price > 0)
+            .map(r => ({ record: r, stored: Number(r.pricePerSqFt) || 0, computed: r.price / r.sqFt }))
+            .filter(m => Math.abs(m.stored - m.computed) / m.computed > PPSF_TOLERANCE);
+    }
+
+    return { MISSING_CHECKS, OUTLIER_FIELDS, FENCE_IQRS, MIN_GROUP_SIZE, PPSF_TOLERANCE, missingBy, findOutliers, findPpsfMismatches };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = DataQuality;
@@ -0,0 +1,154 @@
+// Filter Views
+// A "view" is the part of the dashboard's filterState that narrows anything: multi-selects that are
+// not on "all", plus any range filters. Views round-trip through the URL query string (so a link
+// reproduces the filters) and are saved per user under users/{uid}/views (see firestore.rules).
+//   { selectedCities: ['Conway'], selectedNewConstruction: ['Yes'], ranges: { price: { min, max } } }
+const FilterViews = (() => {
+    // filterState key -> query parameter
+    const PARAMS = {
+        selectedYears: 'year',
+        selectedCities: 'city',
+        selectedNewConstruction: 'nc',
+        selectedCityLimits: 'limits',
+        selectedSubdivisions: 'sub'
+    };
+    const RANGE_PARAMS = ['price', 'sqFt', 'beds', 'baths', 'daysOnMarket', 'yearBuilt', 'date'];
+    // Filters only members have (public statistics carry no subdivision or per-sale values)
+    const MEMBER_KEYS = ['selectedSubdivisions'];
+
+    // Sales without a subdivision have '' there; '' alone in the URL means "nothing selected"
+    const NONE = '(none)';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const pad2 = (n) => String(n).padStart(2, '0');
+    const toDay = (ms) => {
+        const d = new Date(ms);
+        return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+    };
+    const fromDay = (str) => {
+        const [y, m, d] = str.split('-').map(Number);
+        return new Date(y, m - 1, d).getTime();
+    };
+
+    // The view for the current filters. options: the values each multi-select offers.
+    function capture(filterState, options) {
+        const view = {};
+        Object.keys(PARAMS).forEach(key => {
+            const selected = filterState[key] || [];
+            const all = (options[key] || []).every(v => selected.includes(v));
+            if (!all) view[key] = [...selected];
+        });
+        if (filterState.ranges && Object.keys(filterState.ranges).length) view.ranges = JSON.parse(JSON.stringify(filterState.ranges));
+        return view;
+    }
+
+    // filterState for a view: everything it doesn't mention is "all selected"
+    function apply(view, options, isMember) {
+        const state = { ranges: {} };
+        Object.keys(PARAMS).forEach(key => {
+            const restrict = view[key] && (isMember || !MEMBER_KEYS.includes(key));
+            state[key] = restrict ? [...view[key]] : [...(options[key] || [])];
+        });
+        if (isMember && view.ranges) state.ranges = JSON.parse(JSON.stringify(view.ranges));
+        return state;
+    }
+
+    // ?city=Conway&nc=Yes&year=2024&year=2025&price=200000..400000&date=2024-01-01..2024-06-30
+    function toQuery(view) {
+        const params = new URLSearchParams();
+        Object.entries(PARAMS).forEach(([key, param]) => {
+            if (!view[key]) return;
+            if (!view[key].length) params.append(param, '');
+            view[key].forEach(v => params.append(param, v === '' ? NONE : String(v)));
+        });
+        Object.entries(view.ranges || {}).forEach(([field, { min, max }]) => {
+            const isDate = field === 'date';
+            // Date ranges end at the last millisecond of their last day
+            const lo = min == null ? '' : (isDate ? toDay(min) : min);
+            const hi = max == null ? '' : (isDate ? toDay(max) : max);
+            params.set(field, `${lo}..${hi}`);
+        });
+        return params.toString();
+    }
+
+    // The view in a query string, or null if it has no filter parameters
+    function fromQuery(search) {
+        const params = new URLSearchParams(search);
+        const view = {};
+        Object.entries(PARAMS).forEach(([key, param]) => {
+            if (!params.has(param)) return;
+            view[key] = params.getAll(param)
+                .filter(v => v !== '')
+                .map(v => {
+                    if (v === NONE) return '';
+                    // Years are numbers in filterState
+                    return key === 'selectedYears' ? Number(v) : v;
+                });
+        });
+        RANGE_PARAMS.forEach(field => {
+            const raw = params.get(field);
+            if (!raw || !raw.includes('..')) return;
+            const [lo, hi] = raw.split('..');
+            const isDate = field === 'date';
+            const parse = (s) => {
+                if (s === '') return null;
+                const n = isDate ? fromDay(s) : Number(s);
+                return isNaN(n) ? null : n;
+            };
+            const min = parse(lo);
+            let max = parse(hi);
+            if (isDate && max != null) max += DAY_MS - 1;
+            if (min == null && max == null) return;
+            if (!view.ranges) view.ranges = {};
+            view.ranges[field] = { min, max };
+        });
+        return Object.keys(view).length ? view : null;
+    }
+
+    // ------------------------------------------------------------------
+    // Saved views: users/{uid}/views/{id} = { name, filters, isDefault, createdAt, updatedAt }
+    // ------------------------------------------------------------------
+
+    const viewsRef = (db, uid) => db.collection('users').doc(uid).collection('views');
+
+    async function list(db, uid) {
+        const snapshot = await viewsRef(db, uid).orderBy('name').get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    // Saving under an existing name replaces that view
+    async function save(db, FieldValue, uid, name, view) {
+        const existing = await viewsRef(db, uid).where('name', '==', name).limit(1).get();
+        if (!existing.empty) {
+            await existing.docs[0].ref.update({ filters: view, updatedAt: FieldValue.serverTimestamp() });
+            return existing.docs[0].id;
+        }
+        const ref = await viewsRef(db, uid).add({
+            name: name,
+            filters: view,
+            isDefault: false,
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp()
+        });
+        return ref.id;
+    }
+
+    const remove = (db, uid, id) => viewsRef(db, uid).doc(id).delete();
+
+    // Makes id the view applied at startup (null for none); at most one view is the default
+    async function setDefault(db, FieldValue, uid, id) {
+        const views = await list(db, uid);
+        const batch = db.batch();
+        views.forEach(v => {
+            const isDefault = v.id === id;
+            if (v.isDefault !== isDefault) {
+                batch.update(viewsRef(db, uid).doc(v.id), { isDefault: isDefault, updatedAt: FieldValue.serverTimestamp() });
+            }
+        });
+        await batch.commit();
+    }
+
+    return { capture, apply, toQuery, fromQuery, list, save, remove, setDefault };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = FilterViews;
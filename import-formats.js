@@ -0,0 +1,109 @@
+// Import File Formats
+// Reads an uploaded file into row objects ("sources", one per worksheet) so that every format
+// goes through the same column mapping and SalesRecord.buildRecord afterwards.
+// Supports Excel workbooks, CSV, JSON (plain arrays or RESO Web API responses) and NDJSON.
+const ImportFormats = (() => {
+    const EXTENSIONS = {
+        xlsx: 'workbook',
+        xls: 'workbook',
+        csv: 'csv',
+        json: 'json',
+        ndjson: 'ndjson',
+        jsonl: 'ndjson'
+    };
+
+    // Value for the file input's accept attribute
+    const ACCEPT = Object.keys(EXTENSIONS).map(ext => `.${ext}`).join(', ');
+
+    function detectFormat(fileName) {
+        const ext = String(fileName).split('.').pop().toLowerCase();
+        const format = EXTENSIONS[ext];
+        if (!format) throw new Error(`Unsupported file type ".${ext}". Use ${ACCEPT}.`);
+        return format;
+    }
+
+    // Worksheet rows carry SheetJS's hidden __rowNum__ (0-based), which survives skipped blank rows
+    function sheetSource(name, worksheet, XLSX) {
+        const rows = XLSX.utils.sheet_to_json(worksheet);
+        return {
+            name: name,
+            rows: rows,
+            rowNumbers: rows.map((row, i) => (row.__rowNum__ != null ? row.__rowNum__ + 1 : i + 2))
+        };
+    }
+
+    // RESO feeds split the street address; rebuild one the mapping screen can use
+    function withResoAddress(record) {
+        if (record.UnparsedAddress || !record.StreetName) return record;
+        const parts = [
+            record.StreetNumber,
+            record.StreetDirPrefix,
+            record.StreetName,
+            record.StreetSuffix,
+            record.StreetDirSuffix,
+            record.UnitNumber ? `Unit ${record.UnitNumber}` : null
+        ];
+        return { ...record, UnparsedAddress: parts.filter(Boolean).join(' ') };
+    }
+
+    // Accepts a bare array, an OData/RESO Web API body ({ value: [...] }) or { records: [...] }
+    function jsonRecords(parsed) {
+        if (Array.isArray(parsed)) return parsed;
+        if (parsed && Array.isArray(parsed.value)) return parsed.value;
+        if (parsed && Array.isArray(parsed.records)) return parsed.records;
+        throw new Error('JSON file must contain an array of records (or a RESO "value" array).');
+    }
+
+    const isPlainRecord = (r) => r && typeof r === 'object' && !Array.isArray(r);
+
+    function readJson(text) {
+        const records = jsonRecords(JSON.parse(text));
+        const rows = [];
+        const rowNumbers = [];
+        records.forEach((r, i) => {
+            if (!isPlainRecord(r)) return;
+            rows.push(withResoAddress(r));
+            rowNumbers.push(i + 1);
+        });
+        return [{ name: 'Records', rows, rowNumbers }];
+    }
+
+    function readNdjson(text) {
+        const rows = [];
+        const rowNumbers = [];
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim()) return;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (err) {
+                throw new Error(`Line ${i + 1} is not valid JSON: ${err.message}`);
+            }
+            if (!isPlainRecord(record)) return;
+            rows.push(withResoAddress(record));
+            rowNumbers.push(i + 1);
+        });
+        return [{ name: 'Records', rows, rowNumbers }];
+    }
+
+    // data is a Uint8Array of the file contents. XLSX is passed in (the browser global or the npm module).
+    function readFile(fileName, data, XLSX) {
+        const format = detectFormat(fileName);
+
+        if (format === 'json' || format === 'ndjson') {
+            const text = new TextDecoder('utf-8').decode(data);
+            return { format, sources: format === 'json' ? readJson(text) : readNdjson(text) };
+        }
+
+        const workbook = format === 'csv'
+            ? XLSX.read(new TextDecoder('utf-8').decode(data), { type: 'string', cellDates: true })
+            : XLSX.read(data, { type: 'array', cellDates: true });
+
+        const sources = workbook.SheetNames.map(name => sheetSource(name, workbook.Sheets[name], XLSX));
+        return { format, sources };
+    }
+
+    return { ACCEPT, detectFormat, readFile };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ImportFormats;
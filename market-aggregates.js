@@ -0,0 +1,392 @@
+// Market Aggregates
+// Non-identifying monthly statistics behind the public dashboard. Each market_aggregates/{YYYY-MM}
+// document holds one cell per city × new construction × city limits with counts, volume and
+// mergeable histograms (price, price/sqft, days on market), so KPIs, percentiles and charts can be
+// rebuilt for any filter combination without reading individual sales (which only members can).
+// The collection is public, so nothing describes fewer than MIN_CELL_SALES sales: small cells are
+// pooled into wider buckets, small bubble bins are left out and histogram buckets are widened until
+// each holds at least that many values.
+// Months are recomputed from sales_data whenever an import, edit, delete or rollback touches them,
+// so overwritten records are never double counted; `npm run rebuild-aggregates` redoes all of them.
+const MarketAggregates = (() => {
+    const COLLECTION = 'market_aggregates';
+    // Bumped when the cell layout changes; older months are rebuilt by rebuildAll
+    const VERSION = 4;
+    const PAGE_SIZE = 400;
+
+    // Fewest sales a published cell or bubble bin may hold, so none narrows down to a single sale
+    const MIN_CELL_SALES = 5;
+    // Pooled cells: small cells of one city with their construction and city limits status mixed,
+    // then whatever is still too small across every city
+    const MIXED = 'Mixed';
+    const OTHER_CITIES = 'Other cities';
+
+    // Log-spaced histogram buckets 2% wide: a median read back from a sketch is within ~1% of the real one.
+    // Published sketches merge them into aligned ranges 2^level buckets wide, up to 2^MAX_LEVEL.
+    const GAMMA = 1.02;
+    const MAX_LEVEL = 11;
+    // Same $50k bins as the dashboard's Price Distribution chart
+    const PRICE_BIN = 50000;
+    // Grid the bubble chart is binned to, so no point is a single sale
+    const BUBBLE_SQFT = 250;
+    const BUBBLE_PPSF = 10;
+
+    const pad2 = (n) => String(n).padStart(2, '0');
+    const monthKey = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}`;
+    const toDate = (val) => (val && typeof val.toDate === 'function') ? val.toDate() : new Date(val);
+
+    // ------------------------------------------------------------------
+    // Sketches: { 'lo_hi': count }, the range of buckets lo..hi covering GAMMA^(lo - 0.5) up to
+    // GAMMA^(hi + 0.5). While a month is built every range is a single bucket ('i_i').
+    // ------------------------------------------------------------------
+
+    const bucketRange = (key) => key.split('_').map(Number);
+
+    function addToSketch(sketch, value) {
+        if (!(value > 0)) return;
+        const i = Math.round(Math.log(value) / Math.log(GAMMA));
+        const key = `${i}_${i}`;
+        sketch[key] = (sketch[key] || 0) + 1;
+    }
+
+    function mergeSketch(into, sketch) {
+        Object.entries(sketch || {}).forEach(([key, n]) => { into[key] = (into[key] || 0) + n; });
+        return into;
+    }
+
+    const sketchCount = (sketch) => Object.values(sketch).reduce((sum, n) => sum + n, 0);
+
+    // Ranges are read as their middle bucket
+    function sketchQuantile(sketch, q) {
+        const mids = Object.keys(sketch)
+            .map(key => {
+                const [lo, hi] = bucketRange(key);
+                return { mid: (lo + hi) / 2, n: sketch[key] };
+            })
+            .sort((a, b) => a.mid - b.mid);
+        const total = sketchCount(sketch);
+        if (!total) return 0;
+        const rank = q * (total - 1);
+        let seen = 0;
+        for (const { mid, n } of mids) {
+            seen += n;
+            if (seen > rank) return Math.pow(GAMMA, mid);
+        }
+        return Math.pow(GAMMA, mids[mids.length - 1].mid);
+    }
+
+    // Replaces single-bucket counts with aligned ranges of at least MIN_CELL_SALES values each, so no
+    // count pins a value down: a range is split in half while both halves are empty or big enough.
+    // Empty if the sketch holds fewer than MIN_CELL_SALES values.
+    function coarsenSketch(sketch) {
+        const counts = Object.entries(sketch).map(([key, n]) => [bucketRange(key)[0], n]);
+        const total = (lo, hi) => counts.reduce((sum, [i, n]) => (i >= lo && i <= hi ? sum + n : sum), 0);
+        const out = {};
+        const split = (lo, level) => {
+            const hi = lo + Math.pow(2, level) - 1;
+            const n = total(lo, hi);
+            if (!n) return;
+            const half = Math.pow(2, level - 1);
+            const halves = level ? [total(lo, lo + half - 1), total(lo + half, hi)] : [];
+            if (level && halves.every(h => h === 0 || h >= MIN_CELL_SALES)) {
+                split(lo, level - 1);
+                split(lo + half, level - 1);
+            } else {
+                out[`${lo}_${hi}`] = n;
+            }
+        };
+        const width = Math.pow(2, MAX_LEVEL);
+        new Set(counts.map(([i]) => Math.floor(i / width) * width)).forEach(lo => {
+            if (total(lo, lo + width - 1) >= MIN_CELL_SALES) split(lo, MAX_LEVEL);
+        });
+        return out;
+    }
+
+    // Counts per fixed-width bin ({ binStart: count }, e.g. PRICE_BIN), each range's values spread
+    // evenly over the span it covers
+    function sketchBins(sketch, width) {
+        const bins = {};
+        Object.entries(sketch).forEach(([key, n]) => {
+            const [lo, hi] = bucketRange(key);
+            const from = Math.pow(GAMMA, lo - 0.5);
+            const to = Math.pow(GAMMA, hi + 0.5);
+            for (let bin = Math.floor(from / width) * width; bin < to; bin += width) {
+                const share = (Math.min(to, bin + width) - Math.max(from, bin)) / (to - from);
+                bins[bin] = (bins[bin] || 0) + n * share;
+            }
+        });
+        Object.keys(bins).forEach(bin => {
+            bins[bin] = Math.round(bins[bin]);
+            if (!bins[bin]) delete bins[bin];
+        });
+        return bins;
+    }
+
+    // ------------------------------------------------------------------
+    // Building month documents from sales_data
+    // ------------------------------------------------------------------
+
+    // Same defaults and exclusions as the dashboard's processData
+    function toSale(data) {
+        const date = toDate(data.date);
+        const price = Number(data.price);
+        if (isNaN(date.getTime()) || !(price > 0) || date.getFullYear() <= 2000) return null;
+        return {
+            date: date,
+            price: price,
+            sqFt: Number(data.sqFt) || 0,
+            pricePerSqFt: Number(data.pricePerSqFt) || 0,
+            daysOnMarket: Number(data.daysOnMarket) || 0,
+            yearBuilt: data.yearBuilt || null,
+            city: data.city || 'Unknown',
+            newConstruction: data.newConstruction || 'No',
+            insideCityLimits: data.insideCityLimits || 'Unknown'
+        };
+    }
+
+    function newCell(sale) {
+        return {
+            city: sale.city,
+            newConstruction: sale.newConstruction,
+            insideCityLimits: sale.insideCityLimits,
+            count: 0,
+            volume: 0,
+            price: {},
+            pricePerSqFt: {},
+            daysOnMarket: {},
+            bubbles: {}
+        };
+    }
+
+    function addSale(cell, sale) {
+        cell.count++;
+        cell.volume += sale.price;
+        addToSketch(cell.price, sale.price);
+        addToSketch(cell.pricePerSqFt, sale.pricePerSqFt);
+        addToSketch(cell.daysOnMarket, sale.daysOnMarket); // 0 means not recorded and is skipped
+
+        if (sale.sqFt > 0) {
+            const x = Math.floor(sale.sqFt / BUBBLE_SQFT) * BUBBLE_SQFT;
+            const y = Math.floor(sale.price / sale.sqFt / BUBBLE_PPSF) * BUBBLE_PPSF;
+            const key = `${x}_${y}`;
+            const b = cell.bubbles[key] || (cell.bubbles[key] = { n: 0, builtSum: 0, builtN: 0 });
+            b.n++;
+            if (sale.yearBuilt) {
+                b.builtSum += sale.yearBuilt;
+                b.builtN++;
+            }
+        }
+    }
+
+    function mergeCell(into, cell) {
+        into.count += cell.count;
+        into.volume += cell.volume;
+        mergeSketch(into.price, cell.price);
+        mergeSketch(into.pricePerSqFt, cell.pricePerSqFt);
+        mergeSketch(into.daysOnMarket, cell.daysOnMarket);
+        Object.entries(cell.bubbles).forEach(([key, b]) => {
+            const to = into.bubbles[key] || (into.bubbles[key] = { n: 0, builtSum: 0, builtN: 0 });
+            to.n += b.n;
+            to.builtSum += b.builtSum;
+            to.builtN += b.builtN;
+        });
+        return into;
+    }
+
+    // Pools cells under MIN_CELL_SALES within their city, then across cities; a pool that is
+    // still too small is dropped, as are bubble bins under MIN_CELL_SALES, and the sketches are
+    // coarsened. Price/sqft, days on market and year built are often unrecorded, so a large enough
+    // cell can still hold one sale's value: those are cleared unless MIN_CELL_SALES sales record them.
+    function suppressSmallCells(cells) {
+        const kept = cells.filter(c => c.count >= MIN_CELL_SALES);
+        const smallByCity = {};
+        cells.filter(c => c.count < MIN_CELL_SALES).forEach(c => {
+            (smallByCity[c.city] || (smallByCity[c.city] = [])).push(c);
+        });
+        const leftover = [];
+        Object.entries(smallByCity).forEach(([city, small]) => {
+            const pooled = small.reduce(mergeCell, newCell({ city, newConstruction: MIXED, insideCityLimits: MIXED }));
+            (pooled.count >= MIN_CELL_SALES ? kept : leftover).push(pooled);
+        });
+        const other = leftover.reduce(mergeCell, newCell({ city: OTHER_CITIES, newConstruction: MIXED, insideCityLimits: MIXED }));
+        if (other.count >= MIN_CELL_SALES) kept.push(other);
+
+        kept.forEach(cell => {
+            cell.price = coarsenSketch(cell.price);
+            cell.pricePerSqFt = coarsenSketch(cell.pricePerSqFt);
+            cell.daysOnMarket = coarsenSketch(cell.daysOnMarket);
+            Object.keys(cell.bubbles).forEach(key => {
+                const b = cell.bubbles[key];
+                if (b.n < MIN_CELL_SALES) delete cell.bubbles[key];
+                else if (b.builtN < MIN_CELL_SALES) Object.assign(b, { builtSum: 0, builtN: 0 });
+            });
+        });
+        return kept;
+    }
+
+    // Groups raw sales_data documents into { 'YYYY-MM': monthDoc }. Months with fewer than
+    // MIN_CELL_SALES sales end up with no cells.
+    function buildMonths(docs) {
+        const months = {};
+        docs.forEach(data => {
+            const sale = toSale(data);
+            if (!sale) return;
+            const key = monthKey(sale.date);
+            const month = months[key] || (months[key] = { month: key, year: sale.date.getFullYear(), version: VERSION, cells: {} });
+            const cellId = [sale.city, sale.newConstruction, sale.insideCityLimits].join('|');
+            if (!month.cells[cellId]) month.cells[cellId] = newCell(sale);
+            addSale(month.cells[cellId], sale);
+        });
+        Object.values(months).forEach(m => { m.cells = suppressSmallCells(Object.values(m.cells)); });
+        return months;
+    }
+
+    const monthRange = (key) => {
+        const [y, m] = key.split('-').map(Number);
+        return [new Date(y, m - 1, 1), new Date(y, m, 1)];
+    };
+
+    // Recomputes the given months ('YYYY-MM', or Dates) from sales_data. Months left empty are deleted.
+    async function refreshMonths(db, FieldValue, months) {
+        const keys = [...new Set(months.map(m => (m instanceof Date ? monthKey(m) : m)))];
+        for (const key of keys) {
+            const [start, end] = monthRange(key);
+            const snapshot = await db.collection('sales_data')
+                .where('date', '>=', start)
+                .where('date', '<', end)
+                .get();
+            const built = buildMonths(snapshot.docs.map(doc => doc.data()))[key];
+            const ref = db.collection(COLLECTION).doc(key);
+            if (built) await ref.set({ ...built, updatedAt: FieldValue.serverTimestamp() });
+            else await ref.delete();
+        }
+        return keys;
+    }
+
+    // Rebuilds every month from scratch (after migrations, format changes, or if the documents drift).
+    // options: { dryRun, onProgress(recordsRead) }. Returns { sales, months, removed }.
+    async function rebuildAll(db, FieldValue, options) {
+        const { dryRun = false, onProgress } = options || {};
+        const docs = [];
+        let last = null;
+        for (;;) {
+            let query = db.collection('sales_data').orderBy('__name__').limit(PAGE_SIZE);
+            if (last) query = query.startAfter(last);
+            const snapshot = await query.get();
+            snapshot.docs.forEach(doc => docs.push(doc.data()));
+            if (onProgress) onProgress(docs.length);
+            if (snapshot.size < PAGE_SIZE) break;
+            last = snapshot.docs[snapshot.docs.length - 1];
+        }
+
+        const months = buildMonths(docs);
+        const existing = await db.collection(COLLECTION).get();
+        const stale = existing.docs.filter(doc => !months[doc.id]);
+        const result = { sales: docs.length, months: Object.keys(months).length, removed: stale.length };
+        if (dryRun) return result;
+
+        let batch = db.batch();
+        let ops = 0;
+        const queue = async (fn) => {
+            fn(batch);
+            if (++ops >= PAGE_SIZE) {
+                await batch.commit();
+                batch = db.batch();
+                ops = 0;
+            }
+        };
+        for (const doc of stale) {
+            await queue(b => b.delete(doc.ref));
+        }
+        for (const [key, month] of Object.entries(months)) {
+            await queue(b => b.set(db.collection(COLLECTION).doc(key), { ...month, updatedAt: FieldValue.serverTimestamp() }));
+        }
+        if (ops) await batch.commit();
+        return result;
+    }
+
+    // ------------------------------------------------------------------
+    // Reading: what the dashboard renders
+    // ------------------------------------------------------------------
+
+    // Flattens month documents into cells tagged with their month and year
+    const cellsFromMonths = (monthDocs) => monthDocs.flatMap(m =>
+        (m.cells || []).map(cell => ({ ...cell, month: m.month, year: m.year })));
+
+    // KPIs and chart series for a set of (already filtered) cells. Same shape as SalesAnalytics.summarizeRecords.
+    function summarize(cells) {
+        const price = {};
+        const ppsf = {};
+        const dom = {};
+        const byMonth = {};
+        const byCity = {};
+        const bubbles = {};
+        let count = 0;
+        let volume = 0;
+
+        cells.forEach(cell => {
+            count += cell.count;
+            volume += cell.volume;
+            mergeSketch(price, cell.price);
+            mergeSketch(ppsf, cell.pricePerSqFt);
+            mergeSketch(dom, cell.daysOnMarket);
+            mergeSketch(byMonth[cell.month] || (byMonth[cell.month] = {}), cell.price);
+            mergeSketch(byCity[cell.city] || (byCity[cell.city] = {}), cell.price);
+
+            const isNew = cell.newConstruction === 'Yes';
+            Object.entries(cell.bubbles || {}).forEach(([key, b]) => {
+                const id = `${key}_${isNew}`;
+                const into = bubbles[id] || (bubbles[id] = { key, isNew, n: 0, builtSum: 0, builtN: 0 });
+                into.n += b.n;
+                into.builtSum += b.builtSum;
+                into.builtN += b.builtN;
+            });
+        });
+
+        const trend = {};
+        Object.keys(byMonth).forEach(m => { trend[m] = sketchQuantile(byMonth[m], 0.5); });
+        const cityMedians = {};
+        Object.keys(byCity).forEach(c => { cityMedians[c] = sketchQuantile(byCity[c], 0.5); });
+
+        return {
+            count,
+            volume,
+            medianPrice: sketchQuantile(price, 0.5),
+            priceQuartiles: [sketchQuantile(price, 0.25), sketchQuantile(price, 0.75)],
+            medianPpsf: sketchQuantile(ppsf, 0.5),
+            medianDaysOnMarket: sketchQuantile(dom, 0.5),
+            trend,
+            priceBins: sketchBins(price, PRICE_BIN),
+            cityMedians,
+            // Binned points plotted at the middle of their grid square
+            bubbles: Object.values(bubbles).map(b => {
+                const [x, y] = b.key.split('_').map(Number);
+                return {
+                    x: x + BUBBLE_SQFT / 2,
+                    y: y + BUBBLE_PPSF / 2,
+                    isNew: b.isNew,
+                    count: b.n,
+                    yearBuilt: b.builtN ? Math.round(b.builtSum / b.builtN) : null
+                };
+            })
+        };
+    }
+
+    return {
+        COLLECTION,
+        VERSION,
+        MIN_CELL_SALES,
+        PRICE_BIN,
+        monthKey,
+        addToSketch,
+        mergeSketch,
+        sketchQuantile,
+        buildMonths,
+        refreshMonths,
+        rebuildAll,
+        cellsFromMonths,
+        summarize
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = MarketAggregates;
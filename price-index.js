@@ -0,0 +1,161 @@
+// Price Index
+// Constant-quality monthly price index for individual sales, so the trend isn't moved by which homes
+// happened to close (a month heavy with large new builds lifts the raw median). Uses a hedonic
+// time-dummy regression:
+//   ln(price) = month effect + b1 ln(sqFt) + b2 beds + b3 baths + b4 age + location effect + error
+// where location is the subdivision when it has enough sales and the city otherwise. The month
+// effects, exponentiated, are the index; app.js rebases them to 100 at a chosen month.
+const PriceIndex = (() => {
+    const Aggregates = typeof MarketAggregates !== 'undefined' ? MarketAggregates : require('./market-aggregates');
+
+    // Subdivisions with fewer sales are pooled into their city
+    const MIN_SUBDIVISION_SALES = 10;
+    // Keeps the normal equations solvable when a column is constant or collinear
+    const RIDGE = 1e-6;
+    // Median absolute deviation to standard deviation, for normally distributed residuals
+    const MAD_TO_SD = 1.4826;
+
+    const median = (arr) => {
+        if (!arr.length) return 0;
+        const sorted = [...arr].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    };
+    const mean = (arr) => (arr.length ? arr.reduce((sum, v) => sum + v, 0) / arr.length : 0);
+
+    // Solves the symmetric positive definite system a x = b (a is n*n, row-major) by Cholesky
+    function solve(a, b, n) {
+        const l = new Float64Array(n * n);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = a[i * n + j];
+                for (let k = 0; k < j; k++) sum -= l[i * n + k] * l[j * n + k];
+                if (i === j) {
+                    if (sum <= 0) return null;
+                    l[i * n + i] = Math.sqrt(sum);
+                } else {
+                    l[i * n + j] = sum / l[j * n + j];
+                }
+            }
+        }
+        const y = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            let sum = b[i];
+            for (let k = 0; k < i; k++) sum -= l[i * n + k] * y[k];
+            y[i] = sum / l[i * n + i];
+        }
+        const x = new Float64Array(n);
+        for (let i = n - 1; i >= 0; i--) {
+            let sum = y[i];
+            for (let k = i + 1; k < n; k++) sum -= l[k * n + i] * x[k];
+            x[i] = sum / l[i * n + i];
+        }
+        return x;
+    }
+
+    // Index for sales (dashboard rows). Returns null when there is too little data, otherwise
+    // { months: [{ month: 'YYYY-MM', level, n, medianPrice }], sales, excluded, locations, r2, residualSd, coefficients }
+    // where level is the month effect in log price (exp(level - baseLevel) * 100 rebases),
+    // sales / excluded count the sales used and those without a square footage, and residualSd is the
+    // spread of log price around the model (how far a single sale typically strays from it), taken from
+    // the median absolute residual so a few mistyped prices don't inflate it.
+    function hedonic(sales) {
+        const used = sales.filter(d => d.sqFt > 0 && d.price > 0);
+        if (used.length < 2) return null;
+
+        const monthKeys = [...new Set(used.map(d => Aggregates.monthKey(d.date)))].sort();
+        if (monthKeys.length < 2) return null;
+        const monthCol = new Map(monthKeys.map((m, i) => [m, i]));
+
+        // Locations: subdivisions with enough sales, else the city. The most common one is the
+        // reference and gets no column of its own.
+        const subdivisionCounts = {};
+        used.forEach(d => { if (d.subdivision) subdivisionCounts[d.subdivision] = (subdivisionCounts[d.subdivision] || 0) + 1; });
+        const locationOf = (d) => (d.subdivision && subdivisionCounts[d.subdivision] >= MIN_SUBDIVISION_SALES
+            ? `sub:${d.subdivision}`
+            : `city:${d.city}`);
+        const locationCounts = {};
+        used.forEach(d => { const loc = locationOf(d); locationCounts[loc] = (locationCounts[loc] || 0) + 1; });
+        const locations = Object.keys(locationCounts).sort((a, b) => locationCounts[b] - locationCounts[a]);
+
+        // Characteristics, centred; a missing value takes the mean and sets its "missing" flag
+        const age = (d) => (d.yearBuilt ? Math.max(0, d.date.getFullYear() - d.yearBuilt) : null);
+        const features = [
+            { name: 'lnSqFt', value: (d) => Math.log(d.sqFt) },
+            { name: 'beds', value: (d) => (d.beds > 0 ? d.beds : null) },
+            { name: 'baths', value: (d) => (d.baths > 0 ? d.baths : null) },
+            { name: 'age', value: age }
+        ].map(f => {
+            const known = used.map(f.value).filter(v => v != null);
+            return { ...f, mean: mean(known), anyMissing: known.length < used.length };
+        });
+
+        // Columns: one per month, then features, missing flags and non-reference locations
+        let p = monthKeys.length;
+        const featureCol = features.map(() => p++);
+        const missingCol = features.map(f => (f.anyMissing ? p++ : -1));
+        const locationCol = new Map(locations.slice(1).map(loc => [loc, p++]));
+
+        const xtx = new Float64Array(p * p);
+        const xty = new Float64Array(p);
+        const rows = used.map(d => {
+            const cols = [[monthCol.get(Aggregates.monthKey(d.date)), 1]];
+            features.forEach((f, i) => {
+                const v = f.value(d);
+                cols.push([featureCol[i], v == null ? 0 : v - f.mean]);
+                if (missingCol[i] >= 0 && v == null) cols.push([missingCol[i], 1]);
+            });
+            const loc = locationCol.get(locationOf(d));
+            if (loc !== undefined) cols.push([loc, 1]);
+            const y = Math.log(d.price);
+            cols.forEach(([i, vi]) => {
+                xty[i] += vi * y;
+                cols.forEach(([j, vj]) => { xtx[i * p + j] += vi * vj; });
+            });
+            return { cols, y };
+        });
+        for (let i = 0; i < p; i++) xtx[i * p + i] += RIDGE;
+
+        const beta = solve(xtx, xty, p);
+        if (!beta) return null;
+
+        const meanY = mean(rows.map(r => r.y));
+        let ssr = 0;
+        let sst = 0;
+        const residuals = rows.map(r => {
+            const fitted = r.cols.reduce((sum, [i, v]) => sum + beta[i] * v, 0);
+            ssr += (r.y - fitted) ** 2;
+            sst += (r.y - meanY) ** 2;
+            return r.y - fitted;
+        });
+
+        const byMonth = {};
+        used.forEach(d => {
+            const key = Aggregates.monthKey(d.date);
+            if (!byMonth[key]) byMonth[key] = [];
+            byMonth[key].push(d.price);
+        });
+
+        const coefficients = {};
+        features.forEach((f, i) => { coefficients[f.name] = beta[featureCol[i]]; });
+
+        return {
+            months: monthKeys.map((month, i) => ({
+                month,
+                level: beta[i],
+                n: byMonth[month].length,
+                medianPrice: median(byMonth[month])
+            })),
+            sales: used.length,
+            excluded: sales.length - used.length,
+            locations: locations.length,
+            r2: sst ? 1 - ssr / sst : 0,
+            residualSd: MAD_TO_SD * median(residuals.map(Math.abs)),
+            coefficients
+        };
+    }
+
+    return { MIN_SUBDIVISION_SALES, hedonic };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = PriceIndex;
@@ -0,0 +1,399 @@
+// Sales Analytics
+// Filtering and summarizing for the dashboard, shared by dashboard-worker.js (which normally runs it
+// off the main thread) and app.js (which falls back to it when workers are unavailable).
+// Rows are individual sales for members or market_aggregates cells in public mode; both carry
+// year, city, newConstruction and insideCityLimits. Range filters only apply to individual sales.
+const SalesAnalytics = (() => {
+    const Aggregates = typeof MarketAggregates !== 'undefined' ? MarketAggregates : require('./market-aggregates');
+    const Index = typeof PriceIndex !== 'undefined' ? PriceIndex : require('./price-index');
+
+    // filterState key -> row field it selects on
+    const FILTER_FIELDS = {
+        selectedYears: 'year',
+        selectedCities: 'city',
+        selectedNewConstruction: 'newConstruction',
+        selectedCityLimits: 'insideCityLimits',
+        selectedSubdivisions: 'subdivision'
+    };
+
+    // Leaderboard year-over-year change needs this many sales in both 12-month windows
+    const MIN_YOY_SALES = 3;
+    const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+    // Fields filters.ranges can bound ({ field: { min, max } }, inclusive, null for open-ended).
+    // Rows without a value (0 or blank) never fall inside a range.
+    const RANGE_FIELDS = ['price', 'sqFt', 'beds', 'baths', 'daysOnMarket', 'yearBuilt', 'date'];
+
+    const rangeValue = (row, field) => {
+        if (field === 'date') return row.date instanceof Date ? row.date.getTime() : NaN;
+        return typeof row[field] === 'number' ? row[field] : NaN;
+    };
+
+    const median = (arr) => {
+        if (!arr.length) return 0;
+        const sorted = [...arr].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    };
+
+    const quantile = (arr, q) => {
+        if (!arr.length) return 0;
+        const sorted = [...arr].sort((a, b) => a - b);
+        const pos = (sorted.length - 1) * q;
+        const lo = Math.floor(pos);
+        return sorted[lo] + (sorted[Math.ceil(pos)] - sorted[lo]) * (pos - lo);
+    };
+
+    // Per dataset, built once: { size, fields: { field: Map(value -> Uint32Array of row indices) },
+    // ranges: { field: { order, values } } } where order lists the rows that have a value, sorted by it
+    function buildIndexes(rows) {
+        const lists = {};
+        Object.values(FILTER_FIELDS).forEach(field => { lists[field] = new Map(); });
+        rows.forEach((row, i) => {
+            Object.values(FILTER_FIELDS).forEach(field => {
+                const byValue = lists[field];
+                if (!byValue.has(row[field])) byValue.set(row[field], []);
+                byValue.get(row[field]).push(i);
+            });
+        });
+        const indexes = { size: rows.length, fields: {} };
+        Object.entries(lists).forEach(([field, byValue]) => {
+            indexes.fields[field] = new Map([...byValue].map(([value, list]) => [value, Uint32Array.from(list)]));
+        });
+
+        indexes.ranges = {};
+        RANGE_FIELDS.forEach(field => {
+            const withValue = [];
+            rows.forEach((row, i) => {
+                const v = rangeValue(row, field);
+                if (v > 0) withValue.push([v, i]);
+            });
+            withValue.sort((a, b) => a[0] - b[0]);
+            indexes.ranges[field] = {
+                order: Uint32Array.from(withValue, ([, i]) => i),
+                values: Float64Array.from(withValue, ([v]) => v)
+            };
+        });
+        return indexes;
+    }
+
+    // First position in sorted values that is >= v (or > v when after is set)
+    function bisect(values, v, after) {
+        let lo = 0;
+        let hi = values.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (values[mid] < v || (after && values[mid] === v)) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    // Indices of the rows matching every filter. filters: filterState ({ selectedYears: [...], ranges, ... }).
+    // Fields with every value selected (or left out of filters) are skipped, so the usual
+    // "all selected" case costs nothing.
+    function filterIndices(indexes, filters) {
+        const active = Object.entries(FILTER_FIELDS)
+            .filter(([key]) => filters[key] !== undefined)
+            .map(([key, field]) => ({ byValue: indexes.fields[field], selected: new Set(filters[key]) }))
+            .filter(f => ![...f.byValue.keys()].every(v => f.selected.has(v)));
+        const ranges = Object.entries(filters.ranges || {})
+            .filter(([field, r]) => indexes.ranges[field] && r && (r.min != null || r.max != null));
+
+        const required = active.length + ranges.length;
+        if (!required) return Uint32Array.from({ length: indexes.size }, (_, i) => i);
+
+        // Count, per row, how many active filters it matches; a row must match all of them
+        const hits = new Uint8Array(indexes.size);
+        active.forEach(f => {
+            f.selected.forEach(value => {
+                const list = f.byValue.get(value);
+                if (list) list.forEach(i => { hits[i]++; });
+            });
+        });
+        ranges.forEach(([field, r]) => {
+            const { order, values } = indexes.ranges[field];
+            const from = r.min == null ? 0 : bisect(values, r.min, false);
+            const to = r.max == null ? values.length : bisect(values, r.max, true);
+            for (let k = from; k < to; k++) hits[order[k]]++;
+        });
+        const out = [];
+        hits.forEach((n, i) => { if (n === required) out.push(i); });
+        return Uint32Array.from(out);
+    }
+
+    // KPIs and chart series from individual sales (members).
+    // Same shape as MarketAggregates.summarize, which public mode uses instead.
+    function summarizeRecords(data) {
+        const byMonth = {};
+        const byCity = {};
+        const priceBins = {};
+        data.forEach(d => {
+            const month = Aggregates.monthKey(d.date); // 2021-02
+            if (!byMonth[month]) byMonth[month] = [];
+            byMonth[month].push(d.price);
+            if (!byCity[d.city]) byCity[d.city] = [];
+            byCity[d.city].push(d.price);
+            const bin = Math.floor(d.price / Aggregates.PRICE_BIN) * Aggregates.PRICE_BIN;
+            priceBins[bin] = (priceBins[bin] || 0) + 1;
+        });
+
+        const medians = (groups) => {
+            const out = {};
+            Object.keys(groups).forEach(k => { out[k] = median(groups[k]); });
+            return out;
+        };
+
+        return {
+            count: data.length,
+            volume: data.reduce((sum, d) => sum + d.price, 0),
+            medianPrice: median(data.map(d => d.price)),
+            priceQuartiles: [quantile(data.map(d => d.price), 0.25), quantile(data.map(d => d.price), 0.75)],
+            medianPpsf: median(data.map(d => d.pricePerSqFt)),
+            medianDaysOnMarket: median(data.map(d => d.daysOnMarket).filter(n => n > 0)), // 0 = not recorded
+            trend: medians(byMonth),
+            priceBins: priceBins,
+            cityMedians: medians(byCity),
+            bubbles: data.map(d => ({
+                id: d.id,
+                x: d.sqFt,
+                y: d.price / d.sqFt, // Price per SqFt
+                isNew: d.newConstruction === 'Yes',
+                yearBuilt: d.yearBuilt,
+                address: d.address,
+                city: d.city
+            })).filter(p => !isNaN(p.x) && !isNaN(p.y) && p.x > 0)
+        };
+    }
+
+    // Subdivision leaderboard rows: sales count, medians, share of new construction and the change in
+    // median price over the 12 months to the newest sale against the 12 months before. Sales without
+    // a subdivision are left out.
+    function subdivisionStats(data) {
+        const latest = data.reduce((max, d) => Math.max(max, d.date.getTime()), 0);
+        const groups = {};
+        data.forEach(d => {
+            if (!d.subdivision) return;
+            if (!groups[d.subdivision]) groups[d.subdivision] = [];
+            groups[d.subdivision].push(d);
+        });
+
+        return Object.entries(groups).map(([name, sales]) => {
+            const age = (d) => latest - d.date.getTime();
+            const recent = sales.filter(d => age(d) < YEAR_MS).map(d => d.price);
+            const prior = sales.filter(d => age(d) >= YEAR_MS && age(d) < 2 * YEAR_MS).map(d => d.price);
+            return {
+                subdivision: name,
+                count: sales.length,
+                medianPrice: median(sales.map(d => d.price)),
+                medianPpsf: median(sales.map(d => d.pricePerSqFt).filter(n => n > 0)),
+                medianDaysOnMarket: median(sales.map(d => d.daysOnMarket).filter(n => n > 0)),
+                newShare: sales.filter(d => d.newConstruction === 'Yes').length / sales.length,
+                yoyChange: recent.length >= MIN_YOY_SALES && prior.length >= MIN_YOY_SALES
+                    ? median(recent) / median(prior) - 1
+                    : null
+            };
+        });
+    }
+
+    // Trend chart metrics and bucket sizes (filters.trend). count and volume are sums per bucket;
+    // the rest describe the bucket's sales.
+    const TREND_METRICS = ['medianPrice', 'medianPpsf', 'count', 'volume', 'medianDaysOnMarket', 'newShare'];
+    const SUM_METRICS = ['count', 'volume'];
+    const GRANULARITIES = ['week', 'month', 'quarter', 'year'];
+    // Points resting on fewer sales than this are flagged lowSample
+    const LOW_SAMPLE = 5;
+
+    // The local-time bucket holding ms: { start, end } with end its last millisecond. Weeks start on Monday.
+    function bucketOf(ms, granularity) {
+        const d = new Date(ms);
+        const y = d.getFullYear();
+        const m = d.getMonth();
+        let start;
+        let next;
+        if (granularity === 'week') {
+            const monday = d.getDate() - ((d.getDay() + 6) % 7);
+            start = new Date(y, m, monday);
+            next = new Date(y, m, monday + 7);
+        } else if (granularity === 'quarter') {
+            const first = m - (m % 3);
+            start = new Date(y, first, 1);
+            next = new Date(y, first + 3, 1);
+        } else if (granularity === 'year') {
+            start = new Date(y, 0, 1);
+            next = new Date(y + 1, 0, 1);
+        } else {
+            start = new Date(y, m, 1);
+            next = new Date(y, m + 1, 1);
+        }
+        return { start: start.getTime(), end: next.getTime() - 1 };
+    }
+
+    // Running totals for a bucket. Sales keep their values for exact medians; aggregate cells merge sketches.
+    const newTally = (mode) => (mode === 'member'
+        ? { count: 0, volume: 0, newCount: 0, price: [], ppsf: [], dom: [] }
+        : { count: 0, volume: 0, newCount: 0, price: {}, ppsf: {}, dom: {} });
+
+    function addToTally(tally, mode, row) {
+        const n = mode === 'member' ? 1 : row.count;
+        tally.count += n;
+        tally.volume += mode === 'member' ? row.price : row.volume;
+        if (row.newConstruction === 'Yes') tally.newCount += n;
+        if (mode === 'member') {
+            tally.price.push(row.price);
+            if (row.pricePerSqFt > 0) tally.ppsf.push(row.pricePerSqFt);
+            if (row.daysOnMarket > 0) tally.dom.push(row.daysOnMarket);
+        } else {
+            Aggregates.mergeSketch(tally.price, row.price);
+            Aggregates.mergeSketch(tally.ppsf, row.pricePerSqFt);
+            Aggregates.mergeSketch(tally.dom, row.daysOnMarket);
+        }
+    }
+
+    function mergeTally(into, tally, mode) {
+        into.count += tally.count;
+        into.volume += tally.volume;
+        into.newCount += tally.newCount;
+        ['price', 'ppsf', 'dom'].forEach(key => {
+            if (mode === 'member') into[key] = into[key].concat(tally[key]);
+            else Aggregates.mergeSketch(into[key], tally[key]);
+        });
+    }
+
+    // periods: buckets pooled into tally, which sums are averaged over
+    function metricValue(metric, tally, mode, periods) {
+        const mid = (values) => {
+            const value = mode === 'member' ? median(values) : Aggregates.sketchQuantile(values, 0.5);
+            return value || null; // nothing recorded
+        };
+        switch (metric) {
+            case 'count': return tally.count / periods;
+            case 'volume': return tally.volume / periods;
+            case 'medianPpsf': return mid(tally.ppsf);
+            case 'medianDaysOnMarket': return mid(tally.dom);
+            case 'newShare': return tally.count ? tally.newCount / tally.count : null;
+            default: return mid(tally.price);
+        }
+    }
+
+    // Trend chart series: { metric, granularity, smoothing, points: [{ start, end, value, n, lowSample }] }
+    // with a point for every bucket from the first sale to the last (value null where nothing sold).
+    // options: { metric, granularity, smoothing } where smoothing (months, 0 for none) pools each point
+    // with the buckets that start within that many months before its end; sums become per-bucket
+    // averages over the window. Aggregate cells are monthly, so public weekly series come out monthly.
+    function trendSeries(mode, rows, options) {
+        const { metric = 'medianPrice', smoothing = 0 } = options || {};
+        let { granularity = 'month' } = options || {};
+        if (mode !== 'member' && granularity === 'week') granularity = 'month';
+
+        const tallies = new Map(); // bucket start -> tally
+        let first = Infinity;
+        let last = -Infinity;
+        rows.forEach(row => {
+            const ms = row.month ? new Date(Number(row.month.slice(0, 4)), Number(row.month.slice(5, 7)) - 1, 1).getTime() : row.date.getTime();
+            const { start } = bucketOf(ms, granularity);
+            if (!tallies.has(start)) tallies.set(start, newTally(mode));
+            addToTally(tallies.get(start), mode, row);
+            first = Math.min(first, start);
+            last = Math.max(last, start);
+        });
+
+        const buckets = [];
+        for (let ms = first; ms <= last;) {
+            const bucket = bucketOf(ms, granularity);
+            buckets.push({ ...bucket, tally: tallies.get(bucket.start) || newTally(mode) });
+            ms = bucket.end + 1;
+        }
+
+        const points = buckets.map((bucket, i) => {
+            let pooled = bucket.tally;
+            let periods = 1;
+            if (smoothing) {
+                const from = new Date(bucket.end + 1);
+                from.setMonth(from.getMonth() - smoothing);
+                const window = [];
+                for (let j = i; j >= 0 && buckets[j].start >= from.getTime(); j--) window.push(buckets[j].tally);
+                // A bucket longer than the window (a year, smoothed over 3 months) stands alone
+                if (window.length) {
+                    pooled = newTally(mode);
+                    window.forEach(tally => mergeTally(pooled, tally, mode));
+                    periods = window.length;
+                }
+            }
+            return {
+                start: bucket.start,
+                end: bucket.end,
+                value: metricValue(metric, pooled, mode, periods),
+                n: pooled.count,
+                lowSample: !SUM_METRICS.includes(metric) && pooled.count < LOW_SAMPLE
+            };
+        });
+        return { metric, granularity, smoothing, points };
+    }
+
+    // mode: 'member' (rows are sales) or 'public' (rows are aggregate cells)
+    const summarize = (mode, rows) => (mode === 'member' ? summarizeRecords(rows) : Aggregates.summarize(rows));
+
+    // Month ('YYYY-MM') a row belongs to: aggregate cells carry theirs, sales have a closing date
+    const rowMonth = (row) => row.month || Aggregates.monthKey(row.date);
+
+    // KPI figures per period. periods: { base: { from, to }, previous: { from, to } } in 'YYYY-MM',
+    // inclusive. The periods stand in for the year and closing-date filters; every other filter applies.
+    function comparePeriods(mode, rows, indexes, filters, periods) {
+        const ranges = { ...filters.ranges };
+        delete ranges.date;
+        const indices = filterIndices(indexes, { ...filters, selectedYears: undefined, ranges });
+        const out = { periods };
+        Object.entries(periods).forEach(([name, { from, to }]) => {
+            const inPeriod = [];
+            indices.forEach(i => {
+                const month = rowMonth(rows[i]);
+                if (month >= from && month <= to) inPeriod.push(rows[i]);
+            });
+            const { count, volume, medianPrice, priceQuartiles, medianPpsf, medianDaysOnMarket } = summarize(mode, inPeriod);
+            out[name] = { count, volume, medianPrice, priceQuartiles, medianPpsf, medianDaysOnMarket };
+        });
+        return out;
+    }
+
+    // One filter pass: { stats, indices } for the rows matching filters. For members stats also
+    // carries the constant-quality price index (PriceIndex.hedonic) and the subdivision leaderboard,
+    // built from every other filter so that picking a subdivision doesn't hide the rest of the board. With filters.periods, stats.comparison
+    // holds comparePeriods' result; with filters.trend, stats.series holds trendSeries'.
+    function query(mode, rows, indexes, filters) {
+        const indices = filterIndices(indexes, filters);
+        const matching = Array.from(indices, i => rows[i]);
+        const stats = summarize(mode, matching);
+        if (filters.trend) stats.series = trendSeries(mode, matching, filters.trend);
+        if (filters.periods) stats.comparison = comparePeriods(mode, rows, indexes, filters, filters.periods);
+        if (mode === 'member') {
+            const board = filterIndices(indexes, { ...filters, selectedSubdivisions: undefined });
+            stats.subdivisions = subdivisionStats(Array.from(board, i => rows[i]));
+            stats.priceIndex = Index.hedonic(matching);
+        }
+        return { stats, indices };
+    }
+
+    return {
+        FILTER_FIELDS,
+        RANGE_FIELDS,
+        TREND_METRICS,
+        GRANULARITIES,
+        LOW_SAMPLE,
+        rangeValue,
+        median,
+        quantile,
+        buildIndexes,
+        filterIndices,
+        summarizeRecords,
+        subdivisionStats,
+        bucketOf,
+        trendSeries,
+        summarize,
+        rowMonth,
+        comparePeriods,
+        query
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = SalesAnalytics;
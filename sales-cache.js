@@ -0,0 +1,107 @@
+// Sales Cache
+// IndexedDB copy of what the dashboard last downloaded, so it can render immediately on the next
+// visit and keep working offline. Member records are tied to the account that synced them and
+// cleared on sign-out; public aggregates are cached for everyone.
+const SalesCache = (() => {
+    const DB_NAME = 'market-dashboard';
+    const DB_VERSION = 1;
+    // Bump when the cached record shape changes; older caches are discarded and re-downloaded
+    const CACHE_VERSION = 1;
+
+    let opening = null;
+
+    // Resolves to null where IndexedDB is unavailable (private browsing in some browsers)
+    function open() {
+        if (opening) return opening;
+        opening = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const idb = req.result;
+                idb.createObjectStore('records', { keyPath: 'id' });
+                idb.createObjectStore('aggregates', { keyPath: 'month' });
+                idb.createObjectStore('meta', { keyPath: 'key' });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                console.warn("IndexedDB unavailable:", req.error);
+                resolve(null);
+            };
+        });
+        return opening;
+    }
+
+    const done = (tx) => new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+
+    const request = (req) => new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+
+    async function read(store) {
+        const idb = await open();
+        if (!idb) return { items: [], meta: null };
+        const tx = idb.transaction([store, 'meta'], 'readonly');
+        const [items, meta] = await Promise.all([
+            request(tx.objectStore(store).getAll()),
+            request(tx.objectStore('meta').get(store))
+        ]);
+        return { items, meta: meta && meta.version === CACHE_VERSION ? meta : null };
+    }
+
+    // Writes puts and deletes plus the store's meta in one transaction. replace clears the store first.
+    async function write(store, { puts = [], deletes = [], meta, replace = false }) {
+        const idb = await open();
+        if (!idb) return;
+        const tx = idb.transaction([store, 'meta'], 'readwrite');
+        const os = tx.objectStore(store);
+        if (replace) os.clear();
+        deletes.forEach(key => os.delete(key));
+        puts.forEach(item => os.put(item));
+        tx.objectStore('meta').put({ ...meta, key: store, version: CACHE_VERSION });
+        await done(tx);
+    }
+
+    async function clear(store) {
+        const idb = await open();
+        if (!idb) return;
+        const tx = idb.transaction([store, 'meta'], 'readwrite');
+        tx.objectStore(store).clear();
+        tx.objectStore('meta').delete(store);
+        await done(tx);
+    }
+
+    // Member records: { records, syncedAt, checkedAt } for this uid, or null
+    async function loadRecords(uid) {
+        const { items, meta } = await read('records');
+        if (!meta || meta.uid !== uid) return null;
+        return { records: items, syncedAt: meta.syncedAt, checkedAt: meta.checkedAt };
+    }
+
+    const saveRecords = (uid, changes) => write('records', {
+        puts: changes.puts,
+        deletes: changes.deletes,
+        replace: changes.replace,
+        meta: { uid: uid, syncedAt: changes.syncedAt, checkedAt: Date.now() }
+    });
+
+    // Public aggregates: { months, checkedAt }, or null
+    async function loadAggregates() {
+        const { items, meta } = await read('aggregates');
+        return meta ? { months: items, checkedAt: meta.checkedAt } : null;
+    }
+
+    const saveAggregates = (months) => write('aggregates', { puts: months, replace: true, meta: { checkedAt: Date.now() } });
+
+    return {
+        loadRecords,
+        saveRecords,
+        clearRecords: () => clear('records'),
+        loadAggregates,
+        saveAggregates
+    };
+})();
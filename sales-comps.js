@@ -0,0 +1,141 @@
+// Sales Comps
+// Finds comparable sales for a property the way agents pick them for a CMA: same subdivision (or at
+// least the same city), similar size, beds, baths, age and construction status, sold close to the
+// valuation date. Each comp gets a 0-100 similarity score and its price adjusted for market movement
+// since it sold (from a PriceIndex.hedonic index) and for the differences from the subject. The subject
+// can be a recorded sale (the detail drawer) or a description of a home (the value estimator).
+// Sales are dashboard rows (app.js processData): { id, date, price, sqFt, beds, baths, yearBuilt, city, subdivision, ... }
+const SalesComps = (() => {
+    const Aggregates = typeof MarketAggregates !== 'undefined' ? MarketAggregates : require('./market-aggregates');
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Candidates outside these limits are never comps
+    const MAX_SIZE_DIFF = 0.3;   // share of the subject's sqFt
+    const MAX_AGE_DAYS = 730;    // between the comp's closing and the valuation date
+    const UNADJUSTED_MAX_AGE_DAYS = 365; // the same, when there is no index to adjust for market movement
+
+    // Score weights (sum to 100); each part scores 1 for a perfect match down to 0 at its limit
+    const WEIGHTS = { location: 25, size: 20, recency: 20, beds: 10, baths: 10, yearBuilt: 10, newConstruction: 5 };
+    const BEDS_LIMIT = 2;
+    const BATHS_LIMIT = 2;
+    const YEAR_BUILT_LIMIT = 20;
+    const CITY_ONLY = 0.5;       // location score when only the city matches
+    const UNKNOWN = 0.5;         // score for a part either sale doesn't record
+
+    // Price adjustments, applied to the comp to make it resemble the subject.
+    // Extra square footage is worth less than the average $/sqft, which also pays for the land.
+    const SIZE_VALUE = 0.5;      // share of the comp's $/sqft per sqft of difference
+    const BED_VALUE = 0.02;      // share of the comp's price per bedroom
+    const BATH_VALUE = 0.025;    // per bath
+    const AGE_VALUE = 0.003;     // per year newer, up to YEAR_BUILT_LIMIT years
+
+    // Fewer comps than this give a value but no likely range
+    const MIN_BAND_COMPS = 3;
+
+    const known = (n) => typeof n === 'number' && n > 0;
+    const closeness = (a, b, limit) => {
+        if (!known(a) || !known(b)) return UNKNOWN;
+        return Math.max(0, 1 - Math.abs(a - b) / limit);
+    };
+
+    // Index level for the month of `ms`; months without sales take the level of the month before
+    function levelAt(index, ms) {
+        const key = Aggregates.monthKey(new Date(ms));
+        let level = index.months[0].level;
+        index.months.forEach(m => { if (m.month <= key) level = m.level; });
+        return level;
+    }
+
+    // Comps for subject, best first:
+    // [{ sale, score, adjustedPrice, adjustments: { time, size, beds, baths, yearBuilt } }].
+    // options: asOf (ms, default the subject's closing date), limit (default 10) and index, a
+    // PriceIndex.hedonic result prices are moved to asOf with. Without an index the time adjustment
+    // is 0 and only comps from the year around asOf qualify.
+    function find(subject, sales, options) {
+        const { asOf = subject.date ? subject.date.getTime() : Date.now(), limit = 10, index = null } = options || {};
+        const maxAgeDays = index ? MAX_AGE_DAYS : UNADJUSTED_MAX_AGE_DAYS;
+        const asOfLevel = index ? levelAt(index, asOf) : 0;
+
+        const comps = [];
+        sales.forEach(sale => {
+            if (sale === subject || (subject.id && sale.id === subject.id)) return;
+            if (!known(sale.price) || !known(sale.sqFt) || !known(subject.sqFt)) return;
+
+            const sameSubdivision = !!subject.subdivision && sale.subdivision === subject.subdivision;
+            if (!sameSubdivision && sale.city !== subject.city) return;
+            const sizeDiff = Math.abs(sale.sqFt - subject.sqFt) / subject.sqFt;
+            if (sizeDiff > MAX_SIZE_DIFF) return;
+            const ageDays = Math.abs(asOf - sale.date.getTime()) / DAY_MS;
+            if (ageDays > maxAgeDays) return;
+
+            const parts = {
+                location: sameSubdivision ? 1 : CITY_ONLY,
+                size: 1 - sizeDiff / MAX_SIZE_DIFF,
+                recency: 1 - ageDays / maxAgeDays,
+                beds: closeness(subject.beds, sale.beds, BEDS_LIMIT),
+                baths: closeness(subject.baths, sale.baths, BATHS_LIMIT),
+                yearBuilt: closeness(subject.yearBuilt, sale.yearBuilt, YEAR_BUILT_LIMIT),
+                newConstruction: !subject.newConstruction ? UNKNOWN : Number(subject.newConstruction === sale.newConstruction)
+            };
+            const score = Object.keys(WEIGHTS).reduce((sum, k) => sum + WEIGHTS[k] * parts[k], 0);
+
+            const timeFactor = index ? Math.exp(asOfLevel - levelAt(index, sale.date.getTime())) : 1;
+            const adjustments = adjust(subject, sale, timeFactor);
+            comps.push({
+                sale,
+                score: Math.round(score),
+                adjustedPrice: Object.values(adjustments).reduce((sum, n) => sum + n, sale.price),
+                adjustments
+            });
+        });
+
+        return comps.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    // Dollar adjustments to a comp's price: time for market movement (timeFactor, default 1, is the
+    // index at the valuation date over the index when the comp sold), then by feature at the
+    // time-adjusted price (0 where either sale lacks the value)
+    function adjust(subject, sale, timeFactor = 1) {
+        const price = sale.price * timeFactor;
+        const ppsf = price / sale.sqFt;
+        const diff = (field) => (known(subject[field]) && known(sale[field]) ? subject[field] - sale[field] : 0);
+        const years = Math.max(-YEAR_BUILT_LIMIT, Math.min(YEAR_BUILT_LIMIT, diff('yearBuilt')));
+        return {
+            time: Math.round(price - sale.price),
+            size: Math.round(diff('sqFt') * ppsf * SIZE_VALUE),
+            beds: Math.round(diff('beds') * price * BED_VALUE),
+            baths: Math.round(diff('baths') * price * BATH_VALUE),
+            yearBuilt: Math.round(years * price * AGE_VALUE)
+        };
+    }
+
+    // Value estimate from comps (as returned by find): the score-weighted mean of adjusted prices,
+    // the range they span and a likely range (bandLow / bandHigh) of one standard deviation either side.
+    // That combines how much the comps disagree with how far a single sale strays from the market:
+    // options.residualSd, in log price (PriceIndex.hedonic's), keeps comps that happen to agree from
+    // giving a falsely narrow band. bandLow / bandHigh are null with fewer than MIN_BAND_COMPS comps.
+    // null without comps.
+    function estimate(comps, options) {
+        const { residualSd = 0 } = options || {};
+        const weight = comps.reduce((sum, c) => sum + c.score, 0);
+        if (!comps.length || !weight) return null;
+        const prices = comps.map(c => c.adjustedPrice);
+        const value = comps.reduce((sum, c) => sum + c.adjustedPrice * c.score, 0) / weight;
+        const spread = Math.sqrt(comps.reduce((sum, c) => sum + c.score * (c.adjustedPrice - value) ** 2, 0) / weight);
+        const band = Math.sqrt((spread / value) ** 2 + residualSd ** 2);
+        const banded = comps.length >= MIN_BAND_COMPS;
+        return {
+            value: Math.round(value),
+            low: Math.min(...prices),
+            high: Math.max(...prices),
+            bandLow: banded ? Math.round(value * Math.exp(-band)) : null,
+            bandHigh: banded ? Math.round(value * Math.exp(band)) : null,
+            count: comps.length
+        };
+    }
+
+    return { MIN_BAND_COMPS, find, adjust, estimate };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = SalesComps;
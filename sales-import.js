@@ -0,0 +1,210 @@
+// Sales Import Pipeline
+// The Firestore side of an import: dry-run planning and the batched write that records an import
+// batch. Shared by admin.js (compat SDK) and scripts/import-sales.js (firebase-admin); both SDKs
+// expose the same collection/where/batch API, only FieldValue has to be passed in.
+const SalesImport = (() => {
+    const Record = typeof SalesRecord !== 'undefined' ? SalesRecord : require('./sales-record');
+    const Address = typeof AddressNormalizer !== 'undefined' ? AddressNormalizer : require('./address-normalizer');
+    const Audit = typeof AuditLog !== 'undefined' ? AuditLog : require('./audit-log');
+    const Aggregates = typeof MarketAggregates !== 'undefined' ? MarketAggregates : require('./market-aggregates');
+    const Sync = typeof SalesSync !== 'undefined' ? SalesSync : require('./sales-sync');
+
+    const BATCH_SIZE = Audit.RECORDS_PER_BATCH; // records per write batch
+
+    const toDate = (val) => (val && typeof val.toDate === 'function') ? val.toDate() : new Date(val);
+
+    // The ID a stored sale would get if it were imported today. Documents written before sale keys
+    // normalized the address keep their original IDs, so uploads match them by this instead.
+    const currentId = (data) => Record.docId({ uniqueKey: Address.saleKey(toDate(data.date), data.address, Record.parsePrice(data.price)) });
+
+    // Sorts every row into created / updated / unchanged / rejected without writing anything.
+    // A row matching a stored sale under an older ID is planned against that document's ID.
+    async function buildImportPlan(db, rows, mapping, rowNumbers) {
+        const { accepted, rejected } = Record.validateRows(rows, mapping, rowNumbers);
+        const plan = { created: [], updated: [], unchanged: [], rejected: rejected };
+        if (!accepted.length) return plan;
+
+        // Only the documents inside the file's date range can collide with it
+        const times = accepted.map(a => a.record.date.getTime());
+        const snapshot = await db.collection('sales_data')
+            .where('date', '>=', new Date(Math.min(...times)))
+            .where('date', '<=', new Date(Math.max(...times)))
+            .get();
+        const existing = {};
+        const legacyIds = {};
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            existing[doc.id] = data;
+            const id = currentId(data);
+            if (id !== doc.id && !legacyIds[id]) legacyIds[id] = doc.id;
+        });
+
+        accepted.forEach(row => {
+            const item = { ...row, id: existing[row.id] ? row.id : (legacyIds[row.id] || row.id) };
+            const stored = existing[item.id];
+            if (!stored) plan.created.push(item);
+            else if (Record.sameRecord(item.record, stored)) plan.unchanged.push(item);
+            else plan.updated.push({ ...item, previous: stored }); // kept so a rollback can restore it
+        });
+        return plan;
+    }
+
+    const planCounts = (plan) => ({
+        created: plan.created.length,
+        updated: plan.updated.length,
+        unchanged: plan.unchanged.length,
+        rejected: plan.rejected.length
+    });
+
+    // Writes the new and changed records as one import batch and returns its ID.
+    // meta: { fileName, format, sheets, uploadedBy, uid, via }. onProgress(written, total) is optional.
+    async function writeImport(db, FieldValue, plan, meta, onProgress) {
+        const collectionRef = db.collection('sales_data');
+
+        // 1. Only new and changed records need a write; unchanged ones are skipped
+        const cleanRecords = [...plan.created, ...plan.updated];
+        const total = cleanRecords.length;
+
+        // 2. Record the import batch first so a failed upload can still be rolled back
+        const importRef = db.collection('import_batches').doc();
+        await importRef.set({
+            fileName: meta.fileName,
+            format: meta.format || null,
+            sheets: meta.sheets || [],
+            via: meta.via || 'admin',
+            uploadedBy: meta.uploadedBy || null,
+            uploadedAt: FieldValue.serverTimestamp(),
+            status: 'in_progress',
+            counts: planCounts(plan)
+        });
+
+        // 3. Upload in batches
+        // buildImportPlan gives every record the ID of the stored sale it matches (by normalized
+        // sale key, whatever ID that document was written under), which keeps this idempotent:
+        // writing the same ID again just overwrites (validly 'updates') the record.
+        // Overwritten documents are copied under import_batches/{id}/previous first.
+        // Every record written also gets an audit_log entry in the same batch.
+        const actor = { uid: meta.uid, email: meta.uploadedBy, via: meta.via || 'admin' };
+        let batch = db.batch();
+        let written = 0;
+        let importError = null;
+        try {
+            for (let i = 0; i < total; i++) {
+                const item = cleanRecords[i];
+                const data = { ...item.record, importId: importRef.id };
+                const auditId = Audit.append(db, batch, FieldValue, actor, {
+                    action: item.previous ? 'update' : 'create',
+                    collection: 'sales_data',
+                    docId: item.id,
+                    before: item.previous,
+                    after: data,
+                    importId: importRef.id
+                });
+                batch.set(collectionRef.doc(item.id), Sync.stamp(data, FieldValue, auditId));
+                if (item.previous) batch.set(importRef.collection('previous').doc(item.id), item.previous);
+
+                if ((i + 1) % BATCH_SIZE === 0 || i === total - 1) {
+                    await batch.commit();
+                    written = i + 1;
+                    batch = db.batch();
+                    if (onProgress) onProgress(i + 1, total);
+                }
+            }
+
+            await importRef.update({
+                status: 'complete',
+                completedAt: FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            importError = error;
+            throw error;
+        } finally {
+            // 4. Recompute the monthly aggregates for every month a committed batch touched, even if a
+            // later batch failed. Months are rebuilt from sales_data rather than patched, so records this
+            // import overwrote are replaced in the statistics instead of being counted twice.
+            // If the import itself failed, its error is the one reported; a refresh failure is only logged
+            // (`npm run rebuild-aggregates` catches the months up).
+            if (written) {
+                try {
+                    await Aggregates.refreshMonths(db, FieldValue, cleanRecords.slice(0, written).map(item => item.record.date));
+                } catch (refreshError) {
+                    if (!importError) throw refreshError;
+                    console.error('Aggregate refresh failed:', refreshError);
+                }
+            }
+        }
+        return importRef.id;
+    }
+
+    // Stored data after a manual edit (record editor, duplicate merge). The edit drops the importId,
+    // so the import that wrote the record no longer owns it and rolling that import back leaves the
+    // edit alone, the same as a record a later import has overwritten.
+    const editedData = (stored, changes) => {
+        const { importId, ...data } = stored;
+        return { ...data, ...changes };
+    };
+
+    // Deletes the documents an import created and restores the ones it overwrote, then marks the
+    // import rolled back. Documents still tagged with its importId are the only ones touched: a later
+    // import or a manual edit since has taken them over. Returns { restored, deleted, skipped }.
+    // actor: { uid, email, via }. onProgress(done, total) is optional.
+    async function rollbackImport(db, FieldValue, imp, actor, onProgress) {
+        const importRef = db.collection('import_batches').doc(imp.id);
+        const [tagged, previous] = await Promise.all([
+            db.collection('sales_data').where('importId', '==', imp.id).get(),
+            importRef.collection('previous').get()
+        ]);
+        const previousById = {};
+        previous.forEach(doc => { previousById[doc.id] = doc.data(); });
+
+        let restored = 0;
+        let deleted = 0;
+        const docs = tagged.docs;
+        for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+            const batch = db.batch();
+            docs.slice(i, i + BATCH_SIZE).forEach(doc => {
+                const before = doc.data();
+                const change = { collection: 'sales_data', docId: doc.id, before: before, rollbackOf: imp.id };
+                if (previousById[doc.id]) {
+                    const auditId = Audit.append(db, batch, FieldValue, actor, { ...change, action: 'update', after: previousById[doc.id] });
+                    batch.set(doc.ref, Sync.stamp(previousById[doc.id], FieldValue, auditId));
+                    restored++;
+                } else {
+                    const auditId = Audit.append(db, batch, FieldValue, actor, { ...change, action: 'delete', after: null });
+                    batch.delete(doc.ref);
+                    Sync.markDeleted(db, batch, FieldValue, doc.id, auditId);
+                    deleted++;
+                }
+            });
+            await batch.commit();
+            if (onProgress) onProgress(restored + deleted, docs.length);
+        }
+        try {
+            await Aggregates.refreshMonths(db, FieldValue, docs.map(doc => toDate(doc.data().date)));
+        } catch (error) {
+            // The rollback itself is committed; `npm run rebuild-aggregates` catches the months up
+            console.error('Aggregate refresh failed:', error);
+        }
+
+        const counts = imp.counts || {};
+        const skipped = Math.max(0, (counts.created || 0) + (counts.updated || 0) - docs.length);
+        await importRef.update({
+            status: 'rolled_back',
+            rolledBackBy: (actor && actor.email) || null,
+            rolledBackAt: FieldValue.serverTimestamp(),
+            rollback: { restored, deleted, skipped }
+        });
+        return { restored, deleted, skipped };
+    }
+
+    // Original columns plus the row number and reason, so the file can be fixed and re-uploaded
+    const rejectedSheetRows = (plan) => plan.rejected.map(item => ({
+        'Row': item.rowNumber,
+        'Reason': item.reason,
+        ...item.row
+    }));
+
+    return { BATCH_SIZE, buildImportPlan, planCounts, writeImport, editedData, rollbackImport, rejectedSheetRows };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = SalesImport;
@@ -0,0 +1,135 @@
+// Sales Data Migrations
+// Upgrades stored `sales_data` documents to SalesRecord.SCHEMA_VERSION in place.
+// Runs from the admin portal (Schema Migrations card) and from scripts/migrate-sales.js.
+const SalesMigrations = (() => {
+    const Record = typeof SalesRecord !== 'undefined' ? SalesRecord : require('./sales-record');
+    const Audit = typeof AuditLog !== 'undefined' ? AuditLog : require('./audit-log');
+    const Sync = typeof SalesSync !== 'undefined' ? SalesSync : require('./sales-sync');
+
+    // Also the write batch size: two writes per document (the upgrade and its audit entry)
+    // keeps a page under Firestore's 500 limit
+    const PAGE_SIZE = 200;
+
+    const toNumber = (val) => {
+        const n = Record.parsePrice(val);
+        return isFinite(n) ? n : 0;
+    };
+    const toDate = (val) => (val && typeof val.toDate === 'function') ? val.toDate() : new Date(val);
+
+    // One step per schema version. `up` receives a document at version - 1 and returns it at `version`.
+    const MIGRATIONS = [
+        {
+            version: 2,
+            description: 'Numeric fields and yearBuilt, computed pricePerSqFt, normalized Yes/No values',
+            up(doc) {
+                const date = toDate(doc.date);
+                const out = {
+                    ...doc,
+                    address: String(doc.address || '').trim(),
+                    price: toNumber(doc.price),
+                    sqFt: toNumber(doc.sqFt),
+                    daysOnMarket: toNumber(doc.daysOnMarket),
+                    beds: toNumber(doc.beds),
+                    baths: toNumber(doc.baths),
+                    city: String(doc.city || 'Unknown').trim(),
+                    subdivision: String(doc.subdivision || '').trim(),
+                    newConstruction: Record.normalizeYesNo(doc.newConstruction),
+                    insideCityLimits: Record.normalizeCityLimits(doc.insideCityLimits),
+                    yearBuilt: Record.parseYearBuilt(doc.yearBuilt)
+                };
+                if (!isNaN(date.getTime())) out.year = date.getFullYear();
+                out.pricePerSqFt = Record.computePricePerSqFt(out.price, out.sqFt, toNumber(doc.pricePerSqFt));
+                return out;
+            }
+        }
+    ];
+
+    const versionOf = (doc) => Number(doc.schemaVersion) || 1;
+
+    // Returns the upgraded data, or throws with the schema problems that remain
+    function upgradeDocument(doc) {
+        let data = doc;
+        MIGRATIONS
+            .filter(m => m.version > versionOf(doc) && m.version <= Record.SCHEMA_VERSION)
+            .sort((a, b) => a.version - b.version)
+            .forEach(m => { data = { ...m.up(data), schemaVersion: m.version }; });
+
+        const problems = Record.checkSchema(data);
+        if (problems.length) throw new Error(problems.join('; '));
+        return data;
+    }
+
+    // Pages through every document (older ones have no schemaVersion to query on).
+    // With dryRun nothing is written; the report says what would change.
+    // Real runs need FieldValue and the actor ({ uid, email, via }) for the audit log.
+    // Report: { scanned, upgraded, current, failed: [{ id, fromVersion, error }] }
+    async function runMigrations(db, options) {
+        const { dryRun = false, onProgress, FieldValue, actor } = options || {};
+        if (!dryRun && !FieldValue) throw new Error('runMigrations needs FieldValue to write audit entries');
+        const report = { toVersion: Record.SCHEMA_VERSION, dryRun, scanned: 0, upgraded: 0, current: 0, failed: [] };
+
+        let last = null;
+        for (;;) {
+            let query = db.collection('sales_data').orderBy('__name__').limit(PAGE_SIZE);
+            if (last) query = query.startAfter(last);
+            const snapshot = await query.get();
+            if (snapshot.empty) break;
+
+            const upgrades = [];
+            snapshot.docs.forEach(doc => {
+                const data = doc.data();
+                report.scanned++;
+                if (versionOf(data) >= Record.SCHEMA_VERSION) {
+                    report.current++;
+                    return;
+                }
+                try {
+                    upgrades.push({ doc, data, upgraded: upgradeDocument(data) });
+                    report.upgraded++;
+                } catch (error) {
+                    report.failed.push({ id: doc.id, fromVersion: versionOf(data), error: error.message });
+                }
+            });
+
+            // Audited writes go in batches of Audit.RECORDS_PER_BATCH (see audit-log.js)
+            for (let i = 0; !dryRun && i < upgrades.length; i += Audit.RECORDS_PER_BATCH) {
+                const batch = db.batch();
+                upgrades.slice(i, i + Audit.RECORDS_PER_BATCH).forEach(({ doc, data, upgraded }) => {
+                    const auditId = Audit.append(db, batch, FieldValue, actor, {
+                        action: 'update',
+                        collection: 'sales_data',
+                        docId: doc.id,
+                        before: data,
+                        after: upgraded,
+                        migration: upgraded.schemaVersion
+                    });
+                    batch.set(doc.ref, Sync.stamp(upgraded, FieldValue, auditId));
+                });
+                await batch.commit();
+            }
+
+            last = snapshot.docs[snapshot.docs.length - 1];
+            if (onProgress) onProgress(report);
+            if (snapshot.size < PAGE_SIZE) break;
+        }
+        return report;
+    }
+
+    // Keeps a record of each real run in schema_migrations (failures capped to fit one document)
+    async function recordRun(db, FieldValue, report, ranBy) {
+        await db.collection('schema_migrations').add({
+            toVersion: report.toVersion,
+            scanned: report.scanned,
+            upgraded: report.upgraded,
+            current: report.current,
+            failedCount: report.failed.length,
+            failed: report.failed.slice(0, 500),
+            ranBy: ranBy || null,
+            ranAt: FieldValue.serverTimestamp()
+        });
+    }
+
+    return { MIGRATIONS, upgradeDocument, runMigrations, recordRun };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = SalesMigrations;
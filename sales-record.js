@@ -0,0 +1,291 @@
+// Sales Record Parsing
+// Turns spreadsheet rows into plain `sales_data` documents using a column mapping
+// (sales_data field -> spreadsheet header). Loaded after address-normalizer.js in admin.html and
+// required by the Node importer (scripts/import-sales.js), so both produce identical documents.
+const SalesRecord = (() => {
+    const Address = typeof AddressNormalizer !== 'undefined' ? AddressNormalizer : require('./address-normalizer');
+
+    // Target fields, in the order the mapping screen shows them.
+    // `aliases` are headers seen in past MLS exports and RESO Data Dictionary feeds, and seed the
+    // auto-mapping. Matching ignores case and punctuation, so 'Close Date' also matches RESO 'CloseDate'.
+    const FIELDS = [
+        { key: 'date', label: 'Closed Date', required: true, aliases: ['Closed Date', 'Close Date', 'Sold Date'] },
+        { key: 'price', label: 'Sale Price', required: true, aliases: ['Price', 'Sold Price', 'Close Price', 'Sale Price'] },
+        { key: 'address', label: 'Address', required: true, aliases: ['Address', 'Street Address', 'UnparsedAddress', 'Street Name'] },
+        { key: 'city', label: 'City', required: false, aliases: ['City'] },
+        { key: 'subdivision', label: 'Subdivision', required: false, aliases: ['Subdivision', 'Subdivision Name'] },
+        { key: 'sqFt', label: 'Square Feet', required: false, aliases: ['Apx SQFT', 'SQFT', 'Square Feet', 'Living Area'] },
+        { key: 'pricePerSqFt', label: 'Price / SqFt', required: false, aliases: ['Price Per SQFT', 'Price/SQFT', '$/SQFT'] },
+        { key: 'beds', label: 'Beds', required: false, aliases: ['Beds', 'Bedrooms', 'BedroomsTotal'] },
+        { key: 'baths', label: 'Full Baths', required: false, aliases: ['Full Baths', 'Baths', 'Bathrooms', 'BathroomsFull'] },
+        { key: 'daysOnMarket', label: 'Days On Market', required: false, aliases: ['Days On Market', 'DOM'] },
+        { key: 'yearBuilt', label: 'Year Built', required: false, aliases: ['Apx YRB', 'Year Built', 'Yr Built'] },
+        { key: 'newConstruction', label: 'New Construction', required: false, aliases: ['New Construction?', 'New Construction', 'NewConstructionYN'] },
+        { key: 'insideCityLimits', label: 'Inside City Limits', required: false, aliases: ['Inside City Limits', 'Inside City Limit'] }
+    ];
+
+    // Current `sales_data` document shape. Bump SCHEMA_VERSION and add a step to
+    // sales-migrations.js whenever a field is added or its meaning changes.
+    // Documents written before versioning have no schemaVersion and count as version 1.
+    const SCHEMA_VERSION = 2;
+    const SCHEMA = {
+        address: { type: 'string', required: true },
+        date: { type: 'date', required: true },
+        price: { type: 'number', required: true },
+        pricePerSqFt: { type: 'number' }, // price / sqFt when sqFt is known
+        sqFt: { type: 'number' },
+        daysOnMarket: { type: 'number' },
+        city: { type: 'string' },
+        subdivision: { type: 'string' },
+        beds: { type: 'number' },
+        baths: { type: 'number' },
+        year: { type: 'number', required: true }, // year of the closing date
+        newConstruction: { type: 'enum', values: ['Yes', 'No'] },
+        insideCityLimits: { type: 'enum', values: ['Yes', 'No', 'Unknown'] },
+        yearBuilt: { type: 'number', nullable: true },
+        uniqueKey: { type: 'string', required: true },
+        schemaVersion: { type: 'number', required: true }
+    };
+
+    // Helper parsers
+    const parsePrice = (val) => {
+        if (typeof val === 'number') return val;
+        if (typeof val === 'string') return parseFloat(val.replace(/[$,]/g, ''));
+        return 0;
+    };
+
+    const parseDate = (val) => {
+        // Force a fresh native Date object to avoid "custom object" errors from libraries
+        if (val instanceof Date) return new Date(val.getTime());
+        // Date-only ISO strings (JSON / RESO feeds) would otherwise parse as UTC midnight and
+        // land on the previous day in Central time
+        const isoDay = typeof val === 'string' && val.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (isoDay) return new Date(Number(isoDay[1]), Number(isoDay[2]) - 1, Number(isoDay[3]));
+        if (typeof val === 'string' || typeof val === 'number') return new Date(val);
+        return new Date(NaN); // Invalid
+    };
+
+    const normalizeYesNo = (val) => {
+        if (!val) return 'No';
+        const s = String(val).trim().toUpperCase();
+        return (s === 'Y' || s === 'YES' || s === 'TRUE') ? 'Yes' : 'No'; // JSON feeds send booleans
+    };
+
+    const normalizeCityLimits = (val) => {
+        if (val === false) return 'No';
+        if (!val) return 'Unknown';
+        const s = String(val).trim().toUpperCase();
+        if (s === 'Y' || s === 'YES' || s === 'TRUE') return 'Yes';
+        if (s === 'N' || s === 'NO' || s === 'FALSE') return 'No';
+        return 'Unknown';
+    };
+
+    // Accepts 1998, "1998", "Apx 1998" or a date-formatted cell; anything implausible is null
+    const parseYearBuilt = (val) => {
+        if (val == null || val === '') return null;
+        let year;
+        if (val instanceof Date) year = val.getFullYear();
+        else if (typeof val === 'number') year = Math.round(val);
+        else {
+            const m = String(val).match(/\b(1[89]\d\d|20\d\d)\b/);
+            year = m ? Number(m[1]) : NaN;
+        }
+        const maxYear = new Date().getFullYear() + 2; // builders list homes before completion
+        return (year >= 1800 && year <= maxYear) ? year : null;
+    };
+
+    // Derived from price and sqFt; the imported value is only kept when sqFt is unknown
+    const computePricePerSqFt = (price, sqFt, imported) => {
+        if (sqFt > 0 && price > 0) return Math.round((price / sqFt) * 100) / 100;
+        return Number(imported) || 0;
+    };
+
+    // Lists every way a document departs from SCHEMA (empty when it conforms)
+    function checkSchema(doc) {
+        const problems = [];
+        Object.entries(SCHEMA).forEach(([key, spec]) => {
+            const val = doc[key];
+            if (val == null) {
+                if (spec.required || !spec.nullable) problems.push(`${key} is missing`);
+                return;
+            }
+            if (spec.type === 'number' && (typeof val !== 'number' || !isFinite(val))) problems.push(`${key} is not a number`);
+            if (spec.type === 'string' && typeof val !== 'string') problems.push(`${key} is not text`);
+            if (spec.type === 'date' && !(val instanceof Date || typeof val.toDate === 'function')) problems.push(`${key} is not a date`);
+            if (spec.type === 'enum' && !spec.values.includes(val)) problems.push(`${key} must be one of ${spec.values.join('/')}`);
+            if (spec.required && (val === '' || (key === 'price' && !(val > 0)))) problems.push(`${key} is empty`);
+        });
+        return problems;
+    }
+
+    // "Apx YRB", "ApxYRB" and "apx yrb" all compare equal
+    const normalizeHeader = (h) => String(h).toLowerCase().replace(/[^a-z0-9$]/g, '');
+
+    // Every header that appears in the parsed rows, in first-seen order.
+    // sheet_to_json omits empty cells, so a single row is not enough.
+    function detectHeaders(rows) {
+        const seen = new Set();
+        rows.forEach(row => Object.keys(row).forEach(k => seen.add(k)));
+        return [...seen];
+    }
+
+    // Best-guess mapping from the known aliases. Unmatched fields map to null.
+    function autoMap(headers) {
+        const byNormalized = {};
+        headers.forEach(h => {
+            const n = normalizeHeader(h);
+            if (!(n in byNormalized)) byNormalized[n] = h;
+        });
+
+        const mapping = {};
+        FIELDS.forEach(f => {
+            const hit = f.aliases.map(normalizeHeader).find(a => a in byNormalized);
+            mapping[f.key] = hit ? byNormalized[hit] : null;
+        });
+        return mapping;
+    }
+
+    // Required fields that are unmapped, or mapped to a header the file doesn't have
+    function missingRequired(mapping, headers) {
+        return FIELDS
+            .filter(f => f.required && (!mapping[f.key] || !headers.includes(mapping[f.key])))
+            .map(f => f.label);
+    }
+
+    // Picks the saved profile that fits these headers best.
+    // A profile only qualifies if every header it maps is present in the file.
+    function pickProfile(profiles, headers) {
+        let best = null;
+        let bestScore = 0;
+        profiles.forEach(p => {
+            const mapped = Object.values(p.mapping || {}).filter(Boolean);
+            if (!mapped.length || !mapped.every(h => headers.includes(h))) return;
+            if (missingRequired(p.mapping, headers).length) return;
+
+            // Prefer the profile saved from the most similar set of headers
+            const known = p.headers || mapped;
+            const overlap = known.filter(h => headers.includes(h)).length;
+            const score = overlap / (known.length + headers.length - overlap);
+            if (score > bestScore) {
+                best = p;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    // Builds a plain `sales_data` object from one row.
+    // Returns { record } or { reason } explaining why the row can't be imported.
+    function buildRecord(row, mapping) {
+        const get = (key) => (mapping[key] ? row[mapping[key]] : undefined);
+
+        let dimPrice = get('price');
+        if (typeof dimPrice === 'string') dimPrice = parseFloat(dimPrice.replace(/[$,]/g, ''));
+        if (dimPrice == null || isNaN(dimPrice)) dimPrice = 0;
+
+        const dateObj = parseDate(get('date'));
+
+        // Reject in the same order the dashboard would have dropped them
+        if (isNaN(dateObj.getTime())) return { reason: 'Invalid or missing Closed Date' };
+        if (!(dimPrice > 0)) return { reason: 'Missing or zero price' };
+        if (dateObj.getFullYear() <= 2000) return { reason: `Sale closed in ${dateObj.getFullYear()} (before 2001)` };
+
+        const address = String(get('address') || '').trim();
+        if (!address) return { reason: 'Missing address' };
+
+        // Construct PLAIN OBJECT strictly
+        const record = {
+            address: address,
+            date: dateObj, // Firestore likes native Date objects
+            price: Number(dimPrice),
+            pricePerSqFt: 0, // computed below
+            sqFt: Number(parsePrice(get('sqFt')) || 0),
+            daysOnMarket: Number(get('daysOnMarket') || 0),
+            city: String(get('city') || 'Unknown').trim(),
+            subdivision: String(get('subdivision') || '').trim(),
+            beds: Number(get('beds') || 0),
+            baths: Number(get('baths') || 0),
+            year: Number(dateObj.getFullYear()),
+            newConstruction: normalizeYesNo(get('newConstruction')),
+            insideCityLimits: normalizeCityLimits(get('insideCityLimits')),
+            yearBuilt: parseYearBuilt(get('yearBuilt')),
+            uniqueKey: Address.saleKey(dateObj, address, dimPrice),
+            schemaVersion: SCHEMA_VERSION
+        };
+        record.pricePerSqFt = computePricePerSqFt(record.price, record.sqFt, parsePrice(get('pricePerSqFt')));
+
+        // NUCLEAR SANITIZATION:
+        // Convert to JSON and back to remove ANY prototypes or hidden properties
+        // Date objects will become Strings strings during JSON.stringify, so we must restore them.
+        const plain = JSON.parse(JSON.stringify(record));
+        plain.date = new Date(record.date.getTime()); // Restore the Date object manually
+
+        return { record: plain };
+    }
+
+    // Firestore document ID for a record (IDs can't contain '/')
+    const docId = (record) => record.uniqueKey.replace(/\//g, '_');
+
+    // Runs every row through buildRecord.
+    // rowNumbers (from ImportFormats) label each row as the admin sees it in the source file;
+    // without them the header is assumed to be row 1 and data starts at row 2.
+    function validateRows(rows, mapping, rowNumbers) {
+        const accepted = [];
+        const rejected = [];
+        const firstRowById = {};
+
+        rows.forEach((row, i) => {
+            const rowNumber = rowNumbers ? rowNumbers[i] : i + 2;
+            const { record, reason } = buildRecord(row, mapping);
+            if (reason) {
+                rejected.push({ rowNumber, row, reason });
+                return;
+            }
+
+            // Same uniqueKey twice would write the same document twice
+            const id = docId(record);
+            if (firstRowById[id]) {
+                rejected.push({ rowNumber, row, reason: `Duplicate of row ${firstRowById[id]}` });
+                return;
+            }
+            firstRowById[id] = rowNumber;
+            accepted.push({ rowNumber, id, record });
+        });
+
+        return { accepted, rejected };
+    }
+
+    // Stored dates come back as Firestore Timestamps
+    const toTime = (val) => (val && typeof val.toDate === 'function') ? val.toDate().getTime() : new Date(val).getTime();
+
+    // True if the stored document already holds every value in the new record
+    function sameRecord(record, stored) {
+        return Object.keys(record).every(key => {
+            if (key === 'date') return toTime(record.date) === toTime(stored.date);
+            return record[key] === stored[key];
+        });
+    }
+
+    return {
+        SCHEMA_VERSION,
+        SCHEMA,
+        FIELDS,
+        parsePrice,
+        parseDate,
+        parseYearBuilt,
+        computePricePerSqFt,
+        checkSchema,
+        normalizeYesNo,
+        normalizeCityLimits,
+        detectHeaders,
+        autoMap,
+        missingRequired,
+        pickProfile,
+        buildRecord,
+        docId,
+        validateRows,
+        sameRecord
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = SalesRecord;
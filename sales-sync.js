@@ -0,0 +1,99 @@
+// Sales Sync
+// Lets the dashboard keep a local copy of sales_data and fetch only what changed since its last sync.
+// Every write stamps `updatedAt`, and every delete leaves a tombstone in sales_data_deletions
+// (a deleted document can't show up in an "updated since" query). Writers are the admin portal,
+// sales-import.js and sales-migrations.js; app.js reads the changes, once on load and then live.
+const SalesSync = (() => {
+    const DELETIONS = 'sales_data_deletions';
+
+    const toMillis = (val) => (val && typeof val.toMillis === 'function' ? val.toMillis() : 0);
+
+    // Document data with the server time as updatedAt and the ID of the audit_log entry written with
+    // it (firestore.rules rejects a sales_data write without one)
+    const stamp = (data, FieldValue, auditId) => ({ ...data, auditId: auditId, updatedAt: FieldValue.serverTimestamp() });
+
+    // Queues a tombstone for a deleted sales_data document on a write batch. It names the delete's
+    // audit_log entry, which firestore.rules looks up to allow the delete.
+    function markDeleted(db, batch, FieldValue, docId, auditId) {
+        batch.set(db.collection(DELETIONS).doc(docId), { deletedAt: FieldValue.serverTimestamp(), auditId: auditId });
+    }
+
+    // Everything that changed at or after `since` (ms; 0 or null for a full download).
+    // Returns { full, docs: [{ id, data }], deletedIds, cursor } where cursor is the `since` for next time.
+    // Upserts are applied after deletions: a document deleted and re-created since the last sync
+    // is in both lists and must survive.
+    async function fetchChanges(db, since) {
+        let cursor = since || 0;
+        const track = (val) => { cursor = Math.max(cursor, toMillis(val)); };
+
+        if (!since) {
+            const snapshot = await db.collection('sales_data').orderBy('date', 'desc').get();
+            const docs = snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+            docs.forEach(d => track(d.data.updatedAt));
+            return { full: true, docs, deletedIds: [], cursor };
+        }
+
+        // >= rather than >: writes sharing the cursor's timestamp are fetched again, which is harmless
+        const sinceDate = new Date(since);
+        const [changed, deleted] = await Promise.all([
+            db.collection('sales_data').where('updatedAt', '>=', sinceDate).get(),
+            db.collection(DELETIONS).where('deletedAt', '>=', sinceDate).get()
+        ]);
+        const docs = changed.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+        docs.forEach(d => track(d.data.updatedAt));
+        deleted.docs.forEach(doc => track(doc.data().deletedAt));
+        return { full: false, docs, deletedIds: deleted.docs.map(doc => doc.id), cursor };
+    }
+
+    // Live counterpart of fetchChanges for a client that has synced up to `since`: calls
+    // onChanges({ docs, deletedIds, cursor }) whenever records are written or deleted after that.
+    // Returns a function that stops listening.
+    // Records and tombstones come from separate listeners, so a tombstone can arrive after the record
+    // was re-created; it is only reported if it is newer than the last write this subscription saw.
+    function subscribe(db, since, onChanges, onError) {
+        let cursor = since || 0;
+        const updatedAt = new Map(); // doc ID -> ms of the latest write reported
+        const sinceDate = new Date(cursor);
+        // Snapshots start with everything at or after `since`; what fetchChanges already returned is skipped
+        const isNew = (val) => toMillis(val) > (since || 0);
+        const emit = (docs, deletedIds) => {
+            if (docs.length || deletedIds.length) onChanges({ docs, deletedIds, cursor });
+        };
+
+        const stopChanged = db.collection('sales_data').where('updatedAt', '>=', sinceDate).onSnapshot(snapshot => {
+            const docs = [];
+            snapshot.docChanges().forEach(change => {
+                // Documents leave this query only by being deleted, which the tombstones report
+                if (change.type === 'removed') return;
+                const data = change.doc.data();
+                if (!isNew(data.updatedAt)) return;
+                cursor = Math.max(cursor, toMillis(data.updatedAt));
+                updatedAt.set(change.doc.id, toMillis(data.updatedAt));
+                docs.push({ id: change.doc.id, data });
+            });
+            emit(docs, []);
+        }, onError);
+
+        const stopDeleted = db.collection(DELETIONS).where('deletedAt', '>=', sinceDate).onSnapshot(snapshot => {
+            const deletedIds = [];
+            snapshot.docChanges().forEach(change => {
+                if (change.type === 'removed') return;
+                const { deletedAt } = change.doc.data();
+                if (!isNew(deletedAt)) return;
+                cursor = Math.max(cursor, toMillis(deletedAt));
+                if (toMillis(deletedAt) <= (updatedAt.get(change.doc.id) || 0)) return;
+                deletedIds.push(change.doc.id);
+            });
+            emit([], deletedIds);
+        }, onError);
+
+        return () => {
+            stopChanged();
+            stopDeleted();
+        };
+    }
+
+    return { DELETIONS, stamp, markDeleted, fetchChanges, subscribe };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = SalesSync;
@@ -0,0 +1,60 @@
+// Firestore connection shared by the command-line scripts.
+// Credentials come from GOOGLE_APPLICATION_CREDENTIALS (or --credentials) unless the emulator is targeted.
+const path = require('path');
+const admin = require('firebase-admin');
+
+const DEFAULT_PROJECT_ID = 'real-estate-dashboard-5d6bd'; // matches firebase-config.js
+const DEFAULT_EMULATOR_HOST = 'localhost:8080';
+
+const CONNECTION_USAGE = `  --emulator [host]     Target the Firestore emulator (default ${DEFAULT_EMULATOR_HOST})
+  --project <id>        Firebase project ID (default ${DEFAULT_PROJECT_ID})
+  --credentials <path>  Service account key file`;
+
+// Consumes a connection option at argv[i] into opts. Returns the index of the last argument used,
+// or -1 if argv[i] is not a connection option.
+function parseConnectionArg(argv, i, opts) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+    if (arg === '--emulator') {
+        const hasHost = next && !next.startsWith('--') && next.includes(':');
+        opts.emulator = hasHost ? next : DEFAULT_EMULATOR_HOST;
+        return hasHost ? i + 1 : i;
+    }
+    if (arg === '--project' || arg === '--credentials') {
+        if (next === undefined || next.startsWith('--')) throw new Error(`${arg} needs a value`);
+        opts[arg.slice(2)] = next;
+        return i + 1;
+    }
+    return -1;
+}
+
+const projectId = (opts) => opts.project || process.env.GCLOUD_PROJECT || DEFAULT_PROJECT_ID;
+
+// Human-readable name of what the script is writing to
+const targetName = (opts) => (opts.emulator ? `emulator:${opts.emulator}` : projectId(opts));
+
+function initFirestore(opts) {
+    // firebase-admin picks the emulator up from this variable
+    if (opts.emulator) process.env.FIRESTORE_EMULATOR_HOST = opts.emulator;
+
+    const config = { projectId: projectId(opts) };
+    if (opts.credentials) config.credential = admin.credential.cert(require(path.resolve(opts.credentials)));
+    else if (!opts.emulator) config.credential = admin.credential.applicationDefault();
+
+    admin.initializeApp(config);
+    return admin.firestore();
+}
+
+// firebase-admin keeps its gRPC channel open; close it so the process can exit
+function closeFirestore() {
+    return Promise.all(admin.apps.map(app => app.delete()));
+}
+
+module.exports = {
+    admin,
+    CONNECTION_USAGE,
+    parseConnectionArg,
+    targetName,
+    initFirestore,
+    closeFirestore
+};
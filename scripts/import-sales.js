@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+// Headless Sales Importer
+// Loads a spreadsheet, CSV or JSON/NDJSON export into Firestore using the same parsing as the
+// admin portal (sales-record.js / sales-import.js), so CLI and browser imports write identical
+// documents and show up in the same Import History.
+//
+//   npm run import -- <file> [options]
+
+// Dates without a zone (CSV text, spreadsheet cells) are read in the host's time zone. The admin
+// portal runs in Central time, so the CLI does too: on a UTC server or CI box it would otherwise
+// write different dates and sale keys (doc IDs) for the same file.
+process.env.TZ = 'America/Chicago';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const SalesRecord = require('../sales-record');
+const ImportFormats = require('../import-formats');
+const SalesImport = require('../sales-import');
+const { admin, CONNECTION_USAGE, parseConnectionArg, targetName, initFirestore, closeFirestore } = require('./firestore');
+
+const USAGE = `Usage: npm run import -- <file> [options]
+
+Options:
+  --sheet <name>        Sheet to import (repeatable). Default: first sheet with data
+  --all-sheets          Import every sheet in the workbook
+  --profile <name>      Use this saved mapping profile instead of auto-detecting
+  --dry-run             Report new / updated / unchanged / rejected counts without writing
+  --json                Print the summary as JSON (for scripting)
+  --rejected <path>     Write rejected rows, with reasons, to a spreadsheet
+${CONNECTION_USAGE}
+  --user <name>         Recorded as the uploader (default cli:<os user>)
+  --help                Show this message`;
+
+function parseArgs(argv) {
+    const opts = { sheets: [], allSheets: false, dryRun: false, json: false };
+    const takeValue = (i, flag) => {
+        const val = argv[i + 1];
+        if (val === undefined || val.startsWith('--')) throw new Error(`${flag} needs a value`);
+        return val;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const consumed = parseConnectionArg(argv, i, opts);
+        if (consumed >= 0) {
+            i = consumed;
+            continue;
+        }
+        switch (arg) {
+            case '--sheet': opts.sheets.push(takeValue(i++, arg)); break;
+            case '--all-sheets': opts.allSheets = true; break;
+            case '--profile': opts.profile = takeValue(i++, arg); break;
+            case '--dry-run': opts.dryRun = true; break;
+            case '--json': opts.json = true; break;
+            case '--rejected': opts.rejectedOut = takeValue(i++, arg); break;
+            case '--user': opts.user = takeValue(i++, arg); break;
+            case '--help': opts.help = true; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                if (opts.file) throw new Error(`Only one file can be imported at a time (got ${opts.file} and ${arg})`);
+                opts.file = arg;
+        }
+    }
+    return opts;
+}
+
+// Same selection rules as the admin mapping screen
+function chooseSources(sources, opts) {
+    if (opts.allSheets) return sources.filter(s => s.rows.length);
+    if (opts.sheets.length) {
+        const missing = opts.sheets.filter(name => !sources.some(s => s.name === name));
+        if (missing.length) {
+            throw new Error(`Sheet(s) not found: ${missing.join(', ')}. Available: ${sources.map(s => s.name).join(', ')}`);
+        }
+        return sources.filter(s => opts.sheets.includes(s.name));
+    }
+    const first = sources.find(s => s.rows.length);
+    return first ? [first] : [];
+}
+
+// Rows to import from the file, with the row number the admin sees for each
+function readRows(file, opts) {
+    const fileName = path.basename(file);
+    const { format, sources } = ImportFormats.readFile(fileName, new Uint8Array(fs.readFileSync(file)), XLSX);
+    const chosen = chooseSources(sources, opts);
+    const multi = chosen.length > 1;
+
+    const rows = [];
+    const rowNumbers = [];
+    chosen.forEach(source => {
+        source.rows.forEach((row, i) => {
+            rows.push(row);
+            rowNumbers.push(multi ? `${source.name}!${source.rowNumbers[i]}` : source.rowNumbers[i]);
+        });
+    });
+    return { fileName, format, chosen, rows, rowNumbers };
+}
+
+async function chooseMapping(db, headers, opts) {
+    const snapshot = await db.collection('import_profiles').get();
+    const profiles = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    if (opts.profile) {
+        const wanted = opts.profile.toLowerCase();
+        const profile = profiles.find(p => p.id === wanted || String(p.name).toLowerCase() === wanted);
+        if (!profile) throw new Error(`No mapping profile named "${opts.profile}"`);
+        return { profile, mapping: { ...SalesRecord.autoMap([]), ...profile.mapping } };
+    }
+
+    const profile = SalesRecord.pickProfile(profiles, headers);
+    return {
+        profile,
+        mapping: profile ? { ...SalesRecord.autoMap([]), ...profile.mapping } : SalesRecord.autoMap(headers)
+    };
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    if (opts.help || !opts.file) {
+        console.log(USAGE);
+        process.exitCode = opts.help ? 0 : 1;
+        return;
+    }
+
+    const log = (msg) => { if (!opts.json) console.log(msg); };
+
+    const { fileName, format, chosen, rows, rowNumbers } = readRows(opts.file, opts);
+    log(`Read ${rows.length} rows from ${fileName} (${chosen.map(s => s.name).join(', ') || 'no sheets'}).`);
+
+    const db = initFirestore(opts);
+    const headers = SalesRecord.detectHeaders(rows);
+    const { profile, mapping } = await chooseMapping(db, headers, opts);
+    log(profile ? `Using mapping profile "${profile.name}".` : 'No saved profile matched; using auto-detected columns.');
+
+    const missing = SalesRecord.missingRequired(mapping, headers);
+    if (missing.length) {
+        throw new Error(`Required fields are not mapped: ${missing.join(', ')}. Save a mapping profile in the admin portal or pass --profile.`);
+    }
+
+    const plan = await SalesImport.buildImportPlan(db, rows, mapping, rowNumbers);
+
+    if (opts.rejectedOut && plan.rejected.length) {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(SalesImport.rejectedSheetRows(plan)), 'Rejected');
+        XLSX.writeFile(workbook, opts.rejectedOut);
+        log(`Wrote ${plan.rejected.length} rejected rows to ${opts.rejectedOut}.`);
+    }
+
+    let importId = null;
+    if (!opts.dryRun && plan.created.length + plan.updated.length > 0) {
+        importId = await SalesImport.writeImport(db, admin.firestore.FieldValue, plan, {
+            fileName: fileName,
+            format: format,
+            sheets: chosen.map(s => s.name),
+            uploadedBy: opts.user || `cli:${os.userInfo().username}`,
+            via: 'cli'
+        }, (written, total) => log(`Uploaded ${written} / ${total} records...`));
+    }
+
+    const summary = {
+        file: fileName,
+        format: format,
+        sheets: chosen.map(s => s.name),
+        profile: profile ? profile.name : null,
+        dryRun: opts.dryRun,
+        target: targetName(opts),
+        importId: importId,
+        counts: SalesImport.planCounts(plan),
+        rejected: plan.rejected.map(r => ({ row: r.rowNumber, reason: r.reason }))
+    };
+
+    if (opts.json) {
+        console.log(JSON.stringify(summary, null, 2));
+    } else {
+        const c = summary.counts;
+        console.log(`${opts.dryRun ? 'Dry run: would write' : 'Wrote'} ${c.created} new and ${c.updated} updated records ` +
+            `(${c.unchanged} unchanged, ${c.rejected} rejected).`);
+        plan.rejected.slice(0, 20).forEach(r => console.log(`  row ${r.rowNumber}: ${r.reason}`));
+        if (plan.rejected.length > 20) console.log(`  ...and ${plan.rejected.length - 20} more (use --rejected <path>)`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Import failed: ${error.message}`);
+        process.exitCode = 1;
+    }).finally(closeFirestore);
+}
+
+module.exports = { parseArgs, readRows };
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Sales Data Migration
+// Upgrades every `sales_data` document to the current schema version (see sales-migrations.js)
+// and reports the documents that could not be migrated.
+//
+//   npm run migrate -- [options]
+const os = require('os');
+
+const SalesMigrations = require('../sales-migrations');
+const MarketAggregates = require('../market-aggregates');
+const { admin, CONNECTION_USAGE, parseConnectionArg, targetName, initFirestore, closeFirestore } = require('./firestore');
+
+const USAGE = `Usage: npm run migrate -- [options]
+
+Options:
+  --dry-run             Report what would be upgraded without writing
+  --json                Print the report as JSON (for scripting)
+${CONNECTION_USAGE}
+  --help                Show this message`;
+
+function parseArgs(argv) {
+    const opts = { dryRun: false, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const consumed = parseConnectionArg(argv, i, opts);
+        if (consumed >= 0) {
+            i = consumed;
+            continue;
+        }
+        switch (argv[i]) {
+            case '--dry-run': opts.dryRun = true; break;
+            case '--json': opts.json = true; break;
+            case '--help': opts.help = true; break;
+            default: throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+    return opts;
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    if (opts.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const db = initFirestore(opts);
+    const ranBy = `cli:${os.userInfo().username}`;
+    const report = await SalesMigrations.runMigrations(db, {
+        dryRun: opts.dryRun,
+        FieldValue: admin.firestore.FieldValue,
+        actor: { email: ranBy, via: 'cli' },
+        onProgress: (r) => { if (!opts.json) console.log(`Scanned ${r.scanned} documents...`); }
+    });
+    if (!opts.dryRun) {
+        await SalesMigrations.recordRun(db, admin.firestore.FieldValue, report, ranBy);
+        // Upgraded values (e.g. recomputed $/sqft) change the public statistics
+        if (report.upgraded) await MarketAggregates.rebuildAll(db, admin.firestore.FieldValue);
+    }
+
+    if (opts.json) {
+        console.log(JSON.stringify({ target: targetName(opts), ...report }, null, 2));
+    } else {
+        console.log(`${opts.dryRun ? 'Dry run: would upgrade' : 'Upgraded'} ${report.upgraded} of ${report.scanned} documents ` +
+            `to schema v${report.toVersion} (${report.current} already current, ${report.failed.length} failed).`);
+        report.failed.forEach(f => console.log(`  ${f.id} (v${f.fromVersion}): ${f.error}`));
+    }
+    if (report.failed.length) process.exitCode = 2;
+}
+
+main().catch(error => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+}).finally(closeFirestore);
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Public Statistics Rebuild
+// Recomputes every market_aggregates/{YYYY-MM} document from sales_data (see market-aggregates.js)
+// and removes months that no longer have any sales. Run after changing the aggregate format,
+// editing sales_data outside the portal, or whenever the public dashboard looks out of step.
+//
+//   npm run rebuild-aggregates -- [options]
+const MarketAggregates = require('../market-aggregates');
+const { admin, CONNECTION_USAGE, parseConnectionArg, targetName, initFirestore, closeFirestore } = require('./firestore');
+
+const USAGE = `Usage: npm run rebuild-aggregates -- [options]
+
+Options:
+  --dry-run             Report how many months would be written and removed without writing
+  --json                Print the result as JSON (for scripting)
+${CONNECTION_USAGE}
+  --help                Show this message`;
+
+function parseArgs(argv) {
+    const opts = { dryRun: false, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const consumed = parseConnectionArg(argv, i, opts);
+        if (consumed >= 0) {
+            i = consumed;
+            continue;
+        }
+        switch (argv[i]) {
+            case '--dry-run': opts.dryRun = true; break;
+            case '--json': opts.json = true; break;
+            case '--help': opts.help = true; break;
+            default: throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+    return opts;
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    if (opts.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const db = initFirestore(opts);
+    const result = await MarketAggregates.rebuildAll(db, admin.firestore.FieldValue, {
+        dryRun: opts.dryRun,
+        onProgress: (read) => { if (!opts.json) console.log(`Read ${read} records...`); }
+    });
+
+    if (opts.json) {
+        console.log(JSON.stringify({ target: targetName(opts), dryRun: opts.dryRun, version: MarketAggregates.VERSION, ...result }, null, 2));
+    } else {
+        console.log(`${opts.dryRun ? 'Dry run: would write' : 'Wrote'} ${result.months} months from ${result.sales} records ` +
+            `(${result.removed} empty months ${opts.dryRun ? 'to remove' : 'removed'}).`);
+    }
+}
+
+main().catch(error => {
+    console.error(`Rebuild failed: ${error.message}`);
+    process.exitCode = 1;
+}).finally(closeFirestore);
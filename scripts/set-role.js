@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Grant a Role
+// Sets a user's role in users/{uid} with the Admin SDK, which bypasses firestore.rules.
+// Used to create the first admin; after that, admins manage roles from the admin portal.
+//
+//   npm run set-role -- <email> <viewer|editor|admin> [options]
+const os = require('os');
+
+const UserRoles = require('../user-roles');
+const AuditLog = require('../audit-log');
+const { admin, CONNECTION_USAGE, parseConnectionArg, targetName, initFirestore, closeFirestore } = require('./firestore');
+
+const USAGE = `Usage: npm run set-role -- <email> <${UserRoles.ROLES.join('|')}> [options]
+
+Options:
+  --uid <uid>           Firebase Auth user ID (skips the lookup by email, e.g. against the emulator)
+${CONNECTION_USAGE}
+  --help                Show this message`;
+
+function parseArgs(argv) {
+    const opts = { positional: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const consumed = parseConnectionArg(argv, i, opts);
+        if (consumed >= 0) {
+            i = consumed;
+            continue;
+        }
+        const arg = argv[i];
+        switch (arg) {
+            case '--uid':
+                if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) throw new Error('--uid needs a value');
+                opts.uid = argv[++i];
+                break;
+            case '--help': opts.help = true; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                opts.positional.push(arg);
+        }
+    }
+    [opts.email, opts.role] = opts.positional;
+    return opts;
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    if (opts.help || !opts.email || !opts.role) {
+        console.log(USAGE);
+        process.exitCode = opts.help ? 0 : 1;
+        return;
+    }
+    if (!UserRoles.isRole(opts.role)) {
+        throw new Error(`Unknown role "${opts.role}". Use one of: ${UserRoles.ROLES.join(', ')}`);
+    }
+
+    const db = initFirestore(opts);
+    const uid = opts.uid || (await admin.auth().getUserByEmail(opts.email)).uid;
+    const ref = db.collection('users').doc(uid);
+    const snap = await ref.get();
+    const before = snap.exists ? { email: snap.data().email, role: snap.data().role } : null;
+    const ranBy = `cli:${os.userInfo().username}`;
+
+    const batch = db.batch();
+    batch.set(ref, {
+        email: opts.email,
+        role: opts.role,
+        updatedBy: ranBy,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    AuditLog.append(db, batch, admin.firestore.FieldValue, { email: ranBy, via: 'cli' }, {
+        action: snap.exists ? 'update' : 'create',
+        collection: 'users',
+        docId: uid,
+        before: before,
+        after: { email: opts.email, role: opts.role }
+    });
+    await batch.commit();
+
+    console.log(`${opts.email} (${uid}) is now ${UserRoles.LABELS[opts.role]} on ${targetName(opts)}.`);
+}
+
+main().catch(error => {
+    console.error(`Could not set role: ${error.message}`);
+    process.exitCode = 1;
+}).finally(closeFirestore);
@@ -0,0 +1,303 @@
+// Firestore rules tests. Run against the emulator with `npm run test:rules`
+// (firebase emulators:exec starts it, runs these with node --test, and shuts it down).
+const { test, before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+    initializeTestEnvironment,
+    assertSucceeds,
+    assertFails
+} = require('@firebase/rules-unit-testing');
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const AuditLog = require('../audit-log');
+const SalesSync = require('../sales-sync');
+
+const FieldValue = firebase.firestore.FieldValue;
+const USERS = {
+    admin: 'admin',
+    editor: 'editor',
+    viewer: 'viewer',
+    pending: 'pending'
+};
+
+let testEnv;
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-real-estate-dashboard',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await Promise.all(Object.entries(USERS).map(([uid, role]) =>
+            db.collection('users').doc(uid).set({ email: `${uid}@example.com`, role: role })));
+        await db.collection('sales_data').doc('sale-1').set({ address: '1 Main St', price: 200000 });
+        await db.collection('audit_log').doc('entry-1').set({ action: 'create', uid: 'editor' });
+        await db.collection('import_batches').doc('import-1').set({ fileName: 'sales.xlsx', status: 'complete' });
+        await db.collection('market_aggregates').doc('2024-05').set({ month: '2024-05', year: 2024, cells: [] });
+    });
+});
+
+after(async () => {
+    await testEnv.cleanup();
+});
+
+const dbAs = (uid) => testEnv.authenticatedContext(uid, { email: `${uid}@example.com` }).firestore();
+const anonymousDb = () => testEnv.unauthenticatedContext().firestore();
+
+const auditEntry = (uid, change) => AuditLog.entry(FieldValue, { uid: uid, email: `${uid}@example.com` }, {
+    action: 'update',
+    collection: 'sales_data',
+    docId: 'sale-1',
+    before: null,
+    after: null,
+    ...change
+});
+
+// A sales_data change and its audit entry in one batch, the way the admin portal writes them.
+// write(batch, ref, auditId) queues the change; change overrides the entry's fields.
+function auditedBatch(db, uid, docId, write, change) {
+    const batch = db.batch();
+    const auditId = AuditLog.append(db, batch, FieldValue, { uid: uid, email: `${uid}@example.com` }, {
+        action: 'update',
+        collection: 'sales_data',
+        docId: docId,
+        before: null,
+        after: null,
+        ...change
+    });
+    write(batch, db.collection('sales_data').doc(docId), auditId);
+    return batch.commit();
+}
+
+const setSale = (data) => (batch, ref, auditId) => batch.set(ref, SalesSync.stamp(data, FieldValue, auditId));
+const deleteSale = (db) => (batch, ref, auditId) => {
+    batch.delete(ref);
+    SalesSync.markDeleted(db, batch, FieldValue, ref.id, auditId);
+};
+
+// ------------------------------------------------------------------
+// sales_data
+// ------------------------------------------------------------------
+
+test('only members can read individual sales', async () => {
+    await assertFails(anonymousDb().collection('sales_data').doc('sale-1').get());
+    await assertFails(anonymousDb().collection('sales_data').get());
+    await assertFails(dbAs('pending').collection('sales_data').doc('sale-1').get());
+    await assertFails(dbAs('stranger').collection('sales_data').get());
+    await assertSucceeds(dbAs('viewer').collection('sales_data').doc('sale-1').get());
+    await assertSucceeds(dbAs('viewer').collection('sales_data').get());
+});
+
+test('signed-out, pending and viewer accounts cannot write sales data', async () => {
+    await assertFails(anonymousDb().collection('sales_data').doc('sale-2').set({ price: 1 }));
+    await assertFails(dbAs('pending').collection('sales_data').doc('sale-2').set({ price: 1 }));
+    await assertFails(dbAs('viewer').collection('sales_data').doc('sale-1').update({ price: 1 }));
+    await assertFails(dbAs('viewer').collection('sales_data').doc('sale-1').delete());
+});
+
+test('signed-in accounts without a users doc cannot write sales data', async () => {
+    await assertFails(dbAs('stranger').collection('sales_data').doc('sale-1').delete());
+});
+
+test('editors and admins can create, update and delete sales data', async () => {
+    const editor = dbAs('editor');
+    await assertSucceeds(auditedBatch(editor, 'editor', 'sale-2', setSale({ price: 1 }), { action: 'create' }));
+    await assertSucceeds(auditedBatch(editor, 'editor', 'sale-2',
+        (batch, ref, auditId) => batch.update(ref, SalesSync.stamp({ price: 2 }, FieldValue, auditId))));
+    await assertSucceeds(auditedBatch(editor, 'editor', 'sale-2', deleteSale(editor), { action: 'delete' }));
+    const admin = dbAs('admin');
+    await assertSucceeds(auditedBatch(admin, 'admin', 'sale-1', deleteSale(admin), { action: 'delete' }));
+});
+
+test('an edit can move a sale to a new ID under one audit entry', async () => {
+    const db = dbAs('editor');
+    await assertSucceeds(auditedBatch(db, 'editor', 'sale-1', (batch, ref, auditId) => {
+        batch.set(db.collection('sales_data').doc('sale-3'), SalesSync.stamp({ price: 210000 }, FieldValue, auditId));
+        deleteSale(db)(batch, ref, auditId);
+    }, { newDocId: 'sale-3' }));
+});
+
+test('sales data writes and deletes without their audit entry are denied', async () => {
+    const editor = dbAs('editor');
+    await assertFails(editor.collection('sales_data').doc('sale-2').set({ price: 1 }));
+    await assertFails(editor.collection('sales_data').doc('sale-1').update({ price: 1 }));
+    await assertFails(editor.collection('sales_data').doc('sale-1').delete());
+    await assertFails(dbAs('admin').collection('sales_data').doc('sale-1').delete());
+
+    // Naming an entry that isn't written isn't enough either
+    await assertFails(editor.collection('sales_data').doc('sale-1').set(SalesSync.stamp({ price: 1 }, FieldValue, 'sale-1@0')));
+    const batch = editor.batch();
+    deleteSale(editor)(batch, editor.collection('sales_data').doc('sale-1'), 'sale-1@0');
+    await assertFails(batch.commit());
+});
+
+test('an audit entry only covers its own document and batch', async () => {
+    const db = dbAs('editor');
+    await assertFails(auditedBatch(db, 'editor', 'sale-2',
+        (batch, ref, auditId) => batch.set(db.collection('sales_data').doc('sale-3'), SalesSync.stamp({ price: 1 }, FieldValue, auditId))));
+
+    // An entry committed earlier can't vouch for a later change
+    const batch = db.batch();
+    const auditId = AuditLog.append(db, batch, FieldValue, { uid: 'editor', email: 'editor@example.com' }, {
+        action: 'update', collection: 'sales_data', docId: 'sale-1', before: null, after: null
+    });
+    await assertSucceeds(batch.commit());
+    await assertFails(db.collection('sales_data').doc('sale-1').set(SalesSync.stamp({ price: 1 }, FieldValue, auditId)));
+});
+
+// ------------------------------------------------------------------
+// market_aggregates
+// ------------------------------------------------------------------
+
+test('anyone can read the public monthly aggregates', async () => {
+    await assertSucceeds(anonymousDb().collection('market_aggregates').get());
+    await assertSucceeds(anonymousDb().collection('market_aggregates').doc('2024-05').get());
+});
+
+test('only editors can write the public monthly aggregates', async () => {
+    await assertFails(anonymousDb().collection('market_aggregates').doc('2024-05').set({ cells: [] }));
+    await assertFails(dbAs('viewer').collection('market_aggregates').doc('2024-05').set({ cells: [] }));
+    await assertSucceeds(dbAs('editor').collection('market_aggregates').doc('2024-05').set({ cells: [] }));
+    await assertSucceeds(dbAs('editor').collection('market_aggregates').doc('2024-05').delete());
+});
+
+// ------------------------------------------------------------------
+// audit_log
+// ------------------------------------------------------------------
+
+test('editors can append audit entries as themselves', async () => {
+    await assertSucceeds(dbAs('editor').collection('audit_log').add(auditEntry('editor')));
+});
+
+test('audit entries cannot be attributed to someone else', async () => {
+    await assertFails(dbAs('editor').collection('audit_log').add(auditEntry('admin')));
+});
+
+test('audit entries must carry the server time', async () => {
+    await assertFails(dbAs('editor').collection('audit_log').add({ ...auditEntry('editor'), at: new Date(2001, 0, 1) }));
+});
+
+test('audit entries must use a known action', async () => {
+    await assertFails(dbAs('editor').collection('audit_log').add({ ...auditEntry('editor'), action: 'wipe' }));
+});
+
+test('viewers cannot append audit entries', async () => {
+    await assertFails(dbAs('viewer').collection('audit_log').add(auditEntry('viewer')));
+});
+
+test('only admins can log role changes', async () => {
+    await assertFails(dbAs('editor').collection('audit_log').add(auditEntry('editor', { collection: 'users' })));
+    await assertSucceeds(dbAs('admin').collection('audit_log').add(auditEntry('admin', { collection: 'users' })));
+});
+
+test('the audit log is append-only, even for admins', async () => {
+    const admin = dbAs('admin');
+    await assertFails(admin.collection('audit_log').doc('entry-1').update({ action: 'delete' }));
+    await assertFails(admin.collection('audit_log').doc('entry-1').set(auditEntry('admin')));
+    await assertFails(admin.collection('audit_log').doc('entry-1').delete());
+});
+
+test('only admins can read the audit log', async () => {
+    await assertFails(dbAs('editor').collection('audit_log').doc('entry-1').get());
+    await assertSucceeds(dbAs('admin').collection('audit_log').doc('entry-1').get());
+});
+
+// ------------------------------------------------------------------
+// users
+// ------------------------------------------------------------------
+
+test('a new account can register itself as pending', async () => {
+    const db = testEnv.authenticatedContext('newcomer', { email: 'newcomer@example.com' }).firestore();
+    await assertSucceeds(db.collection('users').doc('newcomer').set({
+        email: 'newcomer@example.com',
+        role: 'pending',
+        requestedAt: FieldValue.serverTimestamp()
+    }));
+});
+
+test('a new account cannot grant itself a role or register someone else', async () => {
+    const db = testEnv.authenticatedContext('newcomer', { email: 'newcomer@example.com' }).firestore();
+    await assertFails(db.collection('users').doc('newcomer').set({ email: 'newcomer@example.com', role: 'admin' }));
+    await assertFails(db.collection('users').doc('someone').set({ email: 'newcomer@example.com', role: 'pending' }));
+});
+
+test('users cannot change their own role', async () => {
+    await assertFails(dbAs('pending').collection('users').doc('pending').update({ role: 'editor' }));
+    await assertFails(dbAs('admin').collection('users').doc('admin').update({ role: 'viewer' }));
+    await assertFails(dbAs('admin').collection('users').doc('admin').delete());
+});
+
+test('admins can grant and remove other users\' roles', async () => {
+    const admin = dbAs('admin');
+    await assertSucceeds(admin.collection('users').doc('pending').update({
+        role: 'viewer',
+        updatedBy: 'admin@example.com',
+        updatedAt: FieldValue.serverTimestamp()
+    }));
+    await assertFails(admin.collection('users').doc('viewer').update({ role: 'superuser' }));
+    await assertFails(admin.collection('users').doc('viewer').update({ email: 'changed@example.com' }));
+    await assertSucceeds(admin.collection('users').doc('viewer').delete());
+});
+
+test('editors cannot manage users', async () => {
+    await assertFails(dbAs('editor').collection('users').doc('viewer').update({ role: 'admin' }));
+    await assertFails(dbAs('editor').collection('users').doc('viewer').get());
+});
+
+test('users can read their own record and admins can read everyone\'s', async () => {
+    await assertSucceeds(dbAs('pending').collection('users').doc('pending').get());
+    await assertFails(dbAs('pending').collection('users').doc('admin').get());
+    await assertSucceeds(dbAs('admin').collection('users').get());
+});
+
+test('any signed-in account can keep its own saved views', async () => {
+    const view = { name: 'Conway new builds', filters: { selectedCities: ['Conway'] }, isDefault: false };
+    await assertSucceeds(dbAs('pending').collection('users').doc('pending').collection('views').doc('v1').set(view));
+    await assertSucceeds(dbAs('viewer').collection('users').doc('viewer').collection('views').doc('v1').set(view));
+    await assertSucceeds(dbAs('viewer').collection('users').doc('viewer').collection('views').get());
+    await assertSucceeds(dbAs('viewer').collection('users').doc('viewer').collection('views').doc('v1').update({ isDefault: true }));
+    await assertSucceeds(dbAs('viewer').collection('users').doc('viewer').collection('views').doc('v1').delete());
+    await assertFails(anonymousDb().collection('users').doc('viewer').collection('views').doc('v1').set(view));
+});
+
+test('saved views are private and must be well-formed', async () => {
+    const view = { name: 'Mine', filters: {}, isDefault: false };
+    await assertFails(dbAs('admin').collection('users').doc('viewer').collection('views').get());
+    await assertFails(dbAs('viewer').collection('users').doc('editor').collection('views').doc('v1').set(view));
+    await assertFails(dbAs('viewer').collection('users').doc('viewer').collection('views').doc('v1').set({ ...view, name: '' }));
+    await assertFails(dbAs('viewer').collection('users').doc('viewer').collection('views').doc('v1').set({ ...view, role: 'admin' }));
+});
+
+// ------------------------------------------------------------------
+// Import history, profiles and migrations
+// ------------------------------------------------------------------
+
+test('viewers can read import history but not change it', async () => {
+    const viewer = dbAs('viewer');
+    await assertSucceeds(viewer.collection('import_batches').doc('import-1').get());
+    await assertFails(viewer.collection('import_batches').doc('import-1').update({ status: 'rolled_back' }));
+    await assertFails(viewer.collection('import_profiles').doc('mls').set({ name: 'MLS' }));
+});
+
+test('editors can record and roll back imports but not delete them', async () => {
+    const editor = dbAs('editor');
+    await assertSucceeds(editor.collection('import_batches').doc('import-1').update({ status: 'rolled_back' }));
+    await assertSucceeds(editor.collection('import_batches').doc('import-1').collection('previous').doc('sale-1').set({ price: 1 }));
+    await assertFails(editor.collection('import_batches').doc('import-1').delete());
+});
+
+test('pending accounts cannot read import history', async () => {
+    await assertFails(dbAs('pending').collection('import_batches').doc('import-1').get());
+});
+
+test('only admins can record schema migration runs', async () => {
+    await assertFails(dbAs('editor').collection('schema_migrations').add({ toVersion: 2 }));
+    await assertSucceeds(dbAs('admin').collection('schema_migrations').add({ toVersion: 2 }));
+});
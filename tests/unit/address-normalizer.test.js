@@ -0,0 +1,33 @@
+// AddressNormalizer unit tests. Run with `npm run test:unit` (no emulator needed).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AddressNormalizer = require('../../address-normalizer');
+
+test('suffixes and directionals take their USPS abbreviations', () => {
+    assert.equal(AddressNormalizer.normalize('123 North Main Street'), '123 N MAIN ST');
+    assert.equal(AddressNormalizer.normalize('45 southwest oak avenue'), '45 SW OAK AVE');
+    assert.equal(AddressNormalizer.normalize('9 Dave Ward Dr.'), '9 DAVE WARD DR');
+});
+
+test('every unit designator becomes UNIT', () => {
+    const expected = '123 N MAIN ST UNIT 4';
+    assert.equal(AddressNormalizer.normalize('123 n. main street, apt #4'), expected);
+    assert.equal(AddressNormalizer.normalize('123 N Main St #4'), expected);
+    assert.equal(AddressNormalizer.normalize('123 N Main St Suite 4'), expected);
+});
+
+test('blank addresses normalize to an empty string', () => {
+    assert.equal(AddressNormalizer.normalize(null), '');
+    assert.equal(AddressNormalizer.normalize(undefined), '');
+    assert.equal(AddressNormalizer.normalize('   '), '');
+});
+
+test('saleKey is the same for differently written addresses of one sale', () => {
+    const date = new Date(2024, 4, 15);
+    const key = AddressNormalizer.saleKey(date, '123 North Main Street', 250000);
+    assert.equal(key, `${date.getTime()}-123 n main st-250000`);
+    assert.equal(AddressNormalizer.saleKey(date, '123 N. Main St', 250000), key);
+    assert.notEqual(AddressNormalizer.saleKey(date, '123 N Main St', 251000), key);
+    assert.notEqual(AddressNormalizer.saleKey(new Date(2024, 4, 16), '123 N Main St', 250000), key);
+});
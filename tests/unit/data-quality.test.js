@@ -0,0 +1,84 @@
+// DataQuality unit tests. Run with `npm run test:unit` (no emulator needed).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DataQuality = require('../../data-quality');
+
+// Only price is screened for these (no sqFt or days on market), so outliers are price outliers
+const sale = (id, price, overrides) => ({ id, price, city: 'Conway', ...overrides });
+const prices = (city, values) => values.map((price, i) => sale(`${city}-${i}`, price, { city }));
+const steps = (n, start, step) => Array.from({ length: n }, (_, i) => start + i * step);
+const flaggedIds = (records) => DataQuality.findOutliers(records).map(f => f.record.id);
+
+test('missingBy counts missing fields per group, largest group first', () => {
+    const full = { sqFt: 1500, beds: 3, baths: 2, yearBuilt: 2005, daysOnMarket: 20, subdivision: 'Oak Ridge', insideCityLimits: 'Yes' };
+    const groups = DataQuality.missingBy([
+        sale('a', 200000, { ...full, city: 'Vilonia' }),
+        sale('b', 200000, { ...full, beds: 0, subdivision: '' }),
+        sale('c', 200000, { ...full, sqFt: null, insideCityLimits: 'Unknown' }),
+        sale('d', 200000, { ...full, city: 'Unknown', yearBuilt: null })
+    ], r => r.city);
+
+    assert.deepEqual(groups.map(g => [g.group, g.total]), [['Conway', 2], ['Vilonia', 1], ['Unknown', 1]]);
+    assert.deepEqual(groups[0].missing, {
+        sqFt: 1, beds: 1, baths: 0, yearBuilt: 0, daysOnMarket: 0, subdivision: 1, city: 0, insideCityLimits: 1
+    });
+    assert.ok(Object.values(groups[1].missing).every(count => count === 0));
+    assert.equal(groups[2].missing.city, 1);
+    assert.equal(groups[2].missing.yearBuilt, 1);
+});
+
+test('findOutliers flags values beyond the quartiles plus or minus 3 IQRs', () => {
+    assert.equal(DataQuality.FENCE_IQRS, 3);
+    // 200,000 ... 218,000 plus a top value: Q1 204,750 and Q3 214,250 (IQR 9,500) either way,
+    // so the upper fence is 214,250 + 3 × 9,500 = 242,750
+    const city = (top) => prices('Conway', [...steps(19, 200000, 1000), top]);
+
+    assert.deepEqual(flaggedIds(city(242750)), []);
+    const [flag] = DataQuality.findOutliers(city(242751));
+    assert.equal(flag.record.id, 'Conway-19');
+    assert.equal(flag.field, 'price');
+    assert.equal(flag.low, 176250);
+    assert.equal(flag.high, 242750);
+});
+
+test('cities with MIN_GROUP_SIZE sales get their own fences, smaller ones the county\'s', () => {
+    const conway = prices('Conway', steps(20, 200000, 1000));
+    // 130,000 is far out for Vilonia's own sales around 100,000, but not for the county as a whole
+    const vilonia = (n) => prices('Vilonia', [...steps(n - 1, 100000, 100), 130000]);
+
+    assert.deepEqual(flaggedIds([...conway, ...vilonia(DataQuality.MIN_GROUP_SIZE)]), [`Vilonia-${DataQuality.MIN_GROUP_SIZE - 1}`]);
+    assert.deepEqual(flaggedIds([...conway, ...vilonia(DataQuality.MIN_GROUP_SIZE - 1)]), []);
+
+    // A one-sale city is still fenced, against all 21 sales: Q1 205,000, Q3 215,000, upper fence 245,000
+    const [flag] = DataQuality.findOutliers([...conway, ...prices('Greenbrier', [900000])]);
+    assert.equal(flag.record.city, 'Greenbrier');
+    assert.equal(flag.high, 245000);
+});
+
+test('findOutliers needs at least four values to draw fences', () => {
+    assert.deepEqual(flaggedIds(prices('Conway', [100000, 100000, 900000])), []);
+    assert.deepEqual(flaggedIds(prices('Conway', [100000, 100000, 100000, 100000, 900000])), ['Conway-4']);
+    // Missing values don't count toward the four
+    const withBlanks = [...prices('Conway', [100000, 100000, 900000]), sale('blank', 0), sale('none', null)];
+    assert.deepEqual(flaggedIds(withBlanks), []);
+});
+
+test('findPpsfMismatches allows PPSF_TOLERANCE of rounding and no more', () => {
+    assert.equal(DataQuality.PPSF_TOLERANCE, 0.02);
+    // price / sqFt = 200, so 196 and 204 are exactly at the tolerance
+    const ppsf = (id, pricePerSqFt, overrides) => sale(id, 200000, { sqFt: 1000, pricePerSqFt, ...overrides });
+    const mismatches = DataQuality.findPpsfMismatches([
+        ppsf('exact', 200),
+        ppsf('low-edge', 196),
+        ppsf('high-edge', 204),
+        ppsf('low', 195.9),
+        ppsf('high', 204.1),
+        ppsf('missing', undefined),
+        ppsf('no-sqft', 50, { sqFt: 0 })
+    ]);
+
+    assert.deepEqual(mismatches.map(m => m.record.id), ['low', 'high', 'missing']);
+    assert.equal(mismatches[0].computed, 200);
+    assert.equal(mismatches[2].stored, 0);
+});
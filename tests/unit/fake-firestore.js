@@ -0,0 +1,84 @@
+// Minimal in-memory stand-in for the parts of the Firestore API the shared modules use
+// (collection / doc / where / get / batch), so their write paths can be tested without the emulator.
+// commitLimit: how many more batch commits succeed before the rest throw (null for no limit).
+// failQueries: collections whose queries throw.
+
+const value = (v) => (v instanceof Date ? v.getTime() : v);
+const COMPARE = {
+    '==': (a, b) => a === b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+};
+
+const FieldValue = { serverTimestamp: () => new Date() };
+
+function createDb(initial) {
+    const collections = {};
+    const store = (path) => collections[path] || (collections[path] = new Map());
+    let autoId = 0;
+    const db = { collections, commitLimit: null, failQueries: [] };
+
+    const snapshotOf = (path, entries) => {
+        const docs = entries.map(([id, data]) => ({ id, ref: docRef(path, id), data: () => ({ ...data }) }));
+        return { docs, size: docs.length, empty: !docs.length, forEach: (fn) => docs.forEach(fn) };
+    };
+
+    function docRef(path, id) {
+        return {
+            id,
+            collection: (name) => collectionRef(`${path}/${id}/${name}`),
+            set: async (data) => { store(path).set(id, { ...data }); },
+            update: async (data) => { store(path).set(id, { ...store(path).get(id), ...data }); },
+            delete: async () => { store(path).delete(id); },
+            get: async () => {
+                const data = store(path).get(id);
+                return { id, exists: !!data, data: () => (data ? { ...data } : undefined) };
+            }
+        };
+    }
+
+    function query(path, filters) {
+        return {
+            where: (field, op, v) => query(path, [...filters, { field, op, v }]),
+            orderBy: () => query(path, filters),
+            limit: () => query(path, filters),
+            get: async () => {
+                if (db.failQueries.includes(path)) throw new Error(`query on ${path} failed`);
+                const entries = [...store(path)].filter(([, data]) =>
+                    filters.every(f => data[f.field] != null && COMPARE[f.op](value(data[f.field]), value(f.v))));
+                return snapshotOf(path, entries);
+            }
+        };
+    }
+
+    function collectionRef(path) {
+        return {
+            ...query(path, []),
+            doc: (id) => docRef(path, id || `auto-${++autoId}`)
+        };
+    }
+
+    db.collection = collectionRef;
+    db.batch = () => {
+        const ops = [];
+        return {
+            set: (ref, data) => { ops.push(() => ref.set(data)); },
+            update: (ref, data) => { ops.push(() => ref.update(data)); },
+            delete: (ref) => { ops.push(() => ref.delete()); },
+            commit: async () => {
+                if (db.commitLimit === 0) throw new Error('batch commit failed');
+                if (db.commitLimit) db.commitLimit--;
+                for (const op of ops) await op();
+            }
+        };
+    };
+
+    Object.entries(initial || {}).forEach(([path, docs]) => {
+        Object.entries(docs).forEach(([id, data]) => store(path).set(id, { ...data }));
+    });
+    return db;
+}
+
+module.exports = { FieldValue, createDb };
@@ -0,0 +1,54 @@
+// FilterViews unit tests. Run with `npm run test:unit` (no emulator needed).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const FilterViews = require('../../filter-views');
+
+const OPTIONS = {
+    selectedYears: [2023, 2024, 2025],
+    selectedCities: ['Conway', 'Greenbrier', 'Vilonia'],
+    selectedNewConstruction: ['Yes', 'No'],
+    selectedCityLimits: ['Yes', 'No', 'Unknown'],
+    selectedSubdivisions: ['', 'Centennial Valley', 'Hendrix Village']
+};
+
+test('views round-trip through the query string', () => {
+    const view = {
+        selectedYears: [2024, 2025],
+        selectedCities: ['Conway'],
+        selectedSubdivisions: ['', 'Hendrix Village'],
+        ranges: {
+            price: { min: 200000, max: null },
+            date: { min: new Date(2024, 0, 1).getTime(), max: new Date(2024, 5, 30, 23, 59, 59, 999).getTime() }
+        }
+    };
+    const query = FilterViews.toQuery(view);
+    assert.equal(FilterViews.toQuery(FilterViews.fromQuery(query)), query);
+    assert.deepEqual(FilterViews.fromQuery(query), view);
+});
+
+test('an empty selection survives the round trip', () => {
+    const view = { selectedCities: [] };
+    assert.deepEqual(FilterViews.fromQuery(FilterViews.toQuery(view)), view);
+});
+
+test('a query without filter parameters is no view', () => {
+    assert.equal(FilterViews.fromQuery(''), null);
+    assert.equal(FilterViews.fromQuery('?utm_source=mail&price=abc'), null);
+});
+
+test('capture records only the filters that narrow something', () => {
+    const state = { ...OPTIONS, selectedCities: ['Conway'], ranges: {} };
+    assert.deepEqual(FilterViews.capture(state, OPTIONS), { selectedCities: ['Conway'] });
+});
+
+test('apply ignores member-only filters for the public dashboard', () => {
+    const view = { selectedCities: ['Conway'], selectedSubdivisions: ['Hendrix Village'], ranges: { price: { min: 1, max: 2 } } };
+    const pub = FilterViews.apply(view, OPTIONS, false);
+    assert.deepEqual(pub.selectedCities, ['Conway']);
+    assert.deepEqual(pub.selectedSubdivisions, OPTIONS.selectedSubdivisions);
+    assert.deepEqual(pub.ranges, {});
+    const member = FilterViews.apply(view, OPTIONS, true);
+    assert.deepEqual(member.selectedSubdivisions, ['Hendrix Village']);
+    assert.deepEqual(member.ranges, view.ranges);
+});
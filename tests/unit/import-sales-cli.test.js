@@ -0,0 +1,39 @@
+// CLI importer unit tests. Run with `npm run test:unit` (no emulator needed).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Reads a file the way scripts/import-sales.js does, in a fresh process with the given TZ
+function importedRecords(file, tz) {
+    const script = `
+        const cli = require('./scripts/import-sales');
+        const record = require('./sales-record');
+        const { rows, rowNumbers } = cli.readRows(${JSON.stringify(file)}, { sheets: [] });
+        const mapping = record.autoMap(record.detectHeaders(rows));
+        const { accepted } = record.validateRows(rows, mapping, rowNumbers);
+        console.log(JSON.stringify(accepted.map(a => ({ id: a.id, date: a.record.date.getTime() }))));
+    `;
+    const out = execFileSync(process.execPath, ['-e', script], { cwd: ROOT, env: { ...process.env, TZ: tz }, encoding: 'utf8' });
+    return JSON.parse(out);
+}
+
+test('the CLI reads dates in Central time whatever the host time zone', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-sales-'));
+    const file = path.join(dir, 'sales.csv');
+    fs.writeFileSync(file, 'Closed Date,Price,Address,City\n03/01/2024,250000,123 Main St,Conway\n');
+    try {
+        // Midnight, March 1 2024 in Central time, as the admin portal in the browser reads it
+        const central = Date.UTC(2024, 2, 1, 6);
+        const expected = [{ id: `${central}-123 main st-250000`, date: central }];
+        assert.deepEqual(importedRecords(file, 'UTC'), expected);
+        assert.deepEqual(importedRecords(file, 'Asia/Tokyo'), expected);
+        assert.deepEqual(importedRecords(file, 'America/Chicago'), expected);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
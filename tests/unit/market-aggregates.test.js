@@ -0,0 +1,118 @@
+// MarketAggregates unit tests. Run with `npm run test:unit` (no emulator needed).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MarketAggregates = require('../../market-aggregates');
+
+const K = MarketAggregates.MIN_CELL_SALES;
+
+const doc = (overrides) => ({
+    date: new Date(2024, 4, 10),
+    price: 250000,
+    sqFt: 2000,
+    pricePerSqFt: 125,
+    daysOnMarket: 30,
+    yearBuilt: 2005,
+    city: 'Conway',
+    newConstruction: 'No',
+    insideCityLimits: 'Yes',
+    ...overrides
+});
+const repeat = (n, overrides) => Array.from({ length: n }, (_, i) => doc({ price: 250000 + i * 1000, ...overrides }));
+
+test('a one-sale month publishes no per-sale values', () => {
+    const month = MarketAggregates.buildMonths([doc({ price: 312345, daysOnMarket: 17, yearBuilt: 1987 })])['2024-05'];
+    assert.equal(month.month, '2024-05');
+    assert.deepEqual(month.cells, []);
+    assert.ok(!JSON.stringify(month).includes('312345'));
+});
+
+test('cells with enough sales are published as they are', () => {
+    const [cell] = MarketAggregates.buildMonths(repeat(K))['2024-05'].cells;
+    assert.equal(cell.city, 'Conway');
+    assert.equal(cell.newConstruction, 'No');
+    assert.equal(cell.count, K);
+});
+
+test('small cells are pooled within their city', () => {
+    const docs = [
+        ...repeat(K),
+        ...repeat(K - 2, { newConstruction: 'Yes' }),
+        ...repeat(2, { insideCityLimits: 'No' })
+    ];
+    const cells = MarketAggregates.buildMonths(docs)['2024-05'].cells;
+    assert.equal(cells.length, 2);
+    const pooled = cells.find(c => c.newConstruction === 'Mixed');
+    assert.equal(pooled.city, 'Conway');
+    assert.equal(pooled.insideCityLimits, 'Mixed');
+    assert.equal(pooled.count, K);
+});
+
+test('cities too small to pool alone are pooled together, and dropped if still too small', () => {
+    const pooled = MarketAggregates.buildMonths([...repeat(2, { city: 'Vilonia' }), ...repeat(K - 2, { city: 'Mayflower' })])['2024-05'].cells;
+    assert.deepEqual(pooled.map(c => [c.city, c.count]), [['Other cities', K]]);
+    const dropped = MarketAggregates.buildMonths([...repeat(1, { city: 'Vilonia' }), ...repeat(K - 2, { city: 'Mayflower' })])['2024-05'].cells;
+    assert.deepEqual(dropped, []);
+});
+
+test('bubble bins with too few sales are left out', () => {
+    const docs = [...repeat(K, { sqFt: 2000, price: 250000 }), doc({ sqFt: 4000, price: 800000, yearBuilt: 2021 })];
+    const [cell] = MarketAggregates.buildMonths(docs)['2024-05'].cells;
+    assert.equal(cell.count, K + 1);
+    assert.deepEqual(Object.values(cell.bubbles).map(b => b.n), [K]);
+});
+
+test('days on market and year built are cleared unless enough sales record them', () => {
+    const docs = [...repeat(K - 1, { daysOnMarket: 0, yearBuilt: null }), doc({ daysOnMarket: 17, yearBuilt: 1987 })];
+    const [cell] = MarketAggregates.buildMonths(docs)['2024-05'].cells;
+    assert.equal(cell.count, K);
+    assert.deepEqual(cell.daysOnMarket, {});
+    assert.deepEqual(Object.values(cell.bubbles), [{ n: K, builtSum: 0, builtN: 0 }]);
+
+    const recorded = MarketAggregates.buildMonths(repeat(K))['2024-05'].cells[0];
+    assert.equal(MarketAggregates.sketchQuantile(recorded.daysOnMarket, 0.5).toFixed(0), '30');
+    assert.deepEqual(Object.values(recorded.bubbles), [{ n: K, builtSum: 2005 * K, builtN: K }]);
+});
+
+test('no published histogram bucket holds fewer than MIN_CELL_SALES values', () => {
+    // Spread-out prices, sizes and days on market across a few cells
+    const docs = Array.from({ length: 240 }, (_, i) => doc({
+        price: 90000 + ((i * 7919) % 400) * 1500,
+        sqFt: 1000 + ((i * 104729) % 300) * 10,
+        pricePerSqFt: 0,
+        daysOnMarket: (i * 31) % 180,
+        city: ['Conway', 'Greenbrier', 'Vilonia'][i % 3],
+        newConstruction: i % 4 ? 'No' : 'Yes'
+    })).map(d => ({ ...d, pricePerSqFt: Math.round(d.price / d.sqFt) }));
+    const cells = MarketAggregates.buildMonths(docs)['2024-05'].cells;
+    assert.ok(cells.length >= 3);
+    cells.forEach(cell => {
+        assert.equal(cell.priceBins, undefined);
+        ['price', 'pricePerSqFt', 'daysOnMarket'].forEach(field => {
+            const counts = Object.values(cell[field]);
+            assert.ok(counts.length, `${cell.city} ${field} is empty`);
+            counts.forEach(n => assert.ok(n >= K, `${cell.city} ${field} has a bucket of ${n}`));
+            assert.equal(counts.reduce((sum, n) => sum + n, 0), field === 'daysOnMarket'
+                ? docs.filter(d => d.city === cell.city && d.newConstruction === cell.newConstruction && d.daysOnMarket > 0).length
+                : cell.count);
+        });
+    });
+
+    // Still close enough for the dashboard's medians
+    const stats = MarketAggregates.summarize(MarketAggregates.cellsFromMonths(Object.values(MarketAggregates.buildMonths(docs))));
+    const prices = docs.map(d => d.price).sort((a, b) => a - b);
+    const exact = (prices[119] + prices[120]) / 2;
+    assert.ok(Math.abs(stats.medianPrice / exact - 1) < 0.05, `median ${stats.medianPrice} vs ${exact}`);
+    // Bins share out each bucket's count and round, so the total is close rather than exact
+    const binned = Object.values(stats.priceBins).reduce((sum, n) => sum + n, 0);
+    assert.ok(Math.abs(binned - docs.length) <= docs.length * 0.02, `${binned} binned of ${docs.length}`);
+});
+
+test('summarize reads the pooled cells like any other', () => {
+    const docs = [...repeat(K), ...repeat(2, { newConstruction: 'Yes' }), ...repeat(3, { insideCityLimits: 'No' })];
+    const cells = MarketAggregates.cellsFromMonths(Object.values(MarketAggregates.buildMonths(docs)));
+    const stats = MarketAggregates.summarize(cells);
+    assert.equal(stats.count, 2 * K);
+    assert.equal(stats.volume, docs.reduce((sum, d) => sum + d.price, 0));
+    assert.ok(Math.abs(stats.medianPrice / 251000 - 1) < 0.02);
+});
@@ -0,0 +1,61 @@
+// PriceIndex unit tests. Run with `npm run test:unit` (no emulator needed).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PriceIndex = require('../../price-index');
+
+// Prices grow 1% a month while the mix shifts toward bigger homes in the pricier subdivision,
+// so the raw median climbs much faster than prices do
+function sales() {
+    const out = [];
+    for (let month = 0; month < 6; month++) {
+        for (let i = 0; i < 12; i++) {
+            const big = i < 2 + month;
+            const subdivision = big ? 'Centennial Valley' : 'Hendrix Village';
+            const sqFt = (big ? 2800 : 1600) + i * 10;
+            const beds = big ? 4 : 3;
+            const price = Math.round(100 * sqFt * (big ? 1.2 : 1) * Math.exp(0.01 * month + 0.02 * beds));
+            out.push({ id: `${month}-${i}`, date: new Date(2024, month, 10), price, sqFt, beds, baths: 2, yearBuilt: 2005, city: 'Conway', subdivision });
+        }
+    }
+    return out;
+}
+
+test('hedonic levels track constant-quality growth, not the sales mix', () => {
+    const index = PriceIndex.hedonic(sales());
+    assert.equal(index.months.length, 6);
+    assert.equal(index.months[0].month, '2024-01');
+    const growth = Math.exp(index.months[5].level - index.months[0].level) - 1;
+    assert.ok(Math.abs(growth - (Math.exp(0.05) - 1)) < 0.002, `index grew ${growth}`);
+    const rawGrowth = index.months[5].medianPrice / index.months[0].medianPrice - 1;
+    assert.ok(rawGrowth > 0.3, `median grew ${rawGrowth}`);
+    assert.ok(index.r2 > 0.99);
+    assert.ok(index.residualSd < 0.01, `residual ${index.residualSd}`);
+    assert.equal(index.locations, 2);
+});
+
+test('a mistyped price barely moves the residual spread', () => {
+    const data = sales();
+    data[5].price = Math.round(data[5].price / 100);
+    // Its log residual alone would put a plain standard deviation above 0.5
+    assert.ok(PriceIndex.hedonic(data).residualSd < 0.1);
+});
+
+test('sales without a square footage are counted as excluded', () => {
+    const data = sales();
+    data[0].sqFt = 0;
+    const index = PriceIndex.hedonic(data);
+    assert.equal(index.sales, data.length - 1);
+    assert.equal(index.excluded, 1);
+});
+
+test('small subdivisions are pooled into their city', () => {
+    const data = sales();
+    data.slice(0, PriceIndex.MIN_SUBDIVISION_SALES - 1).forEach(d => { d.subdivision = 'Tiny Acres'; });
+    assert.equal(PriceIndex.hedonic(data).locations, 3);
+});
+
+test('one month of sales is no index', () => {
+    assert.equal(PriceIndex.hedonic(sales().filter(d => d.date.getMonth() === 0)), null);
+    assert.equal(PriceIndex.hedonic([]), null);
+});
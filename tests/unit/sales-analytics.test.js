@@ -0,0 +1,74 @@
+// SalesAnalytics unit tests. Run with `npm run test:unit` (no emulator needed).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SalesAnalytics = require('../../sales-analytics');
+
+const sale = (id, month, price, overrides) => ({
+    id,
+    date: new Date(2024, month, 10),
+    year: 2024,
+    price,
+    sqFt: price / 150,
+    pricePerSqFt: 150,
+    daysOnMarket: 30,
+    beds: 3,
+    city: 'Conway',
+    subdivision: 'Hendrix Village',
+    newConstruction: 'No',
+    insideCityLimits: 'Yes',
+    ...overrides
+});
+
+const ROWS = [
+    sale('a', 0, 200000),
+    sale('b', 0, 300000, { city: 'Vilonia', subdivision: '' }),
+    sale('c', 1, 250000, { newConstruction: 'Yes', daysOnMarket: 0 }),
+    sale('d', 2, 400000, { beds: 5 }),
+    sale('e', 2, 350000, { city: 'Vilonia', subdivision: 'Oak Ridge', year: 2023, date: new Date(2023, 2, 10) })
+];
+const indexes = SalesAnalytics.buildIndexes(ROWS);
+const ids = (indices) => Array.from(indices, i => ROWS[i].id);
+
+test('filterIndices combines multi-selects and ranges', () => {
+    assert.deepEqual(ids(SalesAnalytics.filterIndices(indexes, {})), ['a', 'b', 'c', 'd', 'e']);
+    assert.deepEqual(ids(SalesAnalytics.filterIndices(indexes, { selectedCities: ['Conway'] })), ['a', 'c', 'd']);
+    assert.deepEqual(ids(SalesAnalytics.filterIndices(indexes, {
+        selectedCities: ['Conway'],
+        ranges: { price: { min: 250000, max: null } }
+    })), ['c', 'd']);
+    assert.deepEqual(ids(SalesAnalytics.filterIndices(indexes, {
+        selectedYears: [2024],
+        ranges: { beds: { min: null, max: 4 } }
+    })), ['a', 'b', 'c']);
+});
+
+test('summarizeRecords leaves unrecorded days on market out of the median', () => {
+    const stats = SalesAnalytics.summarizeRecords(ROWS.slice(0, 4));
+    assert.equal(stats.count, 4);
+    assert.equal(stats.volume, 1150000);
+    assert.equal(stats.medianPrice, 275000);
+    assert.equal(stats.medianDaysOnMarket, 30);
+    assert.deepEqual(stats.trend, { '2024-01': 250000, '2024-02': 250000, '2024-03': 400000 });
+    assert.deepEqual(stats.priceBins, { 200000: 1, 250000: 1, 300000: 1, 400000: 1 });
+    assert.equal(stats.bubbles.filter(b => b.isNew).length, 1);
+});
+
+test('subdivisionStats skips sales without a subdivision', () => {
+    const board = SalesAnalytics.subdivisionStats(ROWS);
+    assert.deepEqual(board.map(r => r.subdivision).sort(), ['Hendrix Village', 'Oak Ridge']);
+    const hendrix = board.find(r => r.subdivision === 'Hendrix Village');
+    assert.equal(hendrix.count, 3);
+    assert.equal(hendrix.newShare, 1 / 3);
+    assert.equal(hendrix.yoyChange, null);
+});
+
+test('comparePeriods replaces the year filter with each period', () => {
+    const out = SalesAnalytics.comparePeriods('member', ROWS, indexes, { selectedYears: [2023] }, {
+        base: { from: '2024-01', to: '2024-03' },
+        previous: { from: '2023-01', to: '2023-12' }
+    });
+    assert.equal(out.base.count, 4);
+    assert.equal(out.previous.count, 1);
+    assert.equal(out.previous.medianPrice, 350000);
+});
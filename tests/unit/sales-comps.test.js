@@ -0,0 +1,112 @@
+// SalesComps unit tests. Run with `npm run test:unit` (no emulator needed).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SalesComps = require('../../sales-comps');
+
+const AS_OF = new Date(2024, 5, 1).getTime();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const subject = { sqFt: 2000, beds: 3, baths: 2, yearBuilt: 2010, city: 'Conway', subdivision: 'Hendrix Village', newConstruction: 'No' };
+const sale = (id, overrides) => ({
+    id,
+    date: new Date(AS_OF - 30 * DAY_MS),
+    price: 300000,
+    sqFt: 2000,
+    beds: 3,
+    baths: 2,
+    yearBuilt: 2010,
+    city: 'Conway',
+    subdivision: 'Hendrix Village',
+    newConstruction: 'No',
+    ...overrides
+});
+
+test('find skips sales outside the comp limits', () => {
+    const sales = [
+        sale('match'),
+        sale('other-city', { city: 'Vilonia', subdivision: '' }),
+        sale('too-big', { sqFt: 2700 }),
+        sale('too-old', { date: new Date(AS_OF - 800 * DAY_MS) }),
+        sale('no-size', { sqFt: 0 })
+    ];
+    const comps = SalesComps.find(subject, sales, { asOf: AS_OF });
+    assert.deepEqual(comps.map(c => c.sale.id), ['match']);
+});
+
+test('find ranks the closest match first and honors the limit', () => {
+    const sales = [
+        sale('city-only', { subdivision: 'Centennial Valley' }),
+        sale('identical'),
+        sale('bigger', { sqFt: 2400, beds: 4 }),
+        sale('older', { date: new Date(AS_OF - 300 * DAY_MS) })
+    ];
+    const comps = SalesComps.find(subject, sales, { asOf: AS_OF, limit: 3 });
+    assert.deepEqual(comps.map(c => c.sale.id), ['identical', 'city-only', 'older']);
+    assert.ok(comps[0].score > comps[1].score && comps[1].score > comps[2].score);
+});
+
+test('a recorded sale is never its own comp', () => {
+    const own = sale('own');
+    assert.deepEqual(SalesComps.find(own, [own, sale('twin')], { asOf: AS_OF }).map(c => c.sale.id), ['twin']);
+});
+
+test('adjust prices the comp toward the subject', () => {
+    const adjustments = SalesComps.adjust(subject, sale('bigger', { sqFt: 2200, beds: 4, baths: 3, yearBuilt: 2000 }));
+    // 200 sqft at half of $300,000 / 2,200 sqft
+    assert.equal(adjustments.time, 0);
+    assert.equal(adjustments.size, Math.round(-200 * (300000 / 2200) * 0.5));
+    assert.equal(adjustments.beds, -6000);
+    assert.equal(adjustments.baths, -7500);
+    assert.equal(adjustments.yearBuilt, 9000);
+    assert.deepEqual(SalesComps.adjust({ sqFt: 2000 }, sale('x')), { time: 0, size: 0, beds: 0, baths: 0, yearBuilt: 0 });
+});
+
+// Prices up 10% between June 2023 and May 2024, with no sales in June 2024
+const INDEX = { months: [{ month: '2023-06', level: 0 }, { month: '2024-05', level: Math.log(1.1) }] };
+
+test('find moves comp prices to the valuation date with the index', () => {
+    const old = sale('old', { date: new Date(2023, 5, 1) });
+    assert.deepEqual(SalesComps.find(subject, [old], { asOf: AS_OF }), []);
+    const [comp] = SalesComps.find(subject, [old], { asOf: AS_OF, index: INDEX });
+    assert.equal(comp.adjustments.time, 30000);
+    assert.equal(comp.adjustedPrice, 330000);
+    const [recent] = SalesComps.find(subject, [sale('recent', { date: new Date(2024, 4, 2) })], { asOf: AS_OF, index: INDEX });
+    assert.equal(recent.adjustments.time, 0);
+});
+
+test('feature adjustments are made at the time-adjusted price', () => {
+    const adjustments = SalesComps.adjust(subject, sale('smaller', { beds: 2 }), 1.1);
+    assert.equal(adjustments.time, 30000);
+    assert.equal(adjustments.beds, 6600);
+});
+
+test('estimate weights adjusted prices by score', () => {
+    const comps = [
+        { score: 90, adjustedPrice: 300000 },
+        { score: 30, adjustedPrice: 340000 }
+    ];
+    const est = SalesComps.estimate(comps);
+    assert.equal(est.value, 310000);
+    assert.equal(est.low, 300000);
+    assert.equal(est.high, 340000);
+    assert.equal(est.count, 2);
+    assert.equal(est.bandLow, null);
+    assert.equal(est.bandHigh, null);
+    assert.equal(SalesComps.estimate([]), null);
+});
+
+test('the likely range needs enough comps and never narrows below the market residual', () => {
+    const agree = Array.from({ length: SalesComps.MIN_BAND_COMPS }, () => ({ score: 80, adjustedPrice: 300000 }));
+    const tight = SalesComps.estimate(agree);
+    assert.equal(tight.bandLow, 300000);
+    assert.equal(tight.bandHigh, 300000);
+
+    const est = SalesComps.estimate(agree, { residualSd: 0.1 });
+    assert.equal(est.value, 300000);
+    assert.equal(est.bandLow, Math.round(300000 * Math.exp(-0.1)));
+    assert.equal(est.bandHigh, Math.round(300000 * Math.exp(0.1)));
+
+    const spread = SalesComps.estimate([...agree, { score: 80, adjustedPrice: 360000 }], { residualSd: 0.1 });
+    assert.ok(spread.bandHigh - spread.bandLow > est.bandHigh - est.bandLow);
+});
@@ -0,0 +1,123 @@
+// SalesImport unit tests against an in-memory Firestore. Run with `npm run test:unit` (no emulator needed).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SalesImport = require('../../sales-import');
+const { FieldValue, createDb } = require('./fake-firestore');
+
+const MAPPING = { date: 'Closed Date', price: 'Price', address: 'Address', city: 'City' };
+const META = { fileName: 'sales.xlsx', uploadedBy: 'editor@example.com', uid: 'editor' };
+
+// Enough rows for two write batches
+const rows = (n) => Array.from({ length: n }, (_, i) => ({
+    'Closed Date': `2024-0${1 + (i % 2)}-15`,
+    'Price': 200000 + i,
+    'Address': `${i} Main St`,
+    'City': 'Conway'
+}));
+const TWO_BATCHES = SalesImport.BATCH_SIZE + 5;
+
+test('writeImport writes every record, its audit entry and the touched months', async () => {
+    const db = createDb();
+    const plan = await SalesImport.buildImportPlan(db, rows(10), MAPPING);
+    assert.equal(plan.created.length, 10);
+    await SalesImport.writeImport(db, FieldValue, plan, META);
+    assert.equal(db.collections.sales_data.size, 10);
+    assert.equal(db.collections.audit_log.size, 10);
+    assert.deepEqual([...db.collections.market_aggregates.keys()].sort(), ['2024-01', '2024-02']);
+    assert.equal([...db.collections.import_batches.values()][0].status, 'complete');
+    db.collections.sales_data.forEach((data, id) => assert.equal(db.collections.audit_log.get(data.auditId).docId, id));
+});
+
+test('a failed batch still refreshes the months earlier batches touched', async () => {
+    const db = createDb();
+    const plan = await SalesImport.buildImportPlan(db, rows(TWO_BATCHES), MAPPING);
+    db.commitLimit = 1;
+    await assert.rejects(SalesImport.writeImport(db, FieldValue, plan, META), /batch commit failed/);
+    assert.equal(db.collections.sales_data.size, SalesImport.BATCH_SIZE);
+    assert.equal(db.collections.market_aggregates.size, 2);
+});
+
+test('a refresh failure after a failed batch does not hide the batch error', async (t) => {
+    const db = createDb();
+    const plan = await SalesImport.buildImportPlan(db, rows(TWO_BATCHES), MAPPING);
+    db.commitLimit = 1;
+    db.failQueries.push('sales_data');
+    t.mock.method(console, 'error', () => {});
+    await assert.rejects(SalesImport.writeImport(db, FieldValue, plan, META), /batch commit failed/);
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('a refresh failure after a complete import is reported', async () => {
+    const db = createDb();
+    const plan = await SalesImport.buildImportPlan(db, rows(3), MAPPING);
+    db.failQueries.push('sales_data');
+    await assert.rejects(SalesImport.writeImport(db, FieldValue, plan, META), /query on sales_data failed/);
+});
+
+test('uploads match sales stored under keys from before address normalization', async () => {
+    const date = new Date(2024, 0, 15);
+    const legacyId = `${date.getTime()}-123 north main street-250000`;
+    const db = createDb({
+        sales_data: {
+            [legacyId]: { address: '123 North Main Street', date, price: 250000, city: 'Conway', uniqueKey: legacyId }
+        }
+    });
+    const file = [{ 'Closed Date': '2024-01-15', 'Price': 250000, 'Address': '123 N. Main St', 'City': 'Conway' }];
+
+    const first = await SalesImport.buildImportPlan(db, file, MAPPING);
+    assert.equal(first.created.length, 0);
+    assert.deepEqual(first.updated.map(item => item.id), [legacyId]);
+    await SalesImport.writeImport(db, FieldValue, first, META);
+    assert.deepEqual([...db.collections.sales_data.keys()], [legacyId]);
+
+    const again = await SalesImport.buildImportPlan(db, file, MAPPING);
+    assert.deepEqual(SalesImport.planCounts(again), { created: 0, updated: 0, unchanged: 1, rejected: 0 });
+});
+
+// Imports rows(3) over a stored copy of its first row with a different city, and returns the
+// import to roll back and the ID of the record it overwrote
+async function importOverOne(db) {
+    const file = rows(3);
+    await SalesImport.writeImport(db, FieldValue, await SalesImport.buildImportPlan(db, [{ ...file[0], City: 'Greenbrier' }], MAPPING), META);
+    const importId = await SalesImport.writeImport(db, FieldValue, await SalesImport.buildImportPlan(db, file, MAPPING), META);
+    const overwrittenId = [...db.collections[`import_batches/${importId}/previous`].keys()][0];
+    return { imp: { id: importId, ...db.collections.import_batches.get(importId) }, overwrittenId };
+}
+
+// What saveRecordEdit writes for a manual edit
+function editRecord(db, id, changes, newId) {
+    const data = SalesImport.editedData(db.collections.sales_data.get(id), changes);
+    db.collections.sales_data.delete(id);
+    db.collections.sales_data.set(newId || id, data);
+}
+
+test('rollbackImport deletes created records and restores overwritten ones', async () => {
+    const db = createDb();
+    const { imp, overwrittenId } = await importOverOne(db);
+
+    const result = await SalesImport.rollbackImport(db, FieldValue, imp, { email: META.uploadedBy });
+    assert.deepEqual(result, { restored: 1, deleted: 2, skipped: 0 });
+    assert.deepEqual([...db.collections.sales_data.keys()], [overwrittenId]);
+    assert.equal(db.collections.sales_data.get(overwrittenId).city, 'Greenbrier');
+    assert.equal(db.collections.sales_data_deletions.size, 2);
+    db.collections.sales_data_deletions.forEach((tombstone, id) => assert.equal(db.collections.audit_log.get(tombstone.auditId).docId, id));
+    assert.equal(db.collections.audit_log.size, 1 + 3 + 3);
+    assert.equal(db.collections.import_batches.get(imp.id).status, 'rolled_back');
+});
+
+test('rollbackImport leaves records edited since the import alone', async () => {
+    const db = createDb();
+    const { imp, overwrittenId } = await importOverOne(db);
+    const [createdId, movedId] = [...db.collections.sales_data.keys()].filter(id => id !== overwrittenId);
+    editRecord(db, overwrittenId, { city: 'Conway (edited)' });
+    editRecord(db, createdId, { sqFt: 1500 });
+    editRecord(db, movedId, { address: 'Moved St' }, 'moved-id');
+
+    const result = await SalesImport.rollbackImport(db, FieldValue, imp, { email: META.uploadedBy });
+    assert.deepEqual(result, { restored: 0, deleted: 0, skipped: 3 });
+    assert.equal(db.collections.sales_data.get(overwrittenId).city, 'Conway (edited)');
+    assert.equal(db.collections.sales_data.get(createdId).sqFt, 1500);
+    assert.equal(db.collections.sales_data.get('moved-id').address, 'Moved St');
+    assert.equal(db.collections.import_batches.get(imp.id).rollback.skipped, 3);
+});
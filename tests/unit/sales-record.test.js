@@ -0,0 +1,71 @@
+// SalesRecord unit tests. Run with `npm run test:unit` (no emulator needed).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SalesRecord = require('../../sales-record');
+
+const MAPPING = {
+    date: 'Closed Date',
+    price: 'Price',
+    address: 'Address',
+    city: 'City',
+    sqFt: 'SQFT',
+    newConstruction: 'New Construction?',
+    insideCityLimits: 'Inside City Limits',
+    yearBuilt: 'Year Built'
+};
+
+const row = (overrides) => ({
+    'Closed Date': '2024-05-15',
+    'Price': '$250,000',
+    'Address': '123 North Main Street',
+    'City': ' Conway ',
+    'SQFT': '2,000',
+    'New Construction?': 'Y',
+    'Inside City Limits': 'N',
+    'Year Built': 'Apx 1998',
+    ...overrides
+});
+
+test('buildRecord produces a schema-conforming document', () => {
+    const { record, reason } = SalesRecord.buildRecord(row(), MAPPING);
+    assert.equal(reason, undefined);
+    assert.equal(record.price, 250000);
+    assert.equal(record.sqFt, 2000);
+    assert.equal(record.pricePerSqFt, 125);
+    assert.equal(record.city, 'Conway');
+    assert.equal(record.newConstruction, 'Yes');
+    assert.equal(record.insideCityLimits, 'No');
+    assert.equal(record.yearBuilt, 1998);
+    // Date-only strings are local days, not UTC midnight
+    assert.equal(record.date.getDate(), 15);
+    assert.equal(record.uniqueKey, `${new Date(2024, 4, 15).getTime()}-123 n main st-250000`);
+    assert.deepEqual(SalesRecord.checkSchema(record), []);
+});
+
+test('buildRecord explains rows it cannot import', () => {
+    assert.equal(SalesRecord.buildRecord(row({ 'Closed Date': 'soon' }), MAPPING).reason, 'Invalid or missing Closed Date');
+    assert.equal(SalesRecord.buildRecord(row({ 'Price': '0' }), MAPPING).reason, 'Missing or zero price');
+    assert.equal(SalesRecord.buildRecord(row({ 'Closed Date': '1999-03-01' }), MAPPING).reason, 'Sale closed in 1999 (before 2001)');
+    assert.equal(SalesRecord.buildRecord(row({ 'Address': ' ' }), MAPPING).reason, 'Missing address');
+});
+
+test('validateRows rejects a second row for the same sale, however its address is written', () => {
+    const rows = [row(), row({ 'Address': '123 N. Main St' }), row({ 'Price': '260000' })];
+    const { accepted, rejected } = SalesRecord.validateRows(rows, MAPPING);
+    assert.deepEqual(accepted.map(a => a.rowNumber), [2, 4]);
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].rowNumber, 3);
+    assert.equal(rejected[0].reason, 'Duplicate of row 2');
+});
+
+test('docId replaces characters Firestore IDs cannot hold', () => {
+    assert.equal(SalesRecord.docId({ uniqueKey: '1-12 1/2 main st-100' }), '1-12 1_2 main st-100');
+});
+
+test('sameRecord compares stored Timestamps by time', () => {
+    const { record } = SalesRecord.buildRecord(row(), MAPPING);
+    const stored = { ...record, date: { toDate: () => new Date(record.date.getTime()) } };
+    assert.equal(SalesRecord.sameRecord(record, stored), true);
+    assert.equal(SalesRecord.sameRecord(record, { ...stored, price: 1 }), false);
+});
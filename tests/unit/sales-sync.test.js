@@ -0,0 +1,60 @@
+// SalesSync unit tests. Run with `npm run test:unit` (no emulator needed).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SalesSync = require('../../sales-sync');
+
+const SINCE = 1000;
+const at = (ms) => ({ toMillis: () => ms });
+
+// Hands each collection's snapshot listener to the test, which fires the changes itself
+function listeningDb() {
+    const listeners = {};
+    const db = {
+        collection: (name) => ({
+            where: () => ({
+                onSnapshot: (onNext) => {
+                    listeners[name] = (changes) => onNext({
+                        docChanges: () => changes.map(([type, id, data]) => ({ type, doc: { id, data: () => data } }))
+                    });
+                    return () => { delete listeners[name]; };
+                }
+            })
+        })
+    };
+    return { db, listeners };
+}
+
+test('subscribe reports writes and deletions made after the cursor', () => {
+    const { db, listeners } = listeningDb();
+    const seen = [];
+    SalesSync.subscribe(db, SINCE, (changes) => seen.push(changes));
+    listeners.sales_data([['added', 'old', { updatedAt: at(SINCE) }], ['added', 'a', { price: 1, updatedAt: at(2000) }]]);
+    listeners[SalesSync.DELETIONS]([['added', 'b', { deletedAt: at(3000) }]]);
+    assert.deepEqual(seen.map(c => [c.docs.map(d => d.id), c.deletedIds, c.cursor]), [
+        [['a'], [], 2000],
+        [[], ['b'], 3000]
+    ]);
+});
+
+test('a tombstone arriving after the record was re-created is ignored', () => {
+    const { db, listeners } = listeningDb();
+    const seen = [];
+    SalesSync.subscribe(db, SINCE, (changes) => seen.push(changes));
+    listeners.sales_data([['added', 'a', { price: 2, updatedAt: at(3000) }]]);
+    listeners[SalesSync.DELETIONS]([['added', 'a', { deletedAt: at(2000) }]]);
+    assert.equal(seen.length, 1);
+    assert.deepEqual(seen[0].docs.map(d => d.id), ['a']);
+
+    // Deleted again later: that tombstone is newer and applies
+    listeners[SalesSync.DELETIONS]([['modified', 'a', { deletedAt: at(4000) }]]);
+    assert.deepEqual(seen[1].deletedIds, ['a']);
+});
+
+test('the returned function stops both listeners', () => {
+    const { db, listeners } = listeningDb();
+    const stop = SalesSync.subscribe(db, SINCE, () => {});
+    assert.equal(Object.keys(listeners).length, 2);
+    stop();
+    assert.equal(Object.keys(listeners).length, 0);
+});
@@ -0,0 +1,43 @@
+// User Roles
+// Access levels for the admin portal. Each signed-in user has a users/{uid} document whose `role`
+// is checked by firestore.rules; this module mirrors those rules so the UI only offers what is allowed.
+//   viewer  - read import history, records and data quality
+//   editor  - also import, edit, delete, merge and roll back sales records
+//   admin   - also run schema migrations, manage users and read the audit log
+const UserRoles = (() => {
+    const ROLES = ['viewer', 'editor', 'admin'];
+
+    // Given to accounts on first sign-in until an admin grants a real role
+    const PENDING = 'pending';
+
+    const LABELS = {
+        pending: 'Pending',
+        viewer: 'Viewer',
+        editor: 'Editor',
+        admin: 'Admin'
+    };
+
+    const isRole = (role) => ROLES.includes(role);
+
+    // True if `role` is at least `minRole` (pending and unknown roles never are)
+    const can = (role, minRole) => isRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+
+    // Reads the signed-in user's role, registering them as pending on first sign-in so an admin
+    // can find them under Users. Used by the admin portal and the dashboard's member sign-in.
+    async function loadRole(db, FieldValue, user) {
+        const ref = db.collection('users').doc(user.uid);
+        const snap = await ref.get();
+        if (snap.exists) return snap.data().role;
+
+        await ref.set({
+            email: user.email,
+            role: PENDING,
+            requestedAt: FieldValue.serverTimestamp()
+        });
+        return PENDING;
+    }
+
+    return { ROLES, PENDING, LABELS, isRole, can, loadRole };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = UserRoles;